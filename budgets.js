@@ -0,0 +1,153 @@
+/**
+ * Performance budgets shared by both builds
+ * build.js checks the legacy output and webpack.config.js the emitted assets (BudgetPlugin);
+ * a build with a file or a page over budget fails with a table of the violations.
+ * Sizes are in bytes. Text files count compressed for gzip and brotli, other files as they are
+ */
+
+const path = require('path');
+const zlib = require('zlib');
+
+const KB = 1024;
+const MB = 1024 * KB;
+
+const budgets = {
+    // Every build file of a type: maxSize, maxGzip, maxBrotli
+    types: {
+        html: { test: /\.html$/, maxSize: 100 * KB, maxGzip: 20 * KB },
+        css: { test: /\.css$/, maxSize: 60 * KB, maxGzip: 15 * KB, maxBrotli: 12 * KB },
+        js: { test: /\.m?js$/, maxSize: 200 * KB, maxGzip: 50 * KB, maxBrotli: 40 * KB },
+        image: { test: /\.(png|jpe?g|gif|webp|avif|svg)$/i, maxSize: 200 * KB },
+        document: { test: /\.pdf$/i, maxSize: 1 * MB }
+    },
+
+    // A page with the stylesheets, scripts and images it loads: total weight and requests
+    page: {
+        files: ['index.html'],
+        maxSize: 500 * KB,
+        maxGzip: 200 * KB,
+        maxBrotli: 180 * KB,
+        maxRequests: 15
+    }
+};
+
+// Metric measured for each limit
+const metrics = {
+    maxSize: 'size',
+    maxGzip: 'gzip',
+    maxBrotli: 'brotli',
+    maxRequests: 'requests'
+};
+
+// Files a server compresses
+const compressible = /\.(html|css|m?js|json|xml|svg|txt)$/i;
+
+// { size, gzip, brotli } of a file
+function measure(file, content) {
+    const size = content.length;
+    if (!compressible.test(file)) return { size, gzip: size, brotli: size };
+
+    return {
+        size,
+        gzip: zlib.gzipSync(content, { level: 9 }).length,
+        brotli: zlib.brotliCompressSync(content).length
+    };
+}
+
+// Build file a URL in a page or stylesheet points to, relative to the output directory
+function resolve(url, from) {
+    if (/^([a-z]+:|\/\/|#)/i.test(url)) return null;
+
+    const file = decodeURI(url.split(/[?#]/)[0]);
+    return file.startsWith('/') ?
+        path.posix.normalize(file.slice(1)) :
+        path.posix.join(path.posix.dirname(from), file);
+}
+
+// Build files a page loads: <link>, <script>, <img> and <source> URLs, plus the url()s
+// of its inline styles and stylesheets. Links to other pages are not loaded
+function pageResources(page, files) {
+    const resources = new Set();
+    const add = (url, from) => {
+        const file = resolve(url, from);
+        if (file && file !== page && files.has(file)) resources.add(file);
+    };
+    const addURLs = (css, from) => {
+        for (const [, , url] of css.matchAll(/url\((['"]?)([^'")]+)\1\)/g)) add(url, from);
+    };
+
+    const html = files.get(page).toString();
+    for (const [, url] of html.matchAll(/<(?:link|script|img|source)\b[^>]*?\s(?:href|src)="([^"]+)"/g)) {
+        add(url, page);
+    }
+    addURLs(html, page);
+
+    [...resources].filter(file => file.endsWith('.css')).forEach(file => {
+        addURLs(files.get(file).toString(), file);
+    });
+
+    return [...resources];
+}
+
+// Violations of the build output: files is a Map of path (relative to the output
+// directory, / separated) -> Buffer. Returns [{ budget, file, metric, actual, limit }]
+function checkBudgets(files, config = budgets) {
+    const violations = [];
+    const sizes = new Map();
+    const sizeOf = file => {
+        if (!sizes.has(file)) sizes.set(file, measure(file, files.get(file)));
+        return sizes.get(file);
+    };
+    const check = (budget, file, limits, actual) => {
+        Object.entries(metrics).forEach(([limit, metric]) => {
+            if (limits[limit] !== undefined && actual[metric] > limits[limit]) {
+                violations.push({ budget, file, metric, actual: actual[metric], limit: limits[limit] });
+            }
+        });
+    };
+
+    [...files.keys()].sort().forEach(file => {
+        Object.entries(config.types).forEach(([type, limits]) => {
+            if (limits.test.test(file)) check(type, file, limits, sizeOf(file));
+        });
+    });
+
+    config.page.files.filter(page => files.has(page)).forEach(page => {
+        const loaded = [page, ...pageResources(page, files)];
+        const total = { size: 0, gzip: 0, brotli: 0, requests: loaded.length };
+
+        loaded.forEach(file => {
+            const { size, gzip, brotli } = sizeOf(file);
+            total.size += size;
+            total.gzip += gzip;
+            total.brotli += brotli;
+        });
+
+        check('page', page, config.page, total);
+    });
+
+    return violations;
+}
+
+function formatBytes(bytes) {
+    if (bytes < KB) return `${bytes} B`;
+    if (bytes < MB) return `${(bytes / KB).toFixed(1)} KB`;
+    return `${(bytes / MB).toFixed(2)} MB`;
+}
+
+// Violations as an aligned text table
+function formatTable(violations) {
+    const value = (metric, bytes) => metric === 'requests' ? String(bytes) : formatBytes(bytes);
+    const rows = [
+        ['Budget', 'File', 'Metric', 'Actual', 'Limit'],
+        ...violations.map(({ budget, file, metric, actual, limit }) =>
+            [budget, file, metric, value(metric, actual), value(metric, limit)])
+    ];
+    const widths = rows[0].map((heading, column) => Math.max(...rows.map(row => row[column].length)));
+    const line = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+    return [line(rows[0]), widths.map(width => '-'.repeat(width)).join('  '), ...rows.slice(1).map(line)]
+        .join('\n');
+}
+
+module.exports = { budgets, checkBudgets, formatTable, formatBytes, measure };
@@ -6,7 +6,11 @@
  */
 
 const fs = require('fs').promises;
+const crypto = require('crypto');
+const { existsSync } = require('fs');
 const path = require('path');
+const JSMinifier = require('./js-minifier');
+const { checkBudgets, formatTable } = require('./budgets');
 
 class PortfolioBuildTool {
     constructor() {
@@ -21,14 +25,75 @@ class PortfolioBuildTool {
             'css/overlays.css',
             'css/animations.css'
         ];
+        this.dataFile = 'data/portfolio.json';
+        this.i18nDir = 'data/i18n';
+        // Block of separate legacy <script> tags in index_optimized.html
+        this.legacyScripts = /<!-- Load JavaScript modules -->[\s\S]*?(?=<!-- Inline critical|<script>)/;
+        // Stylesheet and script links of the unbuilt page; the webpack build injects its bundles instead
+        this.sourceLinks = /\s*<link [^>]*href="(?:css\/main\.css|js\/main\.js)"[^>]*>/g;
         this.jsFiles = [
+            'js/utils.js',
+            'js/store.js',
+            'js/i18n.js',
+            'js/theme.js',
+            'js/breakpoints.js',
+            'js/overlays.js',
+            'js/portfolio-data.js',
+            'js/json-resume.js',
+            'js/europass.js',
             'js/main.js',
             'js/skills.js',
             'js/education.js',
             'js/tooltips.js',
+            'js/job-fit.js',
             'js/mobile.js',
-            'js/utils.js'
+            'js/deep-links.js',
+            'js/router.js',
+            'js/updates.js',
+            'js/accessibility-rules.js',
+            'js/accessibility.js'
         ];
+        // Rename local variables in the minified JS (`node build.js --mangle`)
+        this.mangle = false;
+        
+        // Content-hashed output: source path -> hashed path, written to asset-manifest.json.
+        // Pages keep stable names; images and PDFs in assets/ are hashed along with the bundles
+        this.hashedAssets = /\.(jpe?g|png|gif|webp|avif|svg|pdf)$/i;
+        this.assetManifestFile = 'asset-manifest.json';
+        this.assetManifest = {};
+        this.assetVersion = null;
+        
+        // Critical CSS: rules of the cssFiles that apply to the above-the-fold markup are inlined
+        // at the marker in index.html, and the full stylesheet loads without blocking rendering.
+        // Rules count in every state the boot script can set on <html>; interaction states
+        // never apply at first paint
+        this.critical = {
+            marker: /<!-- Critical CSS:[^>]*-->/,
+            roots: ['.profile-section', '.profile-header'],
+            states: { 'data-theme': ['light', 'dark'], 'data-contrast': ['normal', 'high'] },
+            interactions: /:(?:hover|focus(?:-visible|-within)?|active|target|visited)\b/g,
+            pseudoElements: /::?(?:before|after|first-line|first-letter)\b|::[\w-]+(?:\([^)]*\))?/g,
+            budget: 14 * 1024
+        };
+        
+        // Generated service worker: the build output is precached (PDFs are cached when
+        // first opened); images and PDFs are refetched after mediaMaxAge seconds
+        this.serviceWorker = {
+            file: 'sw.js',
+            offlinePage: 'offline.html',
+            precacheExclude: [/^sw\.js$/, /^asset-manifest\.json$/, /\.pdf$/i],
+            mediaMaxAge: 30 * 24 * 60 * 60,
+            mediaMaxEntries: 40
+        };
+        
+        // `node build.js audit`: built pages to check (legacy.html comes from the webpack build)
+        this.siteURL = 'https://etiosaraymond.github.io';
+        this.auditPages = ['index.html', 'legacy.html', 'bio.html'];
+        this.auditScripts = ['js/utils.js', 'js/accessibility-rules.js'];
+        // Computed colours need a browser with the stylesheets applied
+        this.auditSkipRules = ['color-contrast'];
+        // Lowest severity that fails the audit (critical, serious, moderate or minor)
+        this.auditFailOn = 'serious';
     }
 
     async build() {
@@ -36,12 +101,16 @@ class PortfolioBuildTool {
         
         try {
             await this.createBuildDirectory();
+            await this.copyAssets();
             await this.optimizeCSS();
             await this.optimizeJS();
             await this.optimizeHTML();
-            await this.copyAssets();
-            await this.generateServiceWorker();
+            await this.writeAssetManifest();
             await this.generateManifest();
+            await this.generateDataDocuments();
+            await this.generateOfflinePage();
+            await this.generateServiceWorker();
+            await this.checkBudgets();
             
             console.log('✅ Build completed successfully!');
             console.log(`📁 Build files located in: ${this.buildDir}`);
@@ -71,6 +140,17 @@ class PortfolioBuildTool {
     async optimizeCSS() {
         console.log('🎨 Optimizing CSS...');
         
+        const combinedCSS = await this.readCSS();
+        
+        // Basic CSS minification; url() references point at the hashed assets
+        const minifiedCSS = this.rewriteAssetPaths(this.minifyCSS(combinedCSS));
+        const file = await this.writeHashed('css/main.min.css', minifiedCSS);
+        
+        console.log(`✨ CSS optimized: ${combinedCSS.length} → ${minifiedCSS.length} characters (${file})`);
+    }
+
+    // The cssFiles in order, each after a /* file */ banner
+    async readCSS() {
         let combinedCSS = '';
         
         for (const cssFile of this.cssFiles) {
@@ -83,41 +163,109 @@ class PortfolioBuildTool {
             }
         }
         
-        // Basic CSS minification
-        const minifiedCSS = this.minifyCSS(combinedCSS);
+        return combinedCSS;
+    }
+
+    // Minified rules of the cssFiles that apply to the critical roots of a rendered page,
+    // their ancestors or descendants. null when the matching dependencies are missing
+    async extractCriticalCSS(page) {
+        let postcss, parseDocument, CSSselect;
+        try {
+            postcss = require('postcss');
+            ({ parseDocument } = require('htmlparser2'));
+            CSSselect = require('css-select');
+        } catch (error) {
+            console.warn('⚠️  Critical CSS needs postcss, htmlparser2 and css-select (npm install), skipping...');
+            return null;
+        }
+        
+        const { roots, states, interactions, pseudoElements } = this.critical;
+        const dom = parseDocument(page);
+        const root = CSSselect.selectOne('html', dom);
         
-        await fs.writeFile(
-            path.join(this.buildDir, 'css', 'main.min.css'),
-            minifiedCSS
-        );
+        const aboveTheFold = new Set();
+        CSSselect.selectAll(roots.join(', '), dom).forEach(element => {
+            CSSselect.selectAll('*', element).forEach(descendant => aboveTheFold.add(descendant));
+            for (let ancestor = element; ancestor && ancestor.type === 'tag'; ancestor = ancestor.parent) {
+                aboveTheFold.add(ancestor);
+            }
+        });
+        
+        // Every combination of the <html> states, e.g. { data-theme: dark, data-contrast: high }
+        const combinations = Object.entries(states).reduce((list, [name, values]) =>
+            list.flatMap(combination => values.map(value => ({ ...combination, [name]: value }))), [{}]);
         
-        console.log(`✨ CSS optimized: ${combinedCSS.length} → ${minifiedCSS.length} characters`);
+        const applies = selector => {
+            let test;
+            try {
+                const subject = selector.replace(pseudoElements, '').replace(interactions, ':not(*)');
+                test = CSSselect.compile(subject || '*');
+            } catch (error) {
+                // Keep what css-select cannot evaluate
+                return true;
+            }
+            
+            return combinations.some(combination => {
+                Object.assign(root.attribs, combination);
+                return [...aboveTheFold].some(test);
+            });
+        };
+        
+        const stylesheet = postcss.parse(await this.readCSS());
+        stylesheet.walkRules(rule => {
+            if (/keyframes$/i.test(rule.parent.name || '')) return;
+            
+            const selectors = rule.selectors.filter(applies);
+            if (selectors.length) {
+                rule.selectors = selectors;
+            } else {
+                rule.remove();
+            }
+        });
+        
+        // Keep the keyframes of the remaining animations; drop emptied at-rules, innermost first
+        const animations = new Set();
+        stylesheet.walkDecls(/^animation(-name)?$/, decl => {
+            decl.value.split(/[\s,]+/).forEach(name => animations.add(name));
+        });
+        
+        const atRules = [];
+        stylesheet.walkAtRules(atRule => atRules.push(atRule));
+        atRules.reverse().forEach(atRule => {
+            if (/keyframes$/i.test(atRule.name)) {
+                if (!animations.has(atRule.params)) atRule.remove();
+            } else if (atRule.nodes && !atRule.nodes.some(node => node.type !== 'comment')) {
+                atRule.remove();
+            }
+        });
+        
+        return this.minifyCSS(stylesheet.toString());
     }
 
     async optimizeJS() {
         console.log('⚡ Optimizing JavaScript...');
         
-        let combinedJS = '';
+        const minified = [];
+        let originalLength = 0;
         
         for (const jsFile of this.jsFiles) {
+            let content;
             try {
-                const filePath = path.join(this.sourceDir, jsFile);
-                const content = await fs.readFile(filePath, 'utf8');
-                combinedJS += `/* ${jsFile} */\n${content}\n\n`;
+                content = await fs.readFile(path.join(this.sourceDir, jsFile), 'utf8');
             } catch (error) {
                 console.warn(`⚠️  Could not read ${jsFile}, skipping...`);
+                continue;
             }
+            
+            // Minified per file, so syntax errors point at the file and line
+            originalLength += content.length;
+            minified.push(this.minifyJS(content, jsFile));
         }
         
-        // Basic JS minification
-        const minifiedJS = this.minifyJS(combinedJS);
-        
-        await fs.writeFile(
-            path.join(this.buildDir, 'js', 'main.min.js'),
-            minifiedJS
-        );
+        const minifiedJS = minified.join('\n');
+        const file = await this.writeHashed('js/main.min.js', minifiedJS);
         
-        console.log(`✨ JavaScript optimized: ${combinedJS.length} → ${minifiedJS.length} characters`);
+        console.log(`✨ JavaScript optimized: ${originalLength} → ${minifiedJS.length} characters${this.mangle ? ' (mangled)' : ''} (${file})`);
     }
 
     async optimizeHTML() {
@@ -129,12 +277,27 @@ class PortfolioBuildTool {
                 'utf8'
             );
             
-            // Update paths to use minified files
-            const optimizedHTML = htmlContent
-                .replace('css/main.css', 'css/main.min.css')
-                .replace(/src="js\/[\w.-]+\.js"/g, 'src="js/main.min.js"')
-                .replace(/defer/g, '') // Remove defer since we're combining files
-                .replace(/<!-- Load JavaScript modules -->[\s\S]*?(?=<script>)/g, '')
+            // Render data-driven sections into the page
+            const renderedHTML = await this.renderPortfolioData(htmlContent);
+            
+            // With the critical rules inline, the stylesheet can load without blocking rendering
+            const criticalCSS = await this.extractCriticalCSS(renderedHTML);
+            const stylesheet = criticalCSS ?
+                '<link rel="stylesheet" href="css/main.min.css" media="print" onload="this.media=\'all\'">' :
+                '<link rel="stylesheet" href="css/main.min.css">';
+            if (criticalCSS) this.reportCriticalCSS(criticalCSS);
+            
+            // Update paths to use minified files; the separate module scripts
+            // become a single deferred bundle that hydrates the rendered markup.
+            // All of them are then pointed at their hashed names. js/updates.js registers
+            // the worker named in data-service-worker
+            const optimizedHTML = this.rewriteAssetPaths(renderedHTML
+                .replace(this.critical.marker, criticalCSS ? `<style>${criticalCSS}</style>` : '')
+                .replace(/css\/main\.css/g, 'css/main.min.css')
+                .replace(/<link rel="stylesheet" href="css\/main\.min\.css" media="all">/, stylesheet)
+                .replace(/href="js\/main\.js"/g, 'href="js/main.min.js"')
+                .replace(this.legacyScripts, '<script src="js/main.min.js" defer></script>\n')
+                .replace(/<html([^>]*)>/, `<html$1 data-service-worker="${this.serviceWorker.file}">`))
                 .replace(/\s+/g, ' ') // Basic minification
                 .trim();
             
@@ -150,6 +313,64 @@ class PortfolioBuildTool {
         }
     }
 
+    reportCriticalCSS(css) {
+        const size = Buffer.byteLength(css);
+        const { budget } = this.critical;
+        
+        console.log(`✨ Critical CSS inlined: ${(size / 1024).toFixed(1)} KB`);
+        if (size > budget) {
+            console.warn(`⚠️  Critical CSS is ${(size / 1024).toFixed(1)} KB, over the ${(budget / 1024).toFixed(1)} KB budget`);
+        }
+    }
+
+    async renderPortfolioData(html) {
+        const PortfolioData = require('./js/portfolio-data.js');
+        const data = JSON.parse(
+            await fs.readFile(path.join(this.sourceDir, this.dataFile), 'utf8')
+        );
+        
+        // Inline the model so the runtime managers don't need to fetch it
+        const inlineData = JSON.stringify(data).replace(/</g, '\\u003c');
+        const dataScript = `<script type="application/json" id="portfolio-data">${inlineData}</script>`;
+        const catalogScript = await this.renderCatalogScript();
+        
+        console.log(`✨ Rendered portfolio sections from ${this.dataFile}`);
+        
+        // Mark the page as server-rendered so the runtime only hydrates it
+        return PortfolioData.renderTemplate(html, data)
+            .replace(/<html([^>]*)>/, '<html$1 data-prerendered>')
+            .replace('</body>', `${dataScript}\n${catalogScript}\n</body>`);
+    }
+
+    // Inline the translation catalogs (see js/i18n.js) so switching language needs no fetch
+    async renderCatalogScript() {
+        const catalogs = {};
+        const files = (await fs.readdir(path.join(this.sourceDir, this.i18nDir)))
+            .filter(file => file.endsWith('.json'));
+        
+        for (const file of files) {
+            const content = await fs.readFile(path.join(this.sourceDir, this.i18nDir, file), 'utf8');
+            catalogs[path.basename(file, '.json')] = JSON.parse(content);
+        }
+        
+        const inlineCatalogs = JSON.stringify(catalogs).replace(/</g, '\\u003c');
+        console.log(`✨ Inlined translations: ${Object.keys(catalogs).join(', ')}`);
+        
+        return `<script type="application/json" id="i18n-catalogs">${inlineCatalogs}</script>`;
+    }
+
+    // Render a page for the webpack build: data sections filled in and the legacy
+    // script tags and stylesheet links removed, since HtmlWebpackPlugin injects the bundles
+    async renderTemplatePage(file) {
+        const html = await fs.readFile(path.join(this.sourceDir, file), 'utf8');
+        const renderedHTML = await this.renderPortfolioData(html);
+        
+        return renderedHTML
+            .replace(this.legacyScripts, '')
+            .replace(this.sourceLinks, '')
+            .replace(/\s*<noscript>\s*<\/noscript>/g, '');
+    }
+
     async copyAssets() {
         console.log('📋 Copying assets...');
         
@@ -159,16 +380,18 @@ class PortfolioBuildTool {
             
             for (const file of files) {
                 const sourcePath = path.join(assetsDir, file);
-                const destPath = path.join(this.buildDir, 'assets', file);
-                await fs.copyFile(sourcePath, destPath);
+                
+                if (this.hashedAssets.test(file)) {
+                    await this.writeHashed(`assets/${file}`, await fs.readFile(sourcePath));
+                } else {
+                    await fs.copyFile(sourcePath, path.join(this.buildDir, 'assets', file));
+                }
             }
             
-            // Copy bio.html if it exists
+            // Copy bio.html if it exists, pointed at the hashed assets
             try {
-                await fs.copyFile(
-                    path.join(this.sourceDir, 'bio.html'),
-                    path.join(this.buildDir, 'bio.html')
-                );
+                const bio = await fs.readFile(path.join(this.sourceDir, 'bio.html'), 'utf8');
+                await fs.writeFile(path.join(this.buildDir, 'bio.html'), this.rewriteAssetPaths(bio));
             } catch (error) {
                 console.warn('⚠️  bio.html not found, skipping...');
             }
@@ -180,63 +403,272 @@ class PortfolioBuildTool {
         }
     }
 
+    // Write a build file under a content-hashed name (css/main.min.css -> css/main.min.<hash>.css)
+    // and record it in the asset manifest. Returns the hashed path
+    async writeHashed(file, content) {
+        const { dir, name, ext } = path.posix.parse(file);
+        const hashedFile = path.posix.join(dir, `${name}.${this.hash(content)}${ext}`);
+        
+        await fs.writeFile(path.join(this.buildDir, hashedFile), content);
+        this.assetManifest[file] = hashedFile;
+        
+        return hashedFile;
+    }
+
+    hash(content, length = 8) {
+        return crypto.createHash('sha256').update(content).digest('hex').slice(0, length);
+    }
+
+    // Replace source asset paths (as written or URL-encoded) with their hashed names
+    rewriteAssetPaths(text) {
+        const replacements = new Map();
+        Object.entries(this.assetManifest).forEach(([file, hashedFile]) => {
+            replacements.set(file, hashedFile);
+            replacements.set(encodeURI(file), encodeURI(hashedFile));
+        });
+        if (!replacements.size) return text;
+        
+        // Longest first, so a path never matches inside a longer one
+        const pattern = new RegExp([...replacements.keys()]
+            .sort((a, b) => b.length - a.length)
+            .map(file => file.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('|'), 'g');
+        
+        return text.replace(pattern, file => replacements.get(file));
+    }
+
+    // asset-manifest.json: { version, files }; version is the hash of the file map and
+    // names the service worker cache, so every deploy with changed assets gets a new cache
+    async writeAssetManifest() {
+        const files = Object.fromEntries(Object.entries(this.assetManifest).sort(([a], [b]) => a.localeCompare(b)));
+        this.assetVersion = this.hash(JSON.stringify(files));
+        
+        await fs.writeFile(
+            path.join(this.buildDir, this.assetManifestFile),
+            JSON.stringify({ version: this.assetVersion, files }, null, 2)
+        );
+        
+        console.log(`✨ ${this.assetManifestFile} written (${Object.keys(files).length} files, version ${this.assetVersion})`);
+    }
+
+    // Build output files relative to the build directory, with / separators
+    async listBuildFiles(dir = this.buildDir) {
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+        const files = await Promise.all(entries.map(entry => {
+            const fullPath = path.join(dir, entry.name);
+            return entry.isDirectory() ?
+                this.listBuildFiles(fullPath) :
+                [path.relative(this.buildDir, fullPath).split(path.sep).join('/')];
+        }));
+        
+        return files.flat().sort();
+    }
+
+    // Page the service worker serves for navigations while offline
+    async generateOfflinePage() {
+        const offlinePage = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>Offline - Etiosa Raymond</title>
+    <style>
+        body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center;
+            font-family: system-ui, sans-serif; background: #e8e8e8; color: #333; text-align: center; }
+        main { max-width: 420px; padding: 40px 30px; background: #fff; border-radius: 12px; }
+        h1 { margin-top: 0; font-size: 1.5rem; }
+        a { display: inline-block; margin-top: 10px; padding: 8px 16px; border-radius: 4px;
+            background: #f4d03f; color: #1a1a1a; font-weight: 600; text-decoration: none; }
+    </style>
+</head>
+<body>
+    <main>
+        <h1>You are offline</h1>
+        <p>This page has not been saved for offline use. Check your connection and try again.</p>
+        <a href="/">Try again</a>
+    </main>
+</body>
+</html>
+        `.trim();
+        
+        await fs.writeFile(path.join(this.buildDir, this.serviceWorker.offlinePage), offlinePage);
+    }
+
+    // Runs last, so the precache list covers the whole build output
     async generateServiceWorker() {
         console.log('⚙️  Generating service worker...');
         
+        const { file, offlinePage, precacheExclude, mediaMaxAge, mediaMaxEntries } = this.serviceWorker;
+        const precache = (await this.listBuildFiles())
+            .filter(buildFile => !precacheExclude.some(pattern => pattern.test(buildFile)))
+            .map(buildFile => buildFile === 'index.html' ? '/' : `/${encodeURI(buildFile)}`);
+        
         const serviceWorker = `
 /**
- * Service Worker for Etiosa Raymond Portfolio
- * Provides offline functionality and performance caching
+ * Service Worker for Etiosa Raymond Portfolio (generated by build.js)
+ * Precaches the build output. Pages are network-first with an offline fallback,
+ * CSS and JS stale-while-revalidate, images and PDFs cache-first with expiry.
+ * A new version waits until the page sends SKIP_WAITING (see js/updates.js)
  */
 
-const CACHE_NAME = 'etiosa-portfolio-v1';
-const urlsToCache = [
-    '/',
-    '/css/main.min.css',
-    '/js/main.min.js',
-    '/assets/IMG_0930.jpeg',
-    '/assets/Etiosa_Raymond_CV.pdf',
-    '/bio.html'
-];
+const VERSION = '${this.assetVersion}';
+const PRECACHE = 'etiosa-portfolio-' + VERSION;
+const RUNTIME = 'etiosa-runtime-' + VERSION;
+const MEDIA = 'etiosa-media';
+const OFFLINE_URL = '/${offlinePage}';
+const MEDIA_MAX_AGE = ${mediaMaxAge * 1000};
+const MEDIA_MAX_ENTRIES = ${mediaMaxEntries};
+const PRECACHE_URLS = ${JSON.stringify(precache, null, 4)};
 
 self.addEventListener('install', (event) => {
     event.waitUntil(
-        caches.open(CACHE_NAME)
-            .then((cache) => cache.addAll(urlsToCache))
+        caches.open(PRECACHE)
+            .then((cache) => cache.addAll(PRECACHE_URLS))
     );
 });
 
-self.addEventListener('fetch', (event) => {
-    event.respondWith(
-        caches.match(event.request)
-            .then((response) => {
-                // Return cached version or fetch from network
-                return response || fetch(event.request);
-            })
+// Remove the caches of previous versions
+self.addEventListener('activate', (event) => {
+    const current = [PRECACHE, RUNTIME, MEDIA];
+    
+    event.waitUntil(
+        caches.keys()
+            .then((cacheNames) => Promise.all(cacheNames
+                .filter((cacheName) => !current.includes(cacheName))
+                .map((cacheName) => caches.delete(cacheName))))
+            .then(() => self.clients.claim())
     );
 });
 
-self.addEventListener('activate', (event) => {
-    event.waitUntil(
-        caches.keys().then((cacheNames) => {
-            return Promise.all(
-                cacheNames.map((cacheName) => {
-                    if (cacheName !== CACHE_NAME) {
-                        return caches.delete(cacheName);
+// The page activates a waiting version when the visitor chooses to reload
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+    
+    if (request.mode === 'navigate' || /\\.html$/.test(url.pathname)) {
+        event.respondWith(networkFirst(event));
+    } else if (/\\.(css|js)$/.test(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(event));
+    } else if (/\\.(jpe?g|png|gif|webp|avif|svg|pdf)$/i.test(url.pathname)) {
+        event.respondWith(cacheFirst(event));
+    }
+});
+
+// Pages: the network, then the cached copy, then the offline page
+function networkFirst(event) {
+    const { request } = event;
+    
+    return fetch(request)
+        .then((response) => {
+            if (response.ok) {
+                const copy = response.clone();
+                event.waitUntil(caches.open(RUNTIME).then((cache) => cache.put(request, copy)));
+            }
+            return response;
+        })
+        .catch(() => caches.match(request, { ignoreSearch: true })
+            .then((cached) => cached || caches.match(OFFLINE_URL))
+            .then((cached) => cached || Response.error()));
+}
+
+// CSS and JS: the cached copy at once, refreshed from the network for the next visit
+function staleWhileRevalidate(event) {
+    const { request } = event;
+    const update = fetch(request).then((response) => {
+        if (!response.ok) return response;
+        
+        const copy = response.clone();
+        return caches.open(RUNTIME)
+            .then((cache) => cache.put(request, copy))
+            .then(() => response);
+    });
+    
+    event.waitUntil(update.catch(() => {}));
+    return caches.match(request).then((cached) => cached || update);
+}
+
+// Images and PDFs: precached or cached copies until they are MEDIA_MAX_AGE old
+function cacheFirst(event) {
+    const { request } = event;
+    
+    return caches.match(request, { cacheName: PRECACHE }).then((precached) => {
+        if (precached) return precached;
+        
+        return caches.open(MEDIA).then((cache) => cache.match(request).then((cached) => {
+            if (cached && Date.now() - Number(cached.headers.get('sw-cached-at')) < MEDIA_MAX_AGE) {
+                return cached;
+            }
+            
+            return fetch(request)
+                .then((response) => {
+                    // Partial (range) responses cannot be cached
+                    if (response.status === 200) {
+                        event.waitUntil(stamp(response.clone())
+                            .then((stamped) => cache.put(request, stamped))
+                            .then(() => trim(cache)));
                     }
+                    return response;
                 })
-            );
-        })
-    );
-});
+                .catch((error) => {
+                    if (cached) return cached;
+                    throw error;
+                });
+        }));
+    });
+}
+
+// Copy of a response that records when it was cached
+function stamp(response) {
+    return response.blob().then((body) => {
+        const headers = new Headers(response.headers);
+        headers.set('sw-cached-at', String(Date.now()));
+        
+        return new Response(body, { status: response.status, statusText: response.statusText, headers });
+    });
+}
+
+// Drop the oldest entries beyond MEDIA_MAX_ENTRIES
+function trim(cache) {
+    return cache.keys().then((requests) => Promise.all(requests
+        .slice(0, Math.max(0, requests.length - MEDIA_MAX_ENTRIES))
+        .map((request) => cache.delete(request))));
+}
         `.trim();
         
         await fs.writeFile(
-            path.join(this.buildDir, 'sw.js'),
+            path.join(this.buildDir, file),
             serviceWorker
         );
         
-        console.log('✨ Service worker generated');
+        console.log(`✨ Service worker generated (${precache.length} precached files, version ${this.assetVersion})`);
+    }
+
+    // Performance budgets (budgets.js, shared with the webpack build); fails the build
+    // with a table of the violations
+    async checkBudgets() {
+        console.log('📏 Checking performance budgets...');
+        
+        const files = new Map();
+        for (const file of await this.listBuildFiles()) {
+            files.set(file, await fs.readFile(path.join(this.buildDir, file)));
+        }
+        
+        const violations = checkBudgets(files);
+        if (violations.length) {
+            console.error(`\n${formatTable(violations)}\n`);
+            throw new Error(`${violations.length} performance budget${violations.length === 1 ? '' : 's'} exceeded`);
+        }
+        
+        console.log('✨ All files and pages within budget');
     }
 
     async generateManifest() {
@@ -252,7 +684,7 @@ self.addEventListener('activate', (event) => {
             theme_color: "#f4d03f",
             icons: [
                 {
-                    src: "assets/IMG_0930.jpeg",
+                    src: "assets/icon-512.jpg",
                     sizes: "512x512",
                     type: "image/jpeg",
                     purpose: "any maskable"
@@ -262,12 +694,221 @@ self.addEventListener('activate', (event) => {
         
         await fs.writeFile(
             path.join(this.buildDir, 'manifest.json'),
-            JSON.stringify(manifest, null, 2)
+            this.rewriteAssetPaths(JSON.stringify(manifest, null, 2))
         );
         
         console.log('✨ Web app manifest generated');
     }
 
+    // Documents generated from the data model: file -> content. The webpack build
+    // emits them as well (StaticFilesPlugin), for the download links of the page
+    async renderDataDocuments() {
+        const JsonResume = require('./js/json-resume.js');
+        const Europass = require('./js/europass.js');
+        const data = JSON.parse(
+            await fs.readFile(path.join(this.sourceDir, this.dataFile), 'utf8')
+        );
+        
+        return {
+            'resume.json': JSON.stringify(JsonResume.fromPortfolio(data), null, 2),
+            'europass.xml': Europass.generate('xml', data),
+            'europass.json': Europass.generate('json', data)
+        };
+    }
+
+    async generateDataDocuments() {
+        console.log('📇 Generating JSON Resume and Europass CV...');
+        
+        const documents = await this.renderDataDocuments();
+        for (const [file, content] of Object.entries(documents)) {
+            await fs.writeFile(path.join(this.buildDir, file), this.rewriteAssetPaths(content));
+        }
+        
+        console.log(`✨ ${Object.keys(documents).join(', ')} generated`);
+    }
+
+    // Run the accessibility rules (js/accessibility-rules.js) and static SEO checks against
+    // the built pages in jsdom. options: { failOn, report: directory for JSON/HTML reports }
+    async audit(options = {}) {
+        console.log('🔎 Auditing built pages...');
+        
+        const failOn = options.failOn || this.auditFailOn;
+        const { severities } = require('./js/accessibility-rules.js');
+        if (!severities.includes(failOn)) {
+            console.error(`❌ Unknown severity "${failOn}", use one of: ${severities.join(', ')}`);
+            process.exit(1);
+        }
+        
+        let JSDOM, VirtualConsole;
+        try {
+            ({ JSDOM, VirtualConsole } = require('jsdom'));
+        } catch (error) {
+            console.error('❌ The audit needs jsdom: npm install --save-dev jsdom');
+            process.exit(1);
+        }
+        
+        const scripts = await Promise.all(this.auditScripts.map(file =>
+            fs.readFile(path.join(this.sourceDir, file), 'utf8')));
+        
+        const reports = [];
+        for (const page of this.auditPages) {
+            const file = path.join(this.buildDir, page);
+            if (!existsSync(file)) {
+                console.warn(`⚠️  ${page} not found in dist, skipping...`);
+                continue;
+            }
+            
+            // Page scripts don't run; only the rule engine is evaluated in the page's window
+            const dom = new JSDOM(await fs.readFile(file, 'utf8'), {
+                url: `${this.siteURL}/${page}`,
+                runScripts: 'outside-only',
+                virtualConsole: new VirtualConsole()
+            });
+            scripts.forEach(script => dom.window.eval(script));
+            
+            const { AccessibilityRules } = dom.window;
+            this.seoRules().forEach(rule => AccessibilityRules.register(rule));
+            
+            const rules = AccessibilityRules.list()
+                .map(rule => rule.id)
+                .filter(id => !this.auditSkipRules.includes(id));
+            const report = AccessibilityRules.run(dom.window.document, { rules });
+            
+            reports.push(report);
+            this.printAuditReport(page, report);
+            
+            if (options.report) {
+                const name = path.basename(page, '.html');
+                await fs.mkdir(options.report, { recursive: true });
+                await fs.writeFile(path.join(options.report, `${name}.json`), AccessibilityRules.toJSON(report));
+                await fs.writeFile(path.join(options.report, `${name}.html`), AccessibilityRules.toHTML(report));
+            }
+            
+            dom.window.close();
+        }
+        
+        if (!reports.length) {
+            console.error('❌ No built pages to audit, run `node build.js` first');
+            process.exit(1);
+        }
+        
+        const failing = severities.slice(0, severities.indexOf(failOn) + 1);
+        const failures = reports.reduce((total, report) =>
+            total + failing.reduce((count, severity) => count + report.summary[severity], 0), 0);
+        
+        if (options.report) {
+            console.log(`📁 Reports written to ${options.report}`);
+        }
+        
+        if (failures > 0) {
+            console.error(`❌ Audit failed: ${failures} issues at ${failOn} severity or above`);
+            process.exit(1);
+        }
+        
+        console.log(`✅ Audit passed (no issues at ${failOn} severity or above)`);
+    }
+
+    printAuditReport(page, report) {
+        const { summary } = report;
+        console.log(`\n📄 ${page}: ${summary.total} issues ` +
+            `(critical ${summary.critical}, serious ${summary.serious}, moderate ${summary.moderate}, minor ${summary.minor})`);
+        
+        report.issues.forEach(issue => {
+            const reference = issue.wcag ? ` [WCAG ${issue.wcag}]` : '';
+            console.log(`   ${issue.severity.padEnd(8)} ${issue.type}${reference}: ${issue.message}`);
+            if (issue.selector) console.log(`            ${issue.selector}`);
+        });
+    }
+
+    // Static SEO checks, run through the accessibility rule registry (ids start with "seo-")
+    seoRules() {
+        const buildDir = this.buildDir;
+        const content = (document, selector) =>
+            (document.querySelector(selector)?.getAttribute('content') || '').trim();
+        
+        return [
+            {
+                id: 'seo-title',
+                severity: 'serious',
+                description: 'Page title is missing or too long',
+                check(root, { document }) {
+                    const title = document.title.trim();
+                    if (!title) return 'Page has no <title>';
+                    if (title.length > 60) {
+                        return { severity: 'minor', message: `Title is ${title.length} characters; search results show about 60` };
+                    }
+                }
+            },
+            {
+                id: 'seo-description',
+                severity: 'serious',
+                description: 'Meta description is missing or outside 50-160 characters',
+                check(root, { document }) {
+                    const description = content(document, 'meta[name="description"]');
+                    if (!description) return 'Page has no meta description';
+                    if (description.length < 50 || description.length > 160) {
+                        return { severity: 'minor', message: `Meta description is ${description.length} characters; aim for 50-160` };
+                    }
+                }
+            },
+            {
+                id: 'seo-viewport',
+                severity: 'serious',
+                description: 'Page has no viewport meta tag',
+                check(root, { document }) {
+                    if (!document.querySelector('meta[name="viewport"]')) return 'Page has no viewport meta tag';
+                }
+            },
+            {
+                id: 'seo-h1',
+                severity: 'moderate',
+                description: 'Page should have exactly one h1',
+                check(root) {
+                    const headings = root.querySelectorAll('h1');
+                    if (headings.length !== 1) return `Page has ${headings.length} h1 elements; use exactly one`;
+                }
+            },
+            {
+                id: 'seo-open-graph',
+                severity: 'moderate',
+                description: 'Open Graph tags are missing',
+                check(root, { document }) {
+                    return ['og:title', 'og:description', 'og:image', 'og:url']
+                        .filter(property => !content(document, `meta[property="${property}"]`))
+                        .map(property => `Missing <meta property="${property}">`);
+                }
+            },
+            {
+                id: 'seo-canonical',
+                severity: 'minor',
+                description: 'Page has no canonical link',
+                check(root, { document }) {
+                    if (!document.querySelector('link[rel="canonical"]')) return 'Page has no <link rel="canonical">';
+                }
+            },
+            {
+                id: 'seo-broken-link',
+                severity: 'serious',
+                description: 'Reference to a file that is not in the build',
+                selector: 'a[href], img[src], script[src], link[rel~="stylesheet"][href], link[rel~="preload"][href], ' +
+                    'link[rel~="icon"][href], link[rel~="manifest"][href]',
+                check(element, { document }) {
+                    const attribute = element.hasAttribute('href') ? 'href' : 'src';
+                    const value = element.getAttribute(attribute);
+                    if (!value || value.startsWith('#')) return;
+                    
+                    const url = new URL(value, document.location.href);
+                    if (url.origin !== document.location.origin) return;
+                    
+                    const file = decodeURIComponent(url.pathname).replace(/^\//, '') || 'index.html';
+                    if (!existsSync(path.join(buildDir, file))) {
+                        return `${attribute}="${value}" is not in the build`;
+                    }
+                }
+            }
+        ];
+    }
+
     minifyCSS(css) {
         return css
             .replace(/\/\*[\s\S]*?\*\//g, '') // Remove comments
@@ -279,20 +920,31 @@ self.addEventListener('activate', (event) => {
             .trim();
     }
 
-    minifyJS(js) {
-        return js
-            .replace(/\/\*[\s\S]*?\*\//g, '') // Remove block comments
-            .replace(/\/\/.*$/gm, '') // Remove line comments
-            .replace(/\s+/g, ' ') // Collapse whitespace
-            .replace(/;\s*}/g, '}') // Clean up
-            .trim();
+    // Tokenizer-based minification (see js-minifier.js); throws a SyntaxError naming the
+    // file and line when the output does not parse
+    minifyJS(js, file = '<input>') {
+        return new JSMinifier({ mangle: this.mangle }).minify(js, file);
     }
 }
 
-// Run build if called directly
+// Run build if called directly; `node build.js --mangle` also renames local variables.
+// `node build.js audit [--fail-on=<severity>] [--report=<dir>]` audits the built pages instead
 if (require.main === module) {
     const builder = new PortfolioBuildTool();
-    builder.build();
+    const args = process.argv.slice(2);
+    const command = args.find(arg => !arg.startsWith('--'));
+    const option = name => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+    
+    if (command === 'audit') {
+        builder.audit({ failOn: option('fail-on'), report: option('report') })
+            .catch(error => {
+                console.error('❌ Audit failed:', error);
+                process.exitCode = 1;
+            });
+    } else {
+        builder.mangle = args.includes('--mangle');
+        builder.build();
+    }
 }
 
-module.exports = PortfolioBuildTool;
\ No newline at end of file
+module.exports = PortfolioBuildTool;
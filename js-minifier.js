@@ -0,0 +1,790 @@
+/**
+ * JS Minifier - Tokenizer-based minifier for the legacy build (see build.js)
+ * Strings, template literals, regular expressions and comments are read as tokens, so
+ * "//" inside them is kept. Newlines stay only where automatic semicolon insertion may
+ * depend on them. With { mangle: true } local variables and parameters get short names;
+ * globals and properties keep theirs. The output is parsed again and errors name the
+ * file and source line.
+ */
+
+const vm = require('vm');
+
+// Words that are never renamed or generated: keywords, contextual keywords and special names
+const KEYWORDS = new Set([
+    'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default',
+    'delete', 'do', 'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function',
+    'if', 'import', 'in', 'instanceof', 'new', 'null', 'return', 'super', 'switch', 'this',
+    'throw', 'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield',
+    'let', 'static', 'implements', 'interface', 'package', 'private', 'protected', 'public',
+    'async', 'get', 'set', 'of', 'arguments', 'eval', 'undefined', 'NaN', 'Infinity'
+]);
+
+// Keywords after which a slash starts a regular expression and a brace an object literal
+const BEFORE_EXPRESSION = new Set([
+    'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw',
+    'case', 'do', 'else', 'yield', 'await'
+]);
+
+// Keywords whose statement ends at a line break (return\nvalue returns undefined)
+const RESTRICTED = new Set(['return', 'break', 'continue', 'throw', 'yield']);
+
+// Longest first, so "===" is not read as "==" and "="
+const PUNCTUATORS = [
+    '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+    '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=', '/=',
+    '%=', '&=', '|=', '^=', '**', '<<', '>>',
+    '{', '}', '(', ')', '[', ']', ';', ',', '<', '>', '+', '-', '*', '/', '%', '&', '|', '^',
+    '!', '~', '?', ':', '=', '.', '@'
+];
+
+const NAME = /#?[\p{ID_Start}$_][\p{ID_Continue}$\u200c\u200d]*/uy;
+const NUMBER = /(?:0[xX][\da-fA-F_]+|0[oO][0-7_]+|0[bB][01_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?)n?/y;
+const WORD_CHAR = /[\p{ID_Continue}$#\\]|\u200c|\u200d/u;
+const LINE_BREAK = /[\n\u2028\u2029]/g;
+
+// Characters of generated names
+const NAME_START = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ_$';
+const NAME_PART = `${NAME_START}0123456789`;
+
+const isPunct = (token, ...values) => Boolean(token) && token.type === 'punct' && values.includes(token.value);
+const isName = (token, ...values) => Boolean(token) && token.type === 'name' && (!values.length || values.includes(token.value));
+
+// Template pieces: `a${ (head), }b${ (middle), }c` (tail) or `abc` (complete)
+const isTemplateHead = token => token.type === 'template' && token.value.startsWith('`') && token.value.endsWith('${');
+const isTemplateTail = token => token.type === 'template' && !token.value.startsWith('`') && token.value.endsWith('`');
+
+class JSMinifier {
+    constructor(options = {}) {
+        // Rename local variables and parameters
+        this.mangle = Boolean(options.mangle);
+    }
+
+    // Minify the source of one script; file names it in errors
+    minify(source, file = '<input>') {
+        const tokens = this.tokenize(source, file);
+        if (this.mangle) this.mangleNames(tokens, file);
+
+        const { output } = this.print(tokens);
+        this.verify(output, tokens, file);
+        return output;
+    }
+
+    // SyntaxError pointing at a file and line
+    error(message, file, line) {
+        const error = new SyntaxError(`${file}:${line}: ${message}`);
+        error.file = file;
+        error.line = line;
+        return error;
+    }
+
+    // Split source into { type, value, line, newlineBefore } tokens. type: name, number,
+    // string, template (a piece of a template literal), regex or punct
+    tokenize(source, file = '<input>') {
+        const tokens = [];
+        // One entry per open { (brace) or ${ (template)
+        const braces = [];
+        let index = source.startsWith('#!') ? source.search(LINE_BREAK) : 0;
+        let line = 1;
+        let newline = false;
+
+        if (index === -1) return tokens;
+
+        const push = (type, value, startLine = line) => {
+            tokens.push({ type, value, line: startLine, newlineBefore: newline });
+            newline = false;
+        };
+        const countLines = text => (text.match(LINE_BREAK) || []).length;
+
+        while (index < source.length) {
+            const char = source[index];
+            const start = line;
+
+            if (char === '\n' || char === '\u2028' || char === '\u2029') {
+                line++;
+                newline = true;
+                index++;
+            } else if (/\s/.test(char)) {
+                index++;
+            } else if (source.startsWith('//', index)) {
+                const end = source.slice(index).search(LINE_BREAK);
+                index = end === -1 ? source.length : index + end;
+            } else if (source.startsWith('/*', index)) {
+                const end = source.indexOf('*/', index + 2);
+                if (end === -1) throw this.error('Unterminated comment', file, start);
+
+                const lines = countLines(source.slice(index, end));
+                line += lines;
+                newline = newline || lines > 0;
+                index = end + 2;
+            } else if (char === '`' || (char === '}' && braces[braces.length - 1] === 'template')) {
+                if (char === '}') braces.pop();
+
+                const end = this.readTemplate(source, index + 1);
+                if (end === -1) throw this.error('Unterminated template literal', file, start);
+
+                const value = source.slice(index, end);
+                if (value.endsWith('${')) braces.push('template');
+                push('template', value, start);
+                line += countLines(value);
+                index = end;
+            } else if (char === '"' || char === "'") {
+                const end = this.readString(source, index + 1, char);
+                if (end === -1) throw this.error('Unterminated string', file, start);
+
+                const value = source.slice(index, end);
+                push('string', value);
+                line += countLines(value);
+                index = end;
+            } else if (/\d/.test(char) || (char === '.' && /\d/.test(source[index + 1]))) {
+                NUMBER.lastIndex = index;
+                const [value] = NUMBER.exec(source);
+                push('number', value);
+                index += value.length;
+            } else if (char === '/' && this.regexAllowed(tokens[tokens.length - 1])) {
+                const end = this.readRegex(source, index + 1);
+                if (end === -1) throw this.error('Unterminated regular expression', file, start);
+
+                push('regex', source.slice(index, end));
+                index = end;
+            } else {
+                NAME.lastIndex = index;
+                const name = NAME.exec(source);
+                if (name) {
+                    push('name', name[0]);
+                    index += name[0].length;
+                    continue;
+                }
+
+                let value = PUNCTUATORS.find(punctuator => source.startsWith(punctuator, index));
+                if (!value) throw this.error(`Unexpected character "${char}"`, file, start);
+
+                // a?.5:1 is a conditional, not optional chaining
+                if (value === '?.' && /\d/.test(source[index + 2])) value = '?';
+
+                if (value === '{') braces.push('brace');
+                if (value === '}') braces.pop();
+
+                push('punct', value);
+                index += value.length;
+            }
+        }
+
+        if (braces.includes('template')) throw this.error('Unterminated template literal', file, line);
+        return tokens;
+    }
+
+    // End of a template piece starting after ` or }: after the closing ` or the next ${
+    readTemplate(source, index) {
+        while (index < source.length) {
+            const char = source[index];
+
+            if (char === '\\') {
+                index += 2;
+            } else if (char === '`') {
+                return index + 1;
+            } else if (char === '$' && source[index + 1] === '{') {
+                return index + 2;
+            } else {
+                index++;
+            }
+        }
+        return -1;
+    }
+
+    // End of a string starting after its quote
+    readString(source, index, quote) {
+        while (index < source.length) {
+            const char = source[index];
+
+            if (char === '\\') {
+                index += source.startsWith('\r\n', index + 1) ? 3 : 2;
+            } else if (char === quote) {
+                return index + 1;
+            } else if (char === '\n' || char === '\r') {
+                return -1;
+            } else {
+                index++;
+            }
+        }
+        return -1;
+    }
+
+    // End of a regular expression starting after its slash, including the flags
+    readRegex(source, index) {
+        let inClass = false;
+
+        while (index < source.length) {
+            const char = source[index];
+
+            if (char === '\\') {
+                index += 2;
+                continue;
+            }
+            if (char === '\n' || char === '\r') return -1;
+
+            index++;
+            if (char === '[') {
+                inClass = true;
+            } else if (char === ']') {
+                inClass = false;
+            } else if (char === '/' && !inClass) {
+                while (/[a-z]/.test(source[index] || '')) index++;
+                return index;
+            }
+        }
+        return -1;
+    }
+
+    // Whether a slash after this token starts a regular expression rather than a division
+    regexAllowed(previous) {
+        if (!previous) return true;
+
+        switch (previous.type) {
+            case 'name':
+                return BEFORE_EXPRESSION.has(previous.value);
+            case 'punct':
+                return ![')', ']', '}', '++', '--'].includes(previous.value);
+            case 'template':
+                return previous.value.endsWith('${');
+            default:
+                return false;
+        }
+    }
+
+    // Join tokens with the least whitespace; with keepLines, line breaks stay where the
+    // source has them. Returns { output, lines } where lines[n] is the source line of
+    // output line n + 1
+    print(tokens, options = {}) {
+        let output = '';
+        const lines = [];
+        let previous = null;
+        let previousText = '';
+
+        tokens.forEach(token => {
+            const text = this.tokenText(token);
+
+            if (!previous) {
+                lines.push(token.line);
+            } else if (token.newlineBefore && (options.keepLines || this.needsNewline(previous, token))) {
+                output += '\n';
+                lines.push(token.line);
+            } else if (this.needsSpace(previousText, text, previous)) {
+                output += ' ';
+            }
+
+            output += text;
+            const breaks = (text.match(LINE_BREAK) || []).length;
+            for (let i = 1; i <= breaks; i++) lines.push(token.line + i);
+
+            previous = token;
+            previousText = text;
+        });
+
+        return { output, lines };
+    }
+
+    // Text of a token, renamed when mangled ({ name } becomes {name:a})
+    tokenText(token) {
+        if (!token.rename) return token.value;
+        return token.shorthand ? `${token.value}:${token.rename}` : token.rename;
+    }
+
+    // A line break is kept where automatic semicolon insertion may have ended the statement
+    needsNewline(previous, token) {
+        if (isName(previous) && RESTRICTED.has(previous.value)) return true;
+
+        const ends = ['name', 'number', 'string', 'regex'].includes(previous.type) ||
+            (previous.type === 'template' && previous.value.endsWith('`')) ||
+            isPunct(previous, ')', ']', '}', '++', '--');
+        const starts = ['name', 'number', 'string', 'regex'].includes(token.type) ||
+            (token.type === 'template' && token.value.startsWith('`')) ||
+            isPunct(token, '{', '++', '--', '!', '~');
+
+        return ends && starts;
+    }
+
+    // A space is needed where two tokens would otherwise read as one (a + +b, a / /re/, 1 .x)
+    needsSpace(previousText, text, previous) {
+        const last = previousText[previousText.length - 1];
+        const first = text[0];
+
+        return (WORD_CHAR.test(last) && WORD_CHAR.test(first)) ||
+            ((last === '+' || last === '-') && first === last) ||
+            (last === '/' && (first === '/' || first === '*')) ||
+            (last === '<' && text.startsWith('!--')) ||
+            (previous.type === 'number' && first === '.');
+    }
+
+    // Parse the output as a script. On errors the tokens are printed again with the
+    // source's line breaks, so the error can be traced to a source line
+    verify(output, tokens, file) {
+        const error = this.parse(output, file);
+        if (!error) return;
+
+        const { output: lined, lines } = this.print(tokens, { keepLines: true });
+        const linedError = this.parse(lined, file);
+        const line = linedError ? lines[this.errorLine(linedError) - 1] : this.print(tokens).lines[this.errorLine(error) - 1];
+
+        throw this.error(`Minified output does not parse: ${error.message}`, file, line || 1);
+    }
+
+    // SyntaxError of a script, or null when it parses
+    parse(code, file) {
+        try {
+            new vm.Script(code, { filename: file });
+            return null;
+        } catch (error) {
+            if (error.name !== 'SyntaxError') throw error;
+            return error;
+        }
+    }
+
+    // Line of a vm.Script SyntaxError (its stack starts with "<file>:<line>")
+    errorLine(error) {
+        return parseInt(String(error.stack).split('\n')[0].split(':').pop()) || 1;
+    }
+
+    // Give local variables and parameters short names (token.rename). Scripts that use
+    // eval or with are left alone, as are globals and properties
+    mangleNames(tokens, file = '<input>') {
+        if (tokens.some(token => isName(token, 'eval', 'with'))) return;
+
+        const global = new ScopeAnalyzer(tokens, this, file).analyze();
+        const used = new Set(tokens.filter(token => isName(token)).map(token => token.value));
+        const names = this.generateNames(used);
+
+        const rename = scope => {
+            if (!scope.isGlobal) {
+                scope.bindings.forEach(binding => {
+                    const name = names.next().value;
+                    binding.forEach(token => {
+                        token.rename = name;
+                    });
+                });
+            }
+            scope.children.forEach(rename);
+        };
+        rename(global);
+    }
+
+    // Short names in order (a, b, ... aa, ab, ...), skipping keywords and names in use
+    *generateNames(used) {
+        for (let length = 1; ; length++) {
+            const positions = new Array(length).fill(0);
+            const alphabet = position => (position ? NAME_PART : NAME_START);
+
+            while (true) {
+                const name = positions.map((index, position) => alphabet(position)[index]).join('');
+                if (!used.has(name) && !KEYWORDS.has(name)) yield name;
+
+                let position = length - 1;
+                while (position >= 0 && ++positions[position] === alphabet(position).length) {
+                    positions[position] = 0;
+                    position--;
+                }
+                if (position < 0) break;
+            }
+        }
+    }
+}
+
+// Variable scope: a function (or the global scope) or a block
+class Scope {
+    constructor(parent = null, isFunction = false) {
+        this.parent = parent;
+        this.isFunction = isFunction || !parent;
+        this.isGlobal = !parent;
+        // name -> tokens that declare or reference the variable
+        this.bindings = new Map();
+        this.children = [];
+
+        if (parent) parent.children.push(this);
+    }
+
+    functionScope() {
+        let scope = this;
+        while (!scope.isFunction) scope = scope.parent;
+        return scope;
+    }
+
+    declare(token) {
+        if (KEYWORDS.has(token.value)) return;
+
+        if (!this.bindings.has(token.value)) this.bindings.set(token.value, []);
+        this.bindings.get(token.value).push(token);
+    }
+
+    lookup(name) {
+        for (let scope = this; scope; scope = scope.parent) {
+            if (scope.bindings.has(name)) return scope.bindings.get(name);
+        }
+        return null;
+    }
+}
+
+// Scope tree of a token list. Declarations are added to their scope while walking the
+// tokens; references are resolved once every declaration is known
+class ScopeAnalyzer {
+    constructor(tokens, minifier, file) {
+        this.tokens = tokens;
+        this.minifier = minifier;
+        this.file = file;
+        this.global = new Scope();
+        this.references = [];
+
+        // Open constructs, innermost last: { type, scope, keyIndex, declaration, ... }.
+        // type: block, object, class, paren, params, pattern, bracket, template, arrow
+        // (expression body of an arrow function) or statement (for body without braces)
+        this.contexts = [{ type: 'block', scope: this.global }];
+
+        // Token index and scope of the next binding name or pattern
+        this.bindingAt = null;
+        // Scopes waiting for the next parameter list, arrow, body block, for or catch head
+        this.pendingParams = null;
+        this.pendingArrow = null;
+        this.pendingBody = null;
+        this.pendingFor = false;
+        this.pendingCatch = false;
+        this.pendingClass = false;
+        // Names handled ahead (function and class names) and colons ending a case label
+        this.handled = new Set();
+        this.caseColons = new Set();
+        this.inCase = false;
+    }
+
+    analyze() {
+        this.matchBrackets();
+
+        this.tokens.forEach((token, index) => {
+            if (token.type === 'template') {
+                this.template(token);
+            } else if (token.type === 'punct') {
+                this.punct(token, index);
+            } else if (token.type === 'name') {
+                this.name(token, index);
+            }
+        });
+
+        if (this.contexts.slice(1).some(context => !['arrow', 'statement'].includes(context.type))) {
+            throw this.minifier.error('Unbalanced brackets', this.file, this.tokens[this.tokens.length - 1].line);
+        }
+
+        this.references.forEach(token => {
+            const binding = token.scope.lookup(token.value);
+            if (binding) binding.push(token);
+        });
+
+        return this.global;
+    }
+
+    // Pair up ( [ { and template heads with their closing token (this.openers maps a
+    // closing index to its opening index, this.closers the reverse)
+    matchBrackets() {
+        this.openers = new Map();
+        this.closers = new Map();
+        const open = [];
+
+        this.tokens.forEach((token, index) => {
+            if (isPunct(token, '(', '[', '{') || isTemplateHead(token)) {
+                open.push(index);
+            } else if (isPunct(token, ')', ']', '}') || isTemplateTail(token)) {
+                if (!open.length) throw this.minifier.error(`Unexpected "${token.value}"`, this.file, token.line);
+                const opener = open.pop();
+                this.openers.set(index, opener);
+                this.closers.set(opener, index);
+            }
+        });
+
+        if (open.length) {
+            const token = this.tokens[open.pop()];
+            throw this.minifier.error(`Unclosed "${token.value}"`, this.file, token.line);
+        }
+    }
+
+    top() {
+        return this.contexts[this.contexts.length - 1];
+    }
+
+    push(context) {
+        this.contexts.push({ scope: this.top().scope, ...context });
+    }
+
+    createScope(isFunction = false) {
+        return new Scope(this.top().scope, isFunction);
+    }
+
+    // Whether index is where the next key of an object literal, object pattern or class goes
+    atKey(index) {
+        const context = this.top();
+        return ['object', 'class', 'pattern'].includes(context.type) && context.keyIndex === index;
+    }
+
+    // End arrow function bodies closed by this token, and a brace-less for body at } ) ]
+    closeImplicit(token) {
+        while (this.top().type === 'arrow' || (this.top().type === 'statement' && isPunct(token, ')', ']', '}'))) {
+            this.contexts.pop();
+        }
+    }
+
+    // Whether a { at index opens a block rather than an object literal
+    isBlock(index) {
+        const previous = this.tokens[index - 1];
+
+        if (!previous) return true;
+        if (isPunct(previous, ':')) return this.caseColons.has(index - 1);
+        if (previous.type === 'punct') return isPunct(previous, ';', '{', '}', ')');
+        if (previous.type === 'name') return !BEFORE_EXPRESSION.has(previous.value) || isName(previous, 'else', 'do');
+        return false;
+    }
+
+    // Whether the function or class keyword at index starts a declaration
+    isStatement(index) {
+        let previous = index - 1;
+        if (isName(this.tokens[previous], 'async')) previous--;
+        return previous < 0 || isPunct(this.tokens[previous], ';', '{', '}');
+    }
+
+    template(token) {
+        if (isTemplateHead(token)) {
+            this.push({ type: 'template' });
+        } else if (!token.value.startsWith('`')) {
+            this.closeImplicit(token);
+            if (isTemplateTail(token)) this.contexts.pop();
+        }
+    }
+
+    name(token, index) {
+        const tokens = this.tokens;
+        const previous = tokens[index - 1];
+        const next = tokens[index + 1];
+        const context = this.top();
+
+        // Properties (obj.name) and names handled ahead
+        if (isPunct(previous, '.', '?.') || this.handled.has(index)) return;
+
+        // Declared names of var/let/const, parameters and patterns
+        if (this.bindingAt && this.bindingAt.index === index) {
+            this.bindingAt.scope.declare(token);
+            this.bindingAt = null;
+            return;
+        }
+
+        // Keys, shorthand properties and methods of object literals, object patterns and classes
+        if (this.atKey(index)) {
+            if (isName(token, 'get', 'set', 'async', 'static') && next && (next.type !== 'punct' || isPunct(next, '[', '*'))) {
+                context.keyIndex = index + 1;
+            } else if (context.type !== 'class' && !isPunct(next, ':', '(')) {
+                token.shorthand = true;
+                if (context.type === 'pattern') {
+                    context.scope.declare(token);
+                } else {
+                    this.reference(token);
+                }
+            }
+            return;
+        }
+
+        switch (token.value) {
+            case 'var':
+            case 'let':
+            case 'const': {
+                const scope = token.value === 'var' ? context.scope.functionScope() : context.scope;
+                context.declaration = { scope };
+                this.bindingAt = { index: index + 1, scope };
+                return;
+            }
+            case 'in':
+            case 'of':
+                context.declaration = null;
+                return;
+            case 'function': {
+                const scope = this.createScope(true);
+                const nameIndex = isPunct(next, '*') ? index + 2 : index + 1;
+
+                if (isName(tokens[nameIndex])) {
+                    // Declarations belong to the enclosing function (also from blocks in sloppy mode)
+                    (this.isStatement(index) ? context.scope.functionScope() : scope).declare(tokens[nameIndex]);
+                    this.handled.add(nameIndex);
+                }
+                this.pendingParams = scope;
+                return;
+            }
+            case 'class':
+                if (isName(next) && !isName(next, 'extends')) {
+                    if (this.isStatement(index)) context.scope.declare(next);
+                    this.handled.add(index + 1);
+                }
+                this.pendingClass = true;
+                return;
+            case 'catch':
+                this.pendingCatch = isPunct(next, '(');
+                return;
+            case 'for':
+                this.pendingFor = true;
+                return;
+            case 'case':
+            case 'default':
+                if (context.type === 'block') this.inCase = true;
+                return;
+        }
+
+        // Keywords, labels and label references
+        if (KEYWORDS.has(token.value) || isName(previous, 'break', 'continue')) return;
+        if (isPunct(next, ':') && context.type === 'block' && (!previous || isPunct(previous, ';', '{', '}'))) return;
+
+        // Single arrow parameter: name => body
+        if (isPunct(next, '=>')) {
+            const scope = this.createScope(true);
+            scope.declare(token);
+            this.pendingArrow = scope;
+            return;
+        }
+
+        this.reference(token);
+    }
+
+    reference(token) {
+        if (KEYWORDS.has(token.value)) return;
+
+        token.scope = this.top().scope;
+        this.references.push(token);
+    }
+
+    punct(token, index) {
+        const tokens = this.tokens;
+        const next = tokens[index + 1];
+        const context = this.top();
+
+        switch (token.value) {
+            case '{':
+                if (this.pendingBody) {
+                    this.push({ type: 'block', scope: this.pendingBody });
+                    this.pendingBody = null;
+                } else if (this.bindingAt && this.bindingAt.index === index) {
+                    this.push({ type: 'pattern', scope: this.bindingAt.scope, keyIndex: index + 1 });
+                    this.bindingAt = null;
+                } else if (this.pendingClass) {
+                    this.push({ type: 'class', keyIndex: index + 1 });
+                    this.pendingClass = false;
+                } else if (this.isBlock(index)) {
+                    this.push({ type: 'block', scope: this.createScope() });
+                } else {
+                    this.push({ type: 'object', keyIndex: index + 1 });
+                }
+                return;
+
+            case '[':
+                if (this.bindingAt && this.bindingAt.index === index) {
+                    // Array pattern: every element is a binding
+                    this.push({ type: 'pattern', scope: this.bindingAt.scope, elements: true });
+                    this.bindingAt = { index: index + 1, scope: this.bindingAt.scope };
+                } else {
+                    this.push({ type: 'bracket' });
+                }
+                return;
+
+            case '(': {
+                const previous = tokens[index - 1];
+                const keyEnd = isPunct(previous, ']') ? this.openers.get(index - 1) : index - 1;
+                const isMethod = ['object', 'class'].includes(context.type) && context.keyIndex === keyEnd;
+                const isArrow = isPunct(tokens[this.closers.get(index) + 1], '=>');
+
+                if (this.pendingParams || isMethod || isArrow) {
+                    const scope = this.pendingParams || this.createScope(true);
+                    this.push({ type: 'params', scope, arrow: !this.pendingParams && !isMethod });
+                    this.bindingAt = { index: index + 1, scope };
+                    this.pendingParams = null;
+                } else if (this.pendingFor) {
+                    this.push({ type: 'paren', scope: this.createScope(), loop: true });
+                    this.pendingFor = false;
+                } else if (this.pendingCatch) {
+                    const scope = this.createScope();
+                    this.push({ type: 'paren', scope, handler: true });
+                    this.bindingAt = { index: index + 1, scope };
+                    this.pendingCatch = false;
+                } else {
+                    this.push({ type: 'paren' });
+                }
+                return;
+            }
+
+            case ')':
+            case ']':
+            case '}': {
+                this.closeImplicit(token);
+                const closed = this.contexts.pop();
+
+                if (closed.type === 'params' && closed.arrow) {
+                    this.pendingArrow = closed.scope;
+                } else if (closed.type === 'params' || closed.handler) {
+                    this.pendingBody = closed.scope;
+                } else if (closed.loop && isPunct(next, '{')) {
+                    this.pendingBody = closed.scope;
+                } else if (closed.loop) {
+                    this.push({ type: 'statement', scope: closed.scope });
+                }
+
+                if (this.top().type === 'class') this.top().keyIndex = index + 1;
+                return;
+            }
+
+            case ',': {
+                this.closeImplicit(token);
+                const current = this.top();
+
+                if (current.type === 'params' || current.elements) {
+                    this.bindingAt = { index: index + 1, scope: current.scope };
+                } else if (['object', 'class', 'pattern'].includes(current.type)) {
+                    current.keyIndex = index + 1;
+                } else if (current.declaration) {
+                    this.bindingAt = { index: index + 1, scope: current.declaration.scope };
+                }
+                return;
+            }
+
+            case ';': {
+                this.closeImplicit(token);
+                const current = this.top();
+
+                current.declaration = null;
+                if (current.type === 'class') current.keyIndex = index + 1;
+                if (current.type === 'statement') this.contexts.pop();
+                return;
+            }
+
+            case ':':
+                if (this.inCase && context.type === 'block') {
+                    this.caseColons.add(index);
+                    this.inCase = false;
+                } else if (context.type === 'pattern' && !context.elements) {
+                    this.bindingAt = { index: index + 1, scope: context.scope };
+                }
+                return;
+
+            case '...':
+                if (this.atKey(index) && context.type === 'pattern') {
+                    this.bindingAt = { index: index + 1, scope: context.scope };
+                } else if (this.bindingAt && this.bindingAt.index === index) {
+                    this.bindingAt = { index: index + 1, scope: this.bindingAt.scope };
+                }
+                return;
+
+            case '*':
+                if (this.atKey(index)) context.keyIndex = index + 1;
+                return;
+
+            case '=>':
+                if (!this.pendingArrow) return;
+
+                if (isPunct(next, '{')) {
+                    this.pendingBody = this.pendingArrow;
+                } else {
+                    this.push({ type: 'arrow', scope: this.pendingArrow });
+                }
+                this.pendingArrow = null;
+                return;
+        }
+    }
+}
+
+module.exports = JSMinifier;
@@ -0,0 +1,638 @@
+/**
+ * Accessibility Rules - Rule registry behind AccessibilityManager.auditAccessibility()
+ * A rule is { id, wcag, severity, description, selector, check(element, context) }.
+ * check runs for every element matching selector (or once with the audited root when
+ * selector is null) and returns nothing when it passes, or a message, an issue object
+ * ({ message, element, ...details }) or a list of them when it fails.
+ */
+
+const AccessibilityRules = {
+    // Registered rules by id
+    registry: new Map(),
+
+    // Most severe first; reports are sorted in this order
+    severities: ['critical', 'serious', 'moderate', 'minor'],
+
+    focusableSelector: 'a[href], area[href], button, input, select, textarea, iframe, summary, ' +
+        '[contenteditable="true"], [tabindex]',
+
+    // Add or replace a rule
+    register(rule) {
+        if (!rule || !rule.id || typeof rule.check !== 'function') {
+            throw new Error('Accessibility rules need an id and a check function');
+        }
+        if (rule.severity && !this.severities.includes(rule.severity)) {
+            throw new Error(`Unknown severity "${rule.severity}" for rule "${rule.id}"`);
+        }
+
+        this.registry.set(rule.id, {
+            wcag: null,
+            severity: 'moderate',
+            description: '',
+            selector: null,
+            ...rule
+        });
+    },
+
+    unregister(id) {
+        this.registry.delete(id);
+    },
+
+    get(id) {
+        return this.registry.get(id) || null;
+    },
+
+    list() {
+        return Array.from(this.registry.values());
+    },
+
+    // Run the rules against root. options: { rules: [ids], level: 'AA' | 'AAA' }
+    run(root = document, options = {}) {
+        const { rules = null, level = 'AA' } = options;
+        const doc = root.ownerDocument || root;
+        const context = { root, document: doc, level, rules: this };
+        const issues = [];
+
+        this.list()
+            .filter(rule => !rules || rules.includes(rule.id))
+            .forEach(rule => {
+                const targets = rule.selector ? Array.from(root.querySelectorAll(rule.selector)) : [root];
+
+                targets.forEach(target => {
+                    let results;
+                    try {
+                        results = rule.check(target, context);
+                    } catch (error) {
+                        console.warn(`Accessibility rule "${rule.id}" failed:`, error);
+                        return;
+                    }
+
+                    [].concat(results || []).forEach(result => {
+                        issues.push(this.createIssue(rule, target, result));
+                    });
+                });
+            });
+
+        issues.sort((a, b) => this.severities.indexOf(a.severity) - this.severities.indexOf(b.severity));
+
+        return {
+            url: doc.location ? doc.location.href : null,
+            title: doc.title || '',
+            date: new Date().toISOString(),
+            level,
+            rules: rules ? rules.length : this.registry.size,
+            summary: this.summarize(issues),
+            issues
+        };
+    },
+
+    // Normalize a check result into an issue
+    createIssue(rule, target, result) {
+        const details = typeof result === 'string' ? { message: result } : result;
+        const element = details.element || (target.nodeType === 1 ? target : null);
+
+        return {
+            ...details,
+            type: rule.id,
+            wcag: details.wcag || rule.wcag,
+            severity: details.severity || rule.severity,
+            message: details.message || rule.description,
+            element,
+            selector: element ? this.describe(element) : null
+        };
+    },
+
+    // Issue counts per severity
+    summarize(issues) {
+        const summary = { total: issues.length };
+        this.severities.forEach(severity => {
+            summary[severity] = issues.filter(issue => issue.severity === severity).length;
+        });
+        return summary;
+    },
+
+    // Unique CSS path of an element, e.g. "#education > div:nth-of-type(2) > span"
+    describe(element) {
+        const path = [];
+
+        for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+            if (node.id && node.ownerDocument.querySelectorAll(`#${this.escape(node.id)}`).length === 1) {
+                path.unshift(`#${this.escape(node.id)}`);
+                break;
+            }
+
+            let part = node.tagName.toLowerCase();
+            const parent = node.parentElement;
+            if (parent) {
+                const siblings = Array.from(parent.children).filter(child => child.tagName === node.tagName);
+                if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+            }
+            path.unshift(part);
+        }
+
+        return path.join(' > ');
+    },
+
+    escape(value) {
+        return typeof CSS !== 'undefined' && CSS.escape ? CSS.escape(value) : String(value).replace(/([^\w-])/g, '\\$1');
+    },
+
+    // Report without element references, as a JSON string
+    toJSON(report) {
+        return JSON.stringify(report, (key, value) => (key === 'element' ? undefined : value), 2);
+    },
+
+    // Self-contained HTML page for a report
+    toHTML(report) {
+        const escape = Utils.string.escapeHTML;
+        const rows = report.issues.map(issue => `
+                <tr class="severity-${issue.severity}">
+                    <td>${escape(issue.severity)}</td>
+                    <td>${escape(issue.type)}</td>
+                    <td>${escape(issue.wcag || '')}</td>
+                    <td>${escape(issue.message)}</td>
+                    <td><code>${escape(issue.selector || '')}</code></td>
+                </tr>`).join('');
+        const counts = this.severities
+            .map(severity => `<li class="severity-${severity}">${severity}: ${report.summary[severity]}</li>`)
+            .join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Accessibility report - ${escape(report.title)}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, "Helvetica Neue", Arial, sans-serif; margin: 2rem; color: #1a1a1a; }
+        table { border-collapse: collapse; width: 100%; font-size: 14px; }
+        th, td { border: 1px solid #ccc; padding: 6px 8px; text-align: left; vertical-align: top; }
+        th { background: #f2f2f2; }
+        ul { display: flex; gap: 1rem; padding: 0; list-style: none; }
+        .severity-critical td:first-child, li.severity-critical { color: #b00020; font-weight: 700; }
+        .severity-serious td:first-child, li.severity-serious { color: #c43e00; font-weight: 700; }
+        .severity-moderate td:first-child, li.severity-moderate { color: #7a5d00; }
+        .severity-minor td:first-child, li.severity-minor { color: #4d4d4d; }
+    </style>
+</head>
+<body>
+    <h1>Accessibility report</h1>
+    <p>${escape(report.url || report.title)} &middot; WCAG ${escape(report.level)} &middot; ${escape(report.date)}</p>
+    <p>${report.summary.total} issues from ${report.rules} rules</p>
+    <ul>${counts}</ul>
+    <table>
+        <thead>
+            <tr><th>Severity</th><th>Rule</th><th>WCAG</th><th>Issue</th><th>Element</th></tr>
+        </thead>
+        <tbody>${rows || '<tr><td colspan="5">No issues found</td></tr>'}
+        </tbody>
+    </table>
+</body>
+</html>
+`;
+    },
+
+    // Helpers shared by the rules
+
+    // Text of an element as assistive technology names it (simplified accessible name)
+    getName(element) {
+        const doc = element.ownerDocument;
+        const labelledBy = (element.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean);
+        if (labelledBy.length) {
+            const text = labelledBy.map(id => doc.getElementById(id)?.textContent || '').join(' ').trim();
+            if (text) return text;
+        }
+
+        const label = (element.getAttribute('aria-label') || '').trim();
+        if (label) return label;
+
+        if (element.tagName === 'IMG' || element.tagName === 'AREA') {
+            return (element.getAttribute('alt') || '').trim();
+        }
+
+        if (element.id && /^(INPUT|SELECT|TEXTAREA)$/.test(element.tagName)) {
+            const labelElement = doc.querySelector(`label[for="${this.escape(element.id)}"]`) || element.closest('label');
+            if (labelElement) return labelElement.textContent.trim();
+        }
+
+        const text = Array.from(element.childNodes).map(node => {
+            if (node.nodeType === 3) return node.textContent;
+            if (node.nodeType !== 1 || node.getAttribute('aria-hidden') === 'true') return '';
+            return this.getName(node);
+        }).join(' ').replace(/\s+/g, ' ').trim();
+
+        return text || (element.getAttribute('title') || '').trim();
+    },
+
+    // Whether the element is rendered (not display: none, visibility: hidden or [hidden])
+    isRendered(element) {
+        const view = element.ownerDocument.defaultView;
+
+        for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+            if (node.hidden) return false;
+
+            const styles = view.getComputedStyle(node);
+            if (styles.display === 'none') return false;
+            if (node === element && styles.visibility === 'hidden') return false;
+        }
+
+        return true;
+    },
+
+    // Whether the element takes keyboard focus
+    isFocusable(element) {
+        if (!element.matches(this.focusableSelector)) return false;
+        if (element.disabled || element.getAttribute('tabindex') === '-1') return false;
+        if (element.tagName === 'INPUT' && element.type === 'hidden') return false;
+
+        return this.isRendered(element);
+    },
+
+    // WCAG 2.x minimum contrast ratios; large text is 24px, or 18.66px (14pt) when bold
+    contrastThresholds: {
+        AA: { normal: 4.5, large: 3 },
+        AAA: { normal: 7, large: 4.5 }
+    },
+
+    // Measured contrast of a text element against its effective background: issue details
+    // when it is below the level's threshold, otherwise null (used by the color-contrast rule)
+    measureContrast(element, level = 'AA') {
+        if (!this.hasOwnText(element)) return null;
+
+        const styles = element.ownerDocument.defaultView.getComputedStyle(element);
+        if (styles.display === 'none' || styles.visibility === 'hidden') return null;
+
+        const colors = this.getEffectiveColors(element);
+        if (!colors) return null; // Text over an image or gradient can't be measured
+
+        const large = this.isLargeText(styles);
+        const required = this.contrastThresholds[level][large ? 'large' : 'normal'];
+        const ratio = Utils.color.contrast(colors.foreground, colors.background);
+
+        if (ratio >= required) return null;
+
+        const suggestion = this.findPassingColor(colors.foreground, colors.background, required);
+
+        return {
+            element: element,
+            message: `Contrast ${ratio.toFixed(2)}:1 is below ${required}:1 (${level}, ${large ? 'large' : 'normal'} text)` +
+                (suggestion ? `; nearest passing text colour ${suggestion}` : ''),
+            ratio: Utils.number.round(ratio, 2),
+            required,
+            level,
+            large,
+            foreground: Utils.color.toHex(colors.foreground),
+            background: Utils.color.toHex(colors.background),
+            suggestion
+        };
+    },
+
+    // Whether the element renders text itself rather than only through its children
+    hasOwnText(element) {
+        return Array.from(element.childNodes).some(node => node.nodeType === 3 && node.textContent.trim());
+    },
+
+    isLargeText(styles) {
+        const size = parseFloat(styles.fontSize);
+        const bold = parseInt(styles.fontWeight, 10) >= 700 || styles.fontWeight === 'bold';
+        return size >= 24 || (bold && size >= 18.66);
+    },
+
+    // Opaque text and background colours as painted: background layers are composited from
+    // the nearest opaque ancestor (or the white canvas) upwards, then the text colour on top.
+    // Returns null when a background image sits behind the text
+    getEffectiveColors(element) {
+        const view = element.ownerDocument.defaultView;
+        const layers = [];
+
+        for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+            const styles = view.getComputedStyle(node);
+            if (styles.backgroundImage && styles.backgroundImage !== 'none') return null;
+
+            const layer = Utils.color.parse(styles.backgroundColor);
+            if (!layer || layer.a === 0) continue;
+
+            layers.push(layer);
+            if (layer.a >= 1) break;
+        }
+
+        const canvas = { r: 255, g: 255, b: 255, a: 1 };
+        const background = layers.reduceRight((backdrop, layer) => Utils.color.composite(layer, backdrop), canvas);
+
+        const text = Utils.color.parse(view.getComputedStyle(element).color);
+        if (!text) return null;
+
+        return { foreground: Utils.color.composite(text, background), background };
+    },
+
+    // Closest colour to the text colour (mixed towards black or white) that meets the ratio,
+    // or null when neither direction gets there
+    findPassingColor(foreground, background, required) {
+        const candidates = [
+            { r: 0, g: 0, b: 0, a: 1 },
+            { r: 255, g: 255, b: 255, a: 1 }
+        ].map(target => {
+            if (Utils.color.contrast(target, background) < required) return null;
+
+            // Whole channel values, so the suggested hex colour itself passes
+            const mixed = amount => Utils.color.parse(Utils.color.toHex(Utils.color.mix(foreground, target, amount)));
+
+            // The ratio grows with the mix amount, so search for the smallest one that passes
+            let low = 0;
+            let high = 1;
+            for (let step = 0; step < 16; step++) {
+                const middle = (low + high) / 2;
+                if (Utils.color.contrast(mixed(middle), background) >= required) {
+                    high = middle;
+                } else {
+                    low = middle;
+                }
+            }
+
+            return { amount: high, color: mixed(high) };
+        }).filter(Boolean);
+
+        if (!candidates.length) return null;
+
+        const [nearest] = candidates.sort((a, b) => a.amount - b.amount);
+        return Utils.color.toHex(nearest.color);
+    },
+
+    // WCAG 2.1 role names (ARIA 1.2), abstract roles excluded
+    roles: new Set([
+        'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption', 'cell',
+        'checkbox', 'code', 'columnheader', 'combobox', 'complementary', 'contentinfo', 'definition', 'deletion',
+        'dialog', 'directory', 'document', 'emphasis', 'feed', 'figure', 'form', 'generic', 'grid', 'gridcell',
+        'group', 'heading', 'img', 'insertion', 'link', 'list', 'listbox', 'listitem', 'log', 'main', 'marquee',
+        'math', 'menu', 'menubar', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'meter', 'navigation', 'none',
+        'note', 'option', 'paragraph', 'presentation', 'progressbar', 'radio', 'radiogroup', 'region', 'row',
+        'rowgroup', 'rowheader', 'scrollbar', 'search', 'searchbox', 'separator', 'slider', 'spinbutton', 'status',
+        'strong', 'subscript', 'superscript', 'switch', 'tab', 'table', 'tablist', 'tabpanel', 'term', 'textbox',
+        'time', 'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem'
+    ]),
+
+    // ARIA 1.2 states and properties
+    attributes: new Set([
+        'aria-activedescendant', 'aria-atomic', 'aria-autocomplete', 'aria-braillelabel', 'aria-brailleroledescription',
+        'aria-busy', 'aria-checked', 'aria-colcount', 'aria-colindex', 'aria-colindextext', 'aria-colspan',
+        'aria-controls', 'aria-current', 'aria-describedby', 'aria-description', 'aria-details', 'aria-disabled',
+        'aria-dropeffect', 'aria-errormessage', 'aria-expanded', 'aria-flowto', 'aria-grabbed', 'aria-haspopup',
+        'aria-hidden', 'aria-invalid', 'aria-keyshortcuts', 'aria-label', 'aria-labelledby', 'aria-level',
+        'aria-live', 'aria-modal', 'aria-multiline', 'aria-multiselectable', 'aria-orientation', 'aria-owns',
+        'aria-placeholder', 'aria-posinset', 'aria-pressed', 'aria-readonly', 'aria-relevant', 'aria-required',
+        'aria-roledescription', 'aria-rowcount', 'aria-rowindex', 'aria-rowindextext', 'aria-rowspan',
+        'aria-selected', 'aria-setsize', 'aria-sort', 'aria-valuemax', 'aria-valuemin', 'aria-valuenow',
+        'aria-valuetext'
+    ]),
+
+    // Attributes whose value is a list of element ids
+    referenceAttributes: ['aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-owns', 'aria-flowto',
+        'aria-activedescendant', 'aria-errormessage', 'aria-details']
+};
+
+// Built-in rules
+[
+    {
+        id: 'image-alt',
+        wcag: '1.1.1',
+        severity: 'critical',
+        description: 'Image missing alt text',
+        selector: 'img',
+        check(image) {
+            if (image.hasAttribute('alt') || image.hasAttribute('aria-label') || image.hasAttribute('aria-labelledby')) return;
+            if (['presentation', 'none'].includes(image.getAttribute('role'))) return;
+            return 'Image missing alt text';
+        }
+    },
+    {
+        id: 'color-contrast',
+        wcag: '1.4.3',
+        severity: 'serious',
+        description: 'Text and background colors have poor contrast',
+        selector: 'p, h1, h2, h3, h4, h5, h6, span, a, button, li, label',
+        // WCAG 1.4.6 at level AAA
+        check(element, { level, rules }) {
+            const result = rules.measureContrast(element, level);
+            return result && { ...result, wcag: level === 'AAA' ? '1.4.6' : '1.4.3' };
+        }
+    },
+    {
+        id: 'form-label',
+        wcag: '3.3.2',
+        severity: 'serious',
+        description: 'Form control missing label',
+        selector: 'input:not([type="hidden"]), textarea, select',
+        check(input, { rules }) {
+            if (!rules.getName(input) && !input.hasAttribute('title')) return 'Form control missing label';
+        }
+    },
+    {
+        id: 'keyboard-access',
+        wcag: '2.1.1',
+        severity: 'serious',
+        description: 'Interactive element not keyboard accessible',
+        selector: 'button, a[href], [onclick], [role="button"], [role="link"]',
+        check(element, { rules }) {
+            if (element.getAttribute('aria-hidden') === 'true' || element.disabled || !rules.isRendered(element)) return;
+
+            const reachable = element.matches('button, a[href]') ? element.tabIndex >= 0 : element.getAttribute('tabindex') !== null && element.tabIndex >= 0;
+            if (!reachable) return 'Interactive element not keyboard accessible';
+        }
+    },
+    {
+        id: 'heading-order',
+        wcag: '1.3.1',
+        severity: 'moderate',
+        description: 'Heading levels should not be skipped',
+        check(root) {
+            let previousLevel = 0;
+
+            return Array.from(root.querySelectorAll('h1, h2, h3, h4, h5, h6')).map(heading => {
+                const currentLevel = parseInt(heading.tagName.charAt(1), 10);
+                const skipped = currentLevel > previousLevel + 1;
+                const issue = skipped && {
+                    element: heading,
+                    message: `Heading level ${currentLevel} follows level ${previousLevel} - levels should not be skipped`
+                };
+
+                previousLevel = currentLevel;
+                return issue;
+            }).filter(Boolean);
+        }
+    },
+    {
+        id: 'landmark-main',
+        wcag: '1.3.1',
+        severity: 'moderate',
+        description: 'Page should have exactly one main landmark',
+        check(root) {
+            const mains = Array.from(root.querySelectorAll('main, [role="main"]'));
+            if (!mains.length) return 'Page has no main landmark';
+            return mains.slice(1).map(element => ({ element, message: 'Page has more than one main landmark' }));
+        }
+    },
+    {
+        id: 'landmark-unique',
+        wcag: '1.3.1',
+        severity: 'moderate',
+        description: 'Landmarks of the same kind need distinct labels',
+        check(root, { rules }) {
+            const kinds = {
+                navigation: 'nav, [role="navigation"]',
+                region: 'section[aria-label], section[aria-labelledby], [role="region"]',
+                complementary: 'aside, [role="complementary"]',
+                form: 'form[aria-label], form[aria-labelledby], [role="form"]'
+            };
+
+            return Object.entries(kinds).flatMap(([kind, selector]) => {
+                const seen = new Map();
+
+                return Array.from(root.querySelectorAll(selector)).map(element => {
+                    const name = element.hasAttribute('aria-label') || element.hasAttribute('aria-labelledby') ?
+                        rules.getName(element) : '';
+
+                    if (seen.has(name)) {
+                        return {
+                            element,
+                            message: name ?
+                                `Two ${kind} landmarks are both labelled "${name}"` :
+                                `Several ${kind} landmarks without a label`
+                        };
+                    }
+
+                    seen.set(name, element);
+                    return null;
+                }).filter(Boolean);
+            });
+        }
+    },
+    {
+        id: 'aria-role',
+        wcag: '4.1.2',
+        severity: 'serious',
+        description: 'Invalid ARIA role',
+        selector: '[role]',
+        check(element, { rules }) {
+            const invalid = element.getAttribute('role').trim().split(/\s+/).filter(role => role && !rules.roles.has(role));
+            if (invalid.length) return `Invalid ARIA role "${invalid.join(' ')}"`;
+        }
+    },
+    {
+        id: 'aria-attribute',
+        wcag: '4.1.2',
+        severity: 'serious',
+        description: 'Unknown ARIA attribute',
+        selector: '*',
+        check(element, { rules }) {
+            return Array.from(element.attributes)
+                .filter(({ name }) => name.startsWith('aria-') && !rules.attributes.has(name))
+                .map(({ name }) => `Unknown ARIA attribute "${name}"`);
+        }
+    },
+    {
+        id: 'aria-reference',
+        wcag: '1.3.1',
+        severity: 'serious',
+        description: 'ARIA attribute refers to a missing element',
+        selector: '[aria-labelledby], [aria-describedby], [aria-controls], [aria-owns], [aria-flowto], ' +
+            '[aria-activedescendant], [aria-errormessage], [aria-details]',
+        check(element, { document, rules }) {
+            return rules.referenceAttributes.flatMap(attribute => (element.getAttribute(attribute) || '')
+                .split(/\s+/)
+                .filter(id => id && !document.getElementById(id))
+                .map(id => `${attribute} refers to missing id "${id}"`));
+        }
+    },
+    {
+        id: 'duplicate-id',
+        wcag: '4.1.1',
+        severity: 'serious',
+        description: 'Duplicate id',
+        check(root) {
+            const seen = new Set();
+
+            return Array.from(root.querySelectorAll('[id]')).map(element => {
+                if (!seen.has(element.id)) {
+                    seen.add(element.id);
+                    return null;
+                }
+                return { element, message: `Duplicate id "${element.id}"` };
+            }).filter(Boolean);
+        }
+    },
+    {
+        id: 'aria-hidden-focus',
+        wcag: '4.1.2',
+        severity: 'serious',
+        description: 'Focusable element hidden from assistive technology',
+        selector: '[aria-hidden="true"]',
+        check(container, { rules }) {
+            return [container, ...container.querySelectorAll(rules.focusableSelector)]
+                .filter(element => rules.isFocusable(element))
+                .map(element => ({ element, message: 'Focusable element inside aria-hidden="true"' }));
+        }
+    },
+    {
+        id: 'dialog-name',
+        wcag: '4.1.2',
+        severity: 'serious',
+        description: 'Dialog has no accessible name',
+        selector: 'dialog, [role="dialog"], [role="alertdialog"]',
+        check(dialog, { rules }) {
+            const labelled = dialog.hasAttribute('aria-label') || dialog.hasAttribute('aria-labelledby');
+            if (!labelled || !rules.getName(dialog)) {
+                return 'Dialog has no accessible name (aria-label or aria-labelledby)';
+            }
+        }
+    },
+    {
+        id: 'link-name',
+        wcag: '2.4.4',
+        severity: 'serious',
+        description: 'Link has no accessible name',
+        selector: 'a[href]',
+        check(link, { rules }) {
+            if (link.getAttribute('aria-hidden') !== 'true' && !rules.getName(link)) return 'Link has no accessible name';
+        }
+    },
+    {
+        id: 'button-name',
+        wcag: '4.1.2',
+        severity: 'critical',
+        description: 'Button has no accessible name',
+        selector: 'button, [role="button"], input[type="button"], input[type="submit"]',
+        check(button, { rules }) {
+            if (button.tagName === 'INPUT' && button.value.trim()) return;
+            if (button.getAttribute('aria-hidden') !== 'true' && !rules.getName(button)) return 'Button has no accessible name';
+        }
+    },
+    {
+        id: 'document-lang',
+        wcag: '3.1.1',
+        severity: 'serious',
+        description: 'Page language is not set',
+        check(root, { document }) {
+            if (!document.documentElement.getAttribute('lang')) {
+                return { element: document.documentElement, message: 'Page language is not set' };
+            }
+        }
+    },
+    {
+        id: 'document-title',
+        wcag: '2.4.2',
+        severity: 'serious',
+        description: 'Page has no title',
+        check(root, { document }) {
+            if (!document.title.trim()) return 'Page has no title';
+        }
+    }
+].forEach(rule => AccessibilityRules.register(rule));
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccessibilityRules;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.AccessibilityRules = AccessibilityRules;
+}
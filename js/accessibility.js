@@ -1,12 +1,14 @@
 /**
  * Accessibility Manager - WCAG 2.1 AA Compliance
  * Provides comprehensive accessibility features and auditing
+ * (audits run the rules in js/accessibility-rules.js, which loads first)
  */
 
 const AccessibilityManager = {
     initialized: false,
+    // Listener scope: destroy() detaches everything added through it
+    listeners: Utils.events.scope('accessibility'),
     announcer: null,
-    focusTracker: null,
     
     // Initialize accessibility features
     init() {
@@ -19,10 +21,12 @@ const AccessibilityManager = {
         this.setupFocusManagement();
         this.setupARIALabels();
         this.setupSkipLinks();
-        this.setupColorContrastMode();
         this.setupReducedMotionSupport();
+        this.setupBusAnnouncements();
         this.auditAccessibility();
         
+        if (this.isDevelopment()) this.createAccessibilityPanel();
+        
         this.initialized = true;
     },
     
@@ -60,6 +64,38 @@ const AccessibilityManager = {
         }, 1000);
     },
     
+    // Announcement text in the page language (English until I18n is loaded)
+    translate(key, params, fallback) {
+        return typeof I18n !== 'undefined' ? I18n.t(key, params, fallback) : fallback;
+    },
+    
+    // Announce what other modules report on the event bus
+    setupBusAnnouncements() {
+        const { events } = Utils;
+        
+        events.subscribe('overlay:open', ({ title }) => {
+            this.announce(this.translate('announce.opened', { title }, `${title} opened`));
+        }, { scope: this.listeners });
+        
+        events.subscribe('overlay:close', () => {
+            this.announce(this.translate('announce.overlayClosed', {}, 'Overlay closed'));
+        }, { scope: this.listeners });
+        
+        // The router updates the title before announcing the new view
+        events.subscribe('route:change', () => {
+            this.announce(this.translate('announce.loaded', { title: document.title }, `${document.title} loaded`));
+        }, { scope: this.listeners });
+        
+        events.subscribe('language:change', ({ language }) => {
+            const name = I18n.languages[language];
+            this.announce(this.translate('announce.language', { language: name }, `Language changed to ${name}`));
+        }, { scope: this.listeners });
+        
+        events.subscribe('skill:changed', ({ name, value }) => {
+            this.announce(`${name} set to ${value}%`);
+        }, { scope: this.listeners });
+    },
+    
     // Setup comprehensive keyboard navigation
     setupKeyboardNavigation() {
         // Add keyboard support to all interactive elements
@@ -72,13 +108,13 @@ const AccessibilityManager = {
                 element.setAttribute('tabindex', '0');
             }
             
-            element.addEventListener('keydown', (event) => {
+            this.listeners.on(element, 'keydown', (event) => {
                 this.handleKeyboardInteraction(event, element);
             });
         });
         
         // Global keyboard shortcuts
-        document.addEventListener('keydown', (event) => {
+        this.listeners.on(document, 'keydown', (event) => {
             this.handleGlobalKeyboardShortcuts(event);
         });
     },
@@ -111,15 +147,11 @@ const AccessibilityManager = {
     
     // Handle escape key
     handleEscape(element) {
-        // Close any open overlays
-        const openOverlays = document.querySelectorAll('.overlay.show, .modal.show, .menu-dropdown.show');
-        openOverlays.forEach(overlay => {
-            overlay.classList.remove('show');
-        });
+        // Open overlays close through the dialog manager (and announce it); close the menu here
+        if (Overlays.top() || !Store.get('menuOpen')) return;
         
-        if (openOverlays.length > 0) {
-            this.announce('Overlay closed');
-        }
+        Store.set({ menuOpen: false });
+        this.announce(this.translate('announce.menuClosed', {}, 'Menu closed'));
     },
     
     // Handle arrow key navigation
@@ -174,54 +206,12 @@ const AccessibilityManager = {
         }
     },
     
-    // Setup focus management
+    // Setup focus management (Overlays traps focus in dialogs and restores it on close)
     setupFocusManagement() {
-        this.focusTracker = {
-            previousFocus: null,
-            focusStack: []
-        };
-        
-        // Track focus changes
-        document.addEventListener('focusin', (event) => {
-            this.focusTracker.previousFocus = event.target;
-        });
-        
-        // Handle focus trapping in modals
-        document.addEventListener('keydown', (event) => {
-            if (event.key === 'Tab') {
-                this.handleTabTrapping(event);
-            }
-        });
-        
         // Add focus indicators
         this.addFocusIndicators();
     },
     
-    // Handle tab trapping in modals
-    handleTabTrapping(event) {
-        const openModal = document.querySelector('.overlay.show, .modal.show');
-        if (!openModal) return;
-        
-        const focusableElements = openModal.querySelectorAll(
-            'a[href], button:not([disabled]), textarea:not([disabled]), input:not([disabled]), select:not([disabled]), [tabindex]:not([tabindex="-1"])'
-        );
-        
-        const firstElement = focusableElements[0];
-        const lastElement = focusableElements[focusableElements.length - 1];
-        
-        if (event.shiftKey) {
-            if (document.activeElement === firstElement) {
-                lastElement.focus();
-                event.preventDefault();
-            }
-        } else {
-            if (document.activeElement === lastElement) {
-                firstElement.focus();
-                event.preventDefault();
-            }
-        }
-    },
-    
     // Add visual focus indicators
     addFocusIndicators() {
         const style = document.createElement('style');
@@ -233,8 +223,8 @@ const AccessibilityManager = {
                 box-shadow: 0 0 0 5px rgba(244, 208, 63, 0.3) !important;
             }
             
-            .high-contrast .focus-visible,
-            .high-contrast *:focus-visible {
+            [data-contrast="high"] .focus-visible,
+            [data-contrast="high"] *:focus-visible {
                 outline: 3px solid #000 !important;
                 background-color: #ff0 !important;
                 color: #000 !important;
@@ -252,23 +242,6 @@ const AccessibilityManager = {
             profileImage.setAttribute('role', 'img');
         }
         
-        // Skill bars
-        const skillBars = document.querySelectorAll('.skill-bar, .language-bar');
-        skillBars.forEach(bar => {
-            const progress = bar.querySelector('.skill-progress, .language-progress');
-            const name = bar.closest('.tool-item, .language-item')?.querySelector('.tool-name, .language-name')?.textContent;
-            const value = progress?.getAttribute('data-value');
-            
-            if (name && value) {
-                bar.setAttribute('role', 'progressbar');
-                bar.setAttribute('aria-label', `${name} proficiency`);
-                bar.setAttribute('aria-valuenow', value);
-                bar.setAttribute('aria-valuemin', '0');
-                bar.setAttribute('aria-valuemax', '100');
-                bar.setAttribute('aria-valuetext', `${value} percent`);
-            }
-        });
-        
         // Education rows
         const educationRows = document.querySelectorAll('.education-row');
         educationRows.forEach(row => {
@@ -328,11 +301,11 @@ const AccessibilityManager = {
                 z-index: 100000;
             `;
             
-            link.addEventListener('focus', () => {
+            this.listeners.on(link, 'focus', () => {
                 link.style.top = '6px';
             });
             
-            link.addEventListener('blur', () => {
+            this.listeners.on(link, 'blur', () => {
                 link.style.top = '-40px';
             });
             
@@ -340,50 +313,10 @@ const AccessibilityManager = {
         }
     },
     
-    // Setup color contrast mode
-    setupColorContrastMode() {
-        // Check for saved preference
-        const hasHighContrast = localStorage.getItem('high-contrast') === 'true';
-        if (hasHighContrast) {
-            document.body.classList.add('high-contrast');
-        }
-        
-        // Add high contrast CSS
-        const style = document.createElement('style');
-        style.textContent = `
-            .high-contrast {
-                filter: contrast(150%) brightness(120%);
-            }
-            
-            .high-contrast .profile-section {
-                background-color: #000 !important;
-                color: #fff !important;
-            }
-            
-            .high-contrast .description {
-                background-color: #ff0 !important;
-                color: #000 !important;
-            }
-            
-            .high-contrast .skill-progress,
-            .high-contrast .language-progress {
-                background-color: #000 !important;
-            }
-            
-            .high-contrast button,
-            .high-contrast .social-link {
-                background-color: #000 !important;
-                color: #fff !important;
-                border: 2px solid #fff !important;
-            }
-        `;
-        document.head.appendChild(style);
-    },
-    
-    // Toggle high contrast mode
+    // Toggle high contrast mode (the high-contrast token set, see Theme)
     toggleHighContrast() {
-        const isHighContrast = document.body.classList.toggle('high-contrast');
-        localStorage.setItem('high-contrast', isHighContrast);
+        const isHighContrast = !Store.select(Store.selectors.isHighContrast);
+        Theme.set({ contrast: isHighContrast ? 'high' : 'normal' });
         
         this.announce(
             isHighContrast ? 
@@ -392,20 +325,8 @@ const AccessibilityManager = {
         );
     },
     
-    // Setup reduced motion support
+    // Setup reduced motion support (the system or saved preference is restored by the store)
     setupReducedMotionSupport() {
-        const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-        const hasReducedMotion = localStorage.getItem('reduced-motion') === 'true';
-        
-        if (prefersReducedMotion || hasReducedMotion) {
-            this.enableReducedMotion();
-        }
-    },
-    
-    // Enable reduced motion
-    enableReducedMotion() {
-        document.body.classList.add('reduced-motion');
-        
         const style = document.createElement('style');
         style.textContent = `
             .reduced-motion *,
@@ -420,14 +341,15 @@ const AccessibilityManager = {
         document.head.appendChild(style);
     },
     
+    // Enable reduced motion
+    enableReducedMotion() {
+        Store.set({ motion: 'reduced' });
+    },
+    
     // Toggle reduced motion
     toggleReducedMotion() {
-        const hasReducedMotion = document.body.classList.toggle('reduced-motion');
-        localStorage.setItem('reduced-motion', hasReducedMotion);
-        
-        if (hasReducedMotion) {
-            this.enableReducedMotion();
-        }
+        const hasReducedMotion = !Store.select(Store.selectors.isReducedMotion);
+        Store.set({ motion: hasReducedMotion ? 'reduced' : 'full' });
         
         this.announce(
             hasReducedMotion ? 
@@ -451,141 +373,225 @@ const AccessibilityManager = {
         return className || 'interactive element';
     },
     
-    // Audit accessibility issues
-    auditAccessibility() {
-        const issues = [];
-        
-        // Check for missing alt text
-        const images = document.querySelectorAll('img');
-        images.forEach(img => {
-            if (!img.hasAttribute('alt') && !img.hasAttribute('aria-label')) {
-                issues.push({
-                    type: 'missing-alt-text',
-                    element: img,
-                    message: 'Image missing alt text'
-                });
-            }
-        });
-        
-        // Check for insufficient color contrast
-        this.checkColorContrast(issues);
-        
-        // Check for missing form labels
-        const inputs = document.querySelectorAll('input, textarea, select');
-        inputs.forEach(input => {
-            if (!input.hasAttribute('aria-label') && !input.hasAttribute('aria-labelledby') && !document.querySelector(`label[for="${input.id}"]`)) {
-                issues.push({
-                    type: 'missing-form-label',
-                    element: input,
-                    message: 'Form control missing label'
-                });
-            }
-        });
-        
-        // Check for keyboard accessibility
-        const interactiveElements = document.querySelectorAll('button, a, [onclick], [tabindex]');
-        interactiveElements.forEach(element => {
-            if (element.tabIndex < 0 && !element.hasAttribute('aria-hidden')) {
-                issues.push({
-                    type: 'keyboard-inaccessible',
-                    element: element,
-                    message: 'Interactive element not keyboard accessible'
-                });
-            }
-        });
-        
-        // Check for proper heading structure
-        this.checkHeadingStructure(issues);
+    // Audit accessibility issues with the registered rules (see AccessibilityRules).
+    // options: { rules: [ids], level: 'AA' | 'AAA' }
+    auditAccessibility(options = {}) {
+        const report = AccessibilityRules.run(document, { level: this.contrastLevel, ...options });
+        this.lastReport = report;
         
         // Log issues
-        if (issues.length > 0) {
-            console.warn('🚨 Accessibility issues found:', issues);
-            this.displayAccessibilityReport(issues);
+        if (report.issues.length > 0) {
+            console.warn('🚨 Accessibility issues found:', report.issues);
+            this.displayAccessibilityReport(report);
         } else {
             console.log('✅ No accessibility issues found');
         }
         
-        return issues;
+        return report;
+    },
+    
+    // Last audit report, for exports
+    lastReport: null,
+    
+    // Report panel and the elements it highlights
+    reportPanel: null,
+    highlighted: [],
+    
+    // Conformance level checked by the audit ('AA' or 'AAA')
+    contrastLevel: 'AA',
+    
+    // Contrast issue details for a text element, or null when it passes (see AccessibilityRules)
+    measureContrast(element, level = this.contrastLevel) {
+        return AccessibilityRules.measureContrast(element, level);
     },
     
-    // Check color contrast
-    checkColorContrast(issues) {
-        // This is a simplified contrast check
-        // In production, you'd use a more sophisticated algorithm
-        const textElements = document.querySelectorAll('p, h1, h2, h3, h4, h5, h6, span, a, button');
+    // The report and settings panels are for development only
+    isDevelopment() {
+        return ['localhost', '127.0.0.1'].includes(window.location.hostname);
+    },
+    
+    // Display accessibility report: issues listed by severity; choosing one scrolls to
+    // and highlights the offending element, and the report exports as JSON or HTML
+    displayAccessibilityReport(report) {
+        if (!this.isDevelopment()) return;
         
-        textElements.forEach(element => {
-            const styles = window.getComputedStyle(element);
-            const color = styles.color;
-            const backgroundColor = styles.backgroundColor;
+        this.closeReport();
+        this.addReportStyles();
+        
+        const panel = document.createElement('div');
+        panel.className = 'a11y-report';
+        panel.setAttribute('role', 'region');
+        panel.setAttribute('aria-label', 'Accessibility report');
+        
+        const heading = document.createElement('h4');
+        heading.textContent = `Accessibility Issues (${report.issues.length})`;
+        
+        const list = document.createElement('ol');
+        report.issues.forEach(issue => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `a11y-report-issue a11y-severity-${issue.severity}`;
+            button.textContent = `[${issue.severity}] ${issue.message}`;
+            button.title = [issue.type, issue.wcag && `WCAG ${issue.wcag}`, issue.selector].filter(Boolean).join(' · ');
+            button.disabled = !issue.element;
             
-            // Simple contrast check (you'd want a more sophisticated implementation)
-            if (color === backgroundColor) {
-                issues.push({
-                    type: 'poor-contrast',
-                    element: element,
-                    message: 'Text and background colors have poor contrast'
-                });
-            }
+            this.listeners.on(button, 'click', () => this.highlightIssue(issue));
+            
+            item.appendChild(button);
+            list.appendChild(item);
+        });
+        
+        const actions = document.createElement('div');
+        actions.className = 'a11y-report-actions';
+        [
+            ['Highlight all', () => this.highlightAll(report)],
+            ['Export JSON', () => this.exportReport('json', report)],
+            ['Export HTML', () => this.exportReport('html', report)],
+            ['Close', () => this.closeReport()]
+        ].forEach(([label, action]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            this.listeners.on(button, 'click', action);
+            actions.appendChild(button);
         });
+        
+        panel.append(heading, list, actions);
+        document.body.appendChild(panel);
+        this.reportPanel = panel;
     },
     
-    // Check heading structure
-    checkHeadingStructure(issues) {
-        const headings = document.querySelectorAll('h1, h2, h3, h4, h5, h6');
-        let previousLevel = 0;
+    // Outline the element of one issue and bring it into view
+    highlightIssue(issue) {
+        this.clearHighlights();
+        if (!issue.element || !document.contains(issue.element)) return;
+        
+        this.highlight(issue.element, issue.severity);
+        issue.element.classList.add('a11y-highlight-active');
+        issue.element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    },
+    
+    // Outline every offending element, colored by severity
+    highlightAll(report = this.lastReport) {
+        this.clearHighlights();
+        if (!report) return;
         
-        headings.forEach(heading => {
-            const currentLevel = parseInt(heading.tagName.charAt(1));
-            
-            if (currentLevel > previousLevel + 1) {
-                issues.push({
-                    type: 'heading-structure',
-                    element: heading,
-                    message: `Heading level ${currentLevel} follows level ${previousLevel} - levels should not be skipped`
-                });
-            }
-            
-            previousLevel = currentLevel;
+        report.issues.forEach(issue => {
+            if (issue.element && document.contains(issue.element)) this.highlight(issue.element, issue.severity);
         });
     },
     
-    // Display accessibility report
-    displayAccessibilityReport(issues) {
-        if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
-            const report = document.createElement('div');
-            report.style.cssText = `
+    highlight(element, severity) {
+        element.classList.add('a11y-highlight');
+        element.setAttribute('data-a11y-severity', severity);
+        this.highlighted.push(element);
+    },
+    
+    clearHighlights() {
+        this.highlighted.forEach(element => {
+            element.classList.remove('a11y-highlight', 'a11y-highlight-active');
+            element.removeAttribute('data-a11y-severity');
+        });
+        this.highlighted = [];
+    },
+    
+    closeReport() {
+        this.clearHighlights();
+        
+        if (this.reportPanel && this.reportPanel.parentNode) {
+            this.reportPanel.parentNode.removeChild(this.reportPanel);
+        }
+        this.reportPanel = null;
+    },
+    
+    // Download a report as JSON or as a self-contained HTML page
+    exportReport(format = 'json', report = this.lastReport) {
+        if (!report) return;
+        
+        const isHTML = format === 'html';
+        const content = isHTML ? AccessibilityRules.toHTML(report) : AccessibilityRules.toJSON(report);
+        const blob = new Blob([content], { type: isHTML ? 'text/html' : 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `accessibility-report.${isHTML ? 'html' : 'json'}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+    
+    // Report panel and highlight styles (added once)
+    addReportStyles() {
+        if (document.getElementById('a11y-report-styles')) return;
+        
+        const style = document.createElement('style');
+        style.id = 'a11y-report-styles';
+        style.textContent = `
+            .a11y-report {
                 position: fixed;
                 top: 10px;
                 right: 10px;
-                background: #f44336;
+                background: #1a1a1a;
                 color: white;
                 padding: 15px;
                 border-radius: 5px;
                 z-index: 10000;
-                max-width: 300px;
+                max-width: 340px;
+                max-height: 70vh;
+                overflow-y: auto;
                 font-size: 12px;
-            `;
+            }
             
-            report.innerHTML = `
-                <h4>Accessibility Issues (${issues.length})</h4>
-                <ul>
-                    ${issues.map(issue => `<li>${issue.message}</li>`).join('')}
-                </ul>
-                <button onclick="this.parentNode.remove()" style="background: transparent; border: 1px solid white; color: white; padding: 5px; margin-top: 10px;">Close</button>
-            `;
+            .a11y-report ol {
+                margin: 10px 0;
+                padding-left: 20px;
+            }
             
-            document.body.appendChild(report);
+            .a11y-report button {
+                background: transparent;
+                border: 1px solid white;
+                color: white;
+                padding: 5px;
+                margin: 2px 2px 2px 0;
+                font: inherit;
+                cursor: pointer;
+            }
             
-            // Auto-remove after 10 seconds
-            setTimeout(() => {
-                if (report.parentNode) {
-                    report.parentNode.removeChild(report);
-                }
-            }, 10000);
-        }
+            .a11y-report .a11y-report-issue {
+                border: none;
+                padding: 2px 0;
+                text-align: left;
+            }
+            
+            .a11y-severity-critical { color: #ff8a80 !important; }
+            .a11y-severity-serious { color: #ffb74d !important; }
+            .a11y-severity-moderate { color: #fff176 !important; }
+            .a11y-severity-minor { color: #e0e0e0 !important; }
+            
+            .a11y-highlight {
+                outline: 3px dashed #d50000 !important;
+                outline-offset: 2px !important;
+            }
+            
+            .a11y-highlight[data-a11y-severity="serious"] { outline-color: #ff6d00 !important; }
+            .a11y-highlight[data-a11y-severity="moderate"] { outline-color: #ffd600 !important; }
+            .a11y-highlight[data-a11y-severity="minor"] { outline-color: #9e9e9e !important; }
+            
+            .a11y-highlight-active {
+                outline-style: solid !important;
+                box-shadow: 0 0 0 8px rgba(213, 0, 0, 0.25) !important;
+            }
+        `;
+        document.head.appendChild(style);
     },
     
+    // Settings panel (development only, see init)
+    settingsPanel: null,
+    
     // Create accessibility settings panel
     createAccessibilityPanel() {
         const panel = document.createElement('div');
@@ -657,7 +663,7 @@ const AccessibilityManager = {
         const toggle = panel.querySelector('.accessibility-toggle');
         const controls = panel.querySelector('.accessibility-controls');
         
-        toggle.addEventListener('click', () => {
+        this.listeners.on(toggle, 'click', () => {
             const isHidden = controls.hasAttribute('hidden');
             if (isHidden) {
                 controls.removeAttribute('hidden');
@@ -669,10 +675,19 @@ const AccessibilityManager = {
         });
         
         document.body.appendChild(panel);
+        this.settingsPanel = panel;
     },
     
     // Cleanup method
     destroy() {
+        this.listeners.removeAll();
+        this.closeReport();
+        
+        if (this.settingsPanel) {
+            this.settingsPanel.remove();
+            this.settingsPanel = null;
+        }
+        
         if (this.announcer && this.announcer.parentNode) {
             this.announcer.parentNode.removeChild(this.announcer);
         }
@@ -681,23 +696,10 @@ const AccessibilityManager = {
     }
 };
 
-// Auto-initialize
-if (typeof window !== 'undefined') {
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => {
-            AccessibilityManager.init();
-            // Only show panel in development
-            if (window.location.hostname === 'localhost') {
-                AccessibilityManager.createAccessibilityPanel();
-            }
-        });
-    } else {
-        AccessibilityManager.init();
-        if (window.location.hostname === 'localhost') {
-            AccessibilityManager.createAccessibilityPanel();
-        }
-    }
-}
+(window.PortfolioModules = window.PortfolioModules || []).push({
+    name: 'accessibility',
+    manager: AccessibilityManager
+});
 
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
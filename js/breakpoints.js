@@ -0,0 +1,155 @@
+/**
+ * Breakpoints - matchMedia-based breakpoint and input capability service
+ * Named breakpoints come from css/variables.css (see Utils.device.breakpoints)
+ */
+
+const Breakpoints = {
+    initialized: false,
+    listeners: Utils.events.scope('breakpoints'),
+
+    // Active breakpoint name, e.g. 'mobile'
+    current: null,
+
+    // MediaQueryList per breakpoint name
+    queries: {},
+
+    // Input capability queries and their current values
+    inputQueries: {
+        hover: '(hover: hover)',
+        coarsePointer: '(pointer: coarse)',
+        finePointer: '(pointer: fine)'
+    },
+    input: {
+        hover: true,
+        coarsePointer: false,
+        finePointer: true
+    },
+
+    // Start watching the media queries. Changes are published as breakpoint:change
+    // and input:change on the event bus, and the breakpoint is kept in the store
+    init() {
+        if (this.initialized) return;
+
+        console.log('📐 Initializing Breakpoints...');
+
+        this.createQueries();
+
+        Object.values(this.queries).forEach(query => {
+            this.listeners.on(query, 'change', () => this.update());
+        });
+
+        Object.entries(this.inputQueries).forEach(([key, media]) => {
+            const query = window.matchMedia(media);
+            this.input[key] = query.matches;
+
+            this.listeners.on(query, 'change', event => {
+                this.input = { ...this.input, [key]: event.matches };
+                Utils.events.publish('input:change', { ...this.input });
+            });
+        });
+
+        this.initialized = true;
+        this.update();
+    },
+
+    // Build the MediaQueryLists once (queries can be answered before init)
+    createQueries() {
+        if (Object.keys(this.queries).length) return;
+
+        this.names().forEach(name => {
+            this.queries[name] = window.matchMedia(Utils.device.breakpointQuery(name));
+        });
+    },
+
+    names() {
+        return Object.keys(Utils.device.breakpoints);
+    },
+
+    // Name of the breakpoint range that currently matches
+    detect() {
+        this.createQueries();
+
+        const names = this.names();
+        return names.find(name => this.queries[name].matches) || names[names.length - 1];
+    },
+
+    // Re-detect the breakpoint and announce it when it changed
+    update() {
+        const previous = this.current;
+        const name = this.detect();
+        if (name === previous) return;
+
+        this.current = name;
+
+        if (typeof Store !== 'undefined') {
+            Store.set({ breakpoint: name });
+        }
+
+        Utils.events.publish('breakpoint:change', {
+            name,
+            previous,
+            isMobile: name === 'mobile',
+            width: window.innerWidth
+        });
+    },
+
+    // Active breakpoint name
+    get() {
+        return this.initialized ? this.current : this.detect();
+    },
+
+    is(name) {
+        return this.get() === name;
+    },
+
+    // Whether the viewport is at least as wide as the named range
+    isAtLeast(name) {
+        const names = this.names();
+        return names.indexOf(this.get()) >= names.indexOf(name);
+    },
+
+    // Whether the viewport is at most as wide as the named range
+    isAtMost(name) {
+        const names = this.names();
+        return names.indexOf(this.get()) <= names.indexOf(name);
+    },
+
+    isMobile() {
+        return this.is('mobile');
+    },
+
+    canHover() {
+        return this.initialized ? this.input.hover : Utils.device.matches(this.inputQueries.hover);
+    },
+
+    isCoarsePointer() {
+        return this.initialized ? this.input.coarsePointer : Utils.device.matches(this.inputQueries.coarsePointer);
+    },
+
+    isFinePointer() {
+        return this.initialized ? this.input.finePointer : Utils.device.matches(this.inputQueries.finePointer);
+    },
+
+    // Subscribe to breakpoint changes; see Utils.events.subscribe for the options
+    onChange(handler, options = {}) {
+        return Utils.events.subscribe('breakpoint:change', handler, options);
+    },
+
+    // Cleanup method
+    destroy() {
+        this.listeners.removeAll();
+        this.queries = {};
+        this.current = null;
+        this.initialized = false;
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Breakpoints;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.Breakpoints = Breakpoints;
+}
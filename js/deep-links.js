@@ -0,0 +1,181 @@
+/**
+ * Deep Links - URL-addressable overlays and section links
+ * ?doc=<link> opens a document preview and ?info=<link> an education info overlay
+ * (links are education row ids such as "master-degree"); #education, #experience
+ * and #tools scroll to their section. Back closes an overlay opened on the page.
+ */
+
+const DeepLinks = {
+    initialized: false,
+    // Listener scope: destroy() detaches everything added through it
+    listeners: Utils.events.scope('deep-links'),
+
+    // Query parameter per overlay id
+    params: {
+        documentPreview: 'doc',
+        education: 'info'
+    },
+
+    // Sections reachable through the URL hash
+    sections: ['education', 'experience', 'tools'],
+
+    // Link shown by each open overlay: overlay id -> link
+    openLinks: new Map(),
+
+    // history.back() calls whose popstate has not arrived yet
+    pendingBacks: 0,
+
+    // True while the URL is being applied, so overlay changes are not written back
+    restoring: false,
+
+    // Initialize deep links and restore the state in the URL
+    init() {
+        if (this.initialized) return;
+
+        console.log('🔗 Initializing Deep Links...');
+
+        Utils.events.subscribe('overlay:open', this.handleOverlayOpen.bind(this), { scope: this.listeners });
+        Utils.events.subscribe('overlay:close', this.handleOverlayClose.bind(this), { scope: this.listeners });
+
+        this.listeners.on(window, 'popstate', this.handlePopState.bind(this));
+        this.listeners.on(window, 'hashchange', () => this.showSection(this.getHashSection()));
+
+        this.initialized = true;
+
+        this.restore();
+    },
+
+    // Open the overlay and scroll to the section named in the current URL
+    restore() {
+        this.applyURL();
+
+        const section = this.getHashSection();
+        if (section) this.showSection(section, { smooth: false });
+    },
+
+    // Open or close overlays so they match the query parameters
+    applyURL() {
+        const query = Utils.url.getParams();
+        this.restoring = true;
+
+        try {
+            Object.entries(this.params).forEach(([id, param]) => {
+                const link = query[param] || null;
+                if (link === (this.openLinks.get(id) || null)) return;
+
+                // ?doc= only opens rows with a document and ?info= only the others
+                if (link && EducationManager.openLink(link, id)) return;
+
+                if (link) {
+                    console.warn(`Unknown deep link "${param}=${link}"`);
+                    Utils.url.replaceParams({ [param]: null }, window.history.state);
+                }
+                Overlays.close(id);
+            });
+        } finally {
+            this.restoring = false;
+        }
+    },
+
+    // Give an overlay opened on the page by click or keyboard its own history entry;
+    // transient ones (hover previews) come and go with the pointer and stay out of the URL
+    handleOverlayOpen({ id, link, transient }) {
+        const param = this.params[id];
+        if (!param) return;
+
+        const shownLink = transient ? null : link;
+        const wasLinked = Boolean(this.openLinks.get(id));
+        this.openLinks.set(id, shownLink);
+
+        if (this.restoring || !shownLink) return;
+
+        if (wasLinked) {
+            // Same overlay, other content: keep the history entry
+            Utils.url.replaceParams({ [param]: link }, window.history.state);
+        } else {
+            Utils.url.pushParams({ [param]: link }, { overlay: id });
+        }
+    },
+
+    // Leave the overlay's history entry again, or drop its parameter when there is none
+    handleOverlayClose({ id }) {
+        const param = this.params[id];
+        const link = this.openLinks.get(id);
+        this.openLinks.delete(id);
+
+        if (this.restoring || !param || !link) return;
+
+        const { state } = window.history;
+        if (state && state.overlay === id) {
+            this.pendingBacks++;
+            window.history.back();
+        } else {
+            Utils.url.replaceParams({ [param]: null }, state);
+        }
+    },
+
+    // Back/Forward: show what the URL describes
+    handlePopState() {
+        if (this.pendingBacks > 0) {
+            this.pendingBacks--;
+            return;
+        }
+
+        this.applyURL();
+    },
+
+    // Section named in the URL hash, or null
+    getHashSection() {
+        const name = window.location.hash.slice(1);
+        return this.sections.includes(name) ? name : null;
+    },
+
+    // Scroll a section into view and close the menu
+    showSection(name, options = {}) {
+        const section = name && this.sections.includes(name) ? document.getElementById(name) : null;
+        if (!section) return;
+
+        const smooth = options.smooth !== false && !Store.select(Store.selectors.isReducedMotion);
+
+        Store.set({ menuOpen: false });
+        section.scrollIntoView({ behavior: smooth ? 'smooth' : 'auto', block: 'center' });
+    },
+
+    // Shareable URL for an education row, e.g. DeepLinks.getURL('master-degree'); other
+    // query parameters (such as ?lang=) are kept
+    getURL(link) {
+        const row = document.querySelector(`.education-row[data-link="${link}"]`);
+        const param = row && row.hasAttribute('data-file') ? this.params.documentPreview : this.params.education;
+        const url = new URL(window.location.href);
+
+        Object.values(this.params).forEach(name => url.searchParams.delete(name));
+        url.hash = '';
+        url.searchParams.set(param, link);
+        return url.toString();
+    },
+
+    // Cleanup method
+    destroy() {
+        this.listeners.removeAll();
+
+        this.openLinks.clear();
+        this.pendingBacks = 0;
+        this.initialized = false;
+    }
+};
+
+(window.PortfolioModules = window.PortfolioModules || []).push({
+    name: 'deep-links',
+    manager: DeepLinks,
+    dependencies: ['education']
+});
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DeepLinks;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.DeepLinks = DeepLinks;
+}
@@ -4,6 +4,8 @@
 
 const EducationManager = {
     initialized: false,
+    // Listener scope: destroy() detaches everything added through it
+    listeners: Utils.events.scope('education'),
     educationRows: [],
     overlays: {},
     currentTimeout: null,
@@ -61,25 +63,25 @@ const EducationManager = {
     setupDocumentRow(row, title, fileUrl) {
         if (this.isMobile()) {
             // Mobile: click to open document in new tab
-            row.addEventListener('click', (e) => {
+            this.listeners.on(row, 'click', (e) => {
                 e.stopPropagation();
                 window.open(fileUrl, '_blank');
             });
         } else {
-            // Desktop: hover to show document preview
-            row.addEventListener('mouseenter', () => {
+            // Desktop: hover to show document preview (transient: no history entry)
+            this.listeners.on(row, 'mouseenter', () => {
                 this.clearTimeout();
                 this.currentTimeout = setTimeout(() => {
-                    this.showDocumentPreview(title, fileUrl);
+                    this.showDocumentPreview(title, fileUrl, row.dataset.link, { transient: true });
                 }, 500); // 500ms delay to prevent accidental triggers
             });
             
-            row.addEventListener('mouseleave', () => {
+            this.listeners.on(row, 'mouseleave', () => {
                 this.clearTimeout();
             });
             
             // Click to open in new tab
-            row.addEventListener('click', (e) => {
+            this.listeners.on(row, 'click', (e) => {
                 e.stopPropagation();
                 window.open(fileUrl, '_blank');
             });
@@ -89,21 +91,28 @@ const EducationManager = {
     // Setup info-only row
     setupInfoRow(row, title, content) {
         if (this.isMobile()) {
-            row.addEventListener('click', (e) => {
+            this.listeners.on(row, 'click', (e) => {
                 e.stopPropagation();
-                this.showEducationInfo(title, content);
+                this.showEducationInfo(title, content, row.dataset.link);
             });
         } else {
-            row.addEventListener('mouseenter', () => {
+            this.listeners.on(row, 'mouseenter', () => {
                 this.clearTimeout();
                 this.currentTimeout = setTimeout(() => {
-                    this.showEducationInfo(title, content);
+                    this.showEducationInfo(title, content, row.dataset.link, { transient: true });
                 }, 500);
             });
             
-            row.addEventListener('mouseleave', () => {
+            this.listeners.on(row, 'mouseleave', () => {
                 this.clearTimeout();
             });
+            
+            // Click (and Enter, see AccessibilityManager) opens it to stay, with a history entry
+            this.listeners.on(row, 'click', (e) => {
+                e.stopPropagation();
+                this.clearTimeout();
+                this.showEducationInfo(title, content, row.dataset.link);
+            });
         }
     },
     
@@ -111,100 +120,104 @@ const EducationManager = {
     setupOverlayEvents() {
         // Document preview overlay events
         if (this.overlays.documentPreviewOverlay) {
-            this.overlays.documentPreviewOverlay.addEventListener('mouseenter', () => {
+            this.listeners.on(this.overlays.documentPreviewOverlay, 'mouseenter', () => {
                 // Keep open when hovering over overlay
             });
             
-            this.overlays.documentPreviewOverlay.addEventListener('mouseleave', () => {
+            this.listeners.on(this.overlays.documentPreviewOverlay, 'mouseleave', () => {
                 this.hideDocumentPreview();
             });
         }
         
         // Education info overlay events
         if (this.overlays.educationOverlay) {
-            this.overlays.educationOverlay.addEventListener('mouseenter', () => {
+            this.listeners.on(this.overlays.educationOverlay, 'mouseenter', () => {
                 // Keep open when hovering over overlay
             });
             
-            this.overlays.educationOverlay.addEventListener('mouseleave', () => {
+            this.listeners.on(this.overlays.educationOverlay, 'mouseleave', () => {
                 this.hideEducationInfo();
             });
         }
         
         // Close button events
         if (this.overlays.educationClose) {
-            this.overlays.educationClose.addEventListener('click', () => {
+            this.listeners.on(this.overlays.educationClose, 'click', () => {
                 this.hideEducationInfo();
             });
         }
         
         if (this.overlays.documentPreviewClose) {
-            this.overlays.documentPreviewClose.addEventListener('click', () => {
+            this.listeners.on(this.overlays.documentPreviewClose, 'click', () => {
                 this.hideDocumentPreview();
             });
         }
         
-        // Backdrop events
-        if (this.overlays.educationBackdrop) {
-            this.overlays.educationBackdrop.addEventListener('click', () => {
-                this.hideEducationInfo();
-            });
-        }
+        // The dialog manager handles stacking, scroll lock, Escape, backdrop clicks and focus
+        Overlays.register('education', this.overlays.educationOverlay, {
+            backdrop: this.overlays.educationBackdrop
+        });
         
-        if (this.overlays.documentPreviewBackdrop) {
-            this.overlays.documentPreviewBackdrop.addEventListener('click', () => {
-                this.hideDocumentPreview();
-            });
-        }
+        Overlays.register('documentPreview', this.overlays.documentPreviewOverlay, {
+            backdrop: this.overlays.documentPreviewBackdrop,
+            onClose: () => {
+                // Clear iframe src to stop loading
+                const frame = this.overlays.documentPreviewFrame;
+                setTimeout(() => {
+                    frame.src = '';
+                }, 300);
+            }
+        });
     },
     
-    // Show document preview overlay
-    showDocumentPreview(title, fileUrl) {
+    // Show document preview overlay. options: { transient } (see Overlays.open)
+    showDocumentPreview(title, fileUrl, link = null, options = {}) {
         if (!this.overlays.documentPreviewOverlay) return;
         
         console.log(`📄 Showing document preview: ${title}`);
         
         this.overlays.documentPreviewTitle.textContent = title;
         this.overlays.documentPreviewFrame.src = fileUrl;
-        this.overlays.documentPreviewOverlay.classList.add('show');
-        this.overlays.documentPreviewBackdrop.classList.add('show');
-        document.body.style.overflow = 'hidden';
+        Overlays.open('documentPreview', { title, link, transient: options.transient });
     },
     
     // Hide document preview overlay
     hideDocumentPreview() {
-        if (!this.overlays.documentPreviewOverlay) return;
-        
-        this.overlays.documentPreviewOverlay.classList.remove('show');
-        this.overlays.documentPreviewBackdrop.classList.remove('show');
-        document.body.style.overflow = '';
-        
-        // Clear iframe src to stop loading
-        setTimeout(() => {
-            this.overlays.documentPreviewFrame.src = '';
-        }, 300);
+        Overlays.close('documentPreview');
     },
     
-    // Show education info overlay
-    showEducationInfo(title, content) {
+    // Show education info overlay. options: { transient } (see Overlays.open)
+    showEducationInfo(title, content, link = null, options = {}) {
         if (!this.overlays.educationOverlay) return;
         
         console.log(`ℹ️ Showing education info: ${title}`);
         
         this.overlays.educationTitle.textContent = title;
         this.overlays.educationContent.textContent = content;
-        this.overlays.educationOverlay.classList.add('show');
-        this.overlays.educationBackdrop.classList.add('show');
-        document.body.style.overflow = 'hidden';
+        Overlays.open('education', { title, link, transient: options.transient });
     },
     
     // Hide education info overlay
     hideEducationInfo() {
-        if (!this.overlays.educationOverlay) return;
+        Overlays.close('education');
+    },
+    
+    // Open the overlay of the row with this deep link id ("master-degree"); returns whether it exists.
+    // overlayId limits it to rows shown in that overlay ('documentPreview' for rows with a file)
+    openLink(link, overlayId = null) {
+        const row = Array.from(this.educationRows).find(item => item.dataset.link === link);
+        if (!row) return false;
+        
+        const title = row.querySelector('.row-label')?.textContent;
+        const fileUrl = row.getAttribute('data-file');
+        if (overlayId && overlayId !== (fileUrl ? 'documentPreview' : 'education')) return false;
         
-        this.overlays.educationOverlay.classList.remove('show');
-        this.overlays.educationBackdrop.classList.remove('show');
-        document.body.style.overflow = '';
+        if (fileUrl) {
+            this.showDocumentPreview(title, fileUrl, link);
+        } else {
+            this.showEducationInfo(title, row.getAttribute('data-info'), link);
+        }
+        return true;
     },
     
     // Close all overlays
@@ -224,7 +237,7 @@ const EducationManager = {
     
     // Check if device is mobile
     isMobile() {
-        return window.innerWidth <= 768;
+        return Breakpoints.isMobile();
     },
     
     // Add new education item programmatically
@@ -262,6 +275,21 @@ const EducationManager = {
     
     // Get education data for analytics
     getEducationData() {
+        if (typeof PortfolioData !== 'undefined' && PortfolioData.loaded) {
+            return PortfolioData.getEducation().map(education => ({
+                title: education.title,
+                institution: education.institution,
+                location: education.location,
+                year: PortfolioData.formatPeriod(education.startDate, education.endDate),
+                rows: (education.rows || []).map(row => ({
+                    label: row.label,
+                    info: row.info,
+                    file: row.file || null
+                }))
+            }));
+        }
+        
+        // Fallback for pages that are not rendered from the data model
         const educationItems = document.querySelectorAll('.education-item');
         const data = [];
         
@@ -314,13 +342,22 @@ const EducationManager = {
     
     // Cleanup method
     destroy() {
-        this.closeOverlays();
+        this.listeners.removeAll();
+        
+        this.clearTimeout();
+        Overlays.unregister('education');
+        Overlays.unregister('documentPreview');
         this.educationRows = [];
         this.overlays = {};
         this.initialized = false;
     }
 };
 
+(window.PortfolioModules = window.PortfolioModules || []).push({
+    name: 'education',
+    manager: EducationManager
+});
+
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = EducationManager;
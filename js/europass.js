@@ -0,0 +1,371 @@
+/**
+ * Europass - Export of the portfolio content as a Europass CV (v3.3 XML or JSON)
+ * https://europass.cedefop.europa.eu/
+ *
+ * Education, experience and languages come from the data model; language values
+ * are mapped to CEFR levels. Slider changes on the page are not exported.
+ */
+
+const Europass = {
+    initialized: false,
+    namespace: 'http://europass.cedefop.europa.eu/Europass',
+    schemaLocation: 'http://europass.cedefop.europa.eu/xml/v3.3.0/EuropassSchema.xsd',
+    xsdVersion: 'V3.3',
+    locale: 'en',
+    linkSelector: '[data-europass]',
+
+    // Proficiency value (0-100) -> CEFR level, highest threshold first
+    cefrLevels: [
+        { min: 90, level: 'C2' },
+        { min: 80, level: 'C1' },
+        { min: 65, level: 'B2' },
+        { min: 50, level: 'B1' },
+        { min: 30, level: 'A2' },
+        { min: 1, level: 'A1' }
+    ],
+
+    // Values at or above this are exported as a mother tongue
+    motherTongueValue: 100,
+
+    // ISO 639-1 codes for the language names of the data model (English whatever the page language)
+    languageCodes: {
+        English: 'en',
+        Dutch: 'nl',
+        French: 'fr',
+        German: 'de',
+        Spanish: 'es',
+        Italian: 'it',
+        Portuguese: 'pt',
+        Ukrainian: 'uk',
+        Russian: 'ru',
+        Polish: 'pl'
+    },
+
+    // EQF levels for the study types in the data model
+    eqfLevels: {
+        Bachelor: 6,
+        Master: 7,
+        Doctorate: 8,
+        PhD: 8
+    },
+
+    // Bind the download link(s) in .social-links
+    init() {
+        if (this.initialized || typeof document === 'undefined') return;
+
+        this.listeners = Utils.events.scope('europass');
+        this.listeners.on(document, 'click', (event) => this.handleClick(event));
+        this.initialized = true;
+    },
+
+    destroy() {
+        if (!this.initialized) return;
+
+        this.listeners.removeAll();
+        this.initialized = false;
+    },
+
+    // Generate the document from the live page instead of the prebuilt file
+    handleClick(event) {
+        const link = event.target.closest(this.linkSelector);
+        if (!link) return;
+
+        try {
+            this.download(link.getAttribute('data-europass') || 'xml');
+            event.preventDefault();
+        } catch (error) {
+            // Let the browser follow the link to the file generated by the build
+            console.error('❌ Error generating Europass CV:', error);
+        }
+    },
+
+    // Map a proficiency value to a CEFR level
+    toCefr(value) {
+        const match = this.cefrLevels.find(level => value >= level.min);
+        return match ? match.level : 'A1';
+    },
+
+    // Language levels of the data model
+    getLanguages(data) {
+        return data.languages || [];
+    },
+
+    // Europass period from "2024" / "2024-09" style dates
+    toPeriod(startDate, endDate) {
+        const toDate = (date) => {
+            const [year, month] = String(date).split('-');
+            const result = { Year: parseInt(year) };
+            if (month) result.Month = parseInt(month);
+            return result;
+        };
+
+        const period = {};
+        if (startDate) period.From = toDate(startDate);
+        if (endDate) {
+            period.To = toDate(endDate);
+        } else {
+            period.Current = true;
+        }
+        return period;
+    },
+
+    toCountry(code, label) {
+        return this.compact({ Code: code, Label: label });
+    },
+
+    // Build the Europass JSON document (SkillsPassport) from the data model
+    fromPortfolio(data) {
+        const profile = data.profile || {};
+        const now = new Date().toISOString();
+        const languages = this.getLanguages(data);
+        const isMotherTongue = (language) => language.value >= this.motherTongueValue;
+        const describe = (language) => this.compact({
+            Code: this.languageCodes[language.name],
+            Label: language.name
+        });
+
+        const skills = {
+            Linguistic: {
+                MotherTongue: languages.filter(isMotherTongue).map(language => ({
+                    Description: describe(language)
+                })),
+                ForeignLanguage: languages.filter(language => !isMotherTongue(language)).map(language => {
+                    const level = this.toCefr(language.value);
+                    return {
+                        Description: describe(language),
+                        ProficiencyLevel: {
+                            Listening: level,
+                            Reading: level,
+                            SpokenInteraction: level,
+                            SpokenProduction: level,
+                            Writing: level
+                        }
+                    };
+                })
+            }
+        };
+
+        if ((data.skills || []).length > 0) {
+            skills.Computer = {
+                Description: data.skills.map(skill => skill.name).join(', ')
+            };
+        }
+
+        return {
+            SkillsPassport: {
+                Locale: this.locale,
+                DocumentInfo: {
+                    DocumentType: 'ECV',
+                    CreationDate: now,
+                    LastUpdateDate: now,
+                    XSDVersion: this.xsdVersion,
+                    Generator: 'Portfolio'
+                },
+                LearnerInfo: {
+                    Identification: {
+                        PersonName: {
+                            FirstName: profile.givenName || '',
+                            Surname: profile.familyName || ''
+                        },
+                        ContactInfo: this.compact({
+                            Address: profile.location ? {
+                                Contact: this.compact({
+                                    Municipality: profile.location.city || profile.location.region,
+                                    Country: this.toCountry(profile.location.countryCode)
+                                })
+                            } : undefined,
+                            Email: profile.email ? { Contact: profile.email } : undefined,
+                            Website: [profile.url, ...(profile.profiles || []).map(item => item.url)]
+                                .filter(Boolean)
+                                .map(url => ({ Contact: url }))
+                        })
+                    },
+                    Headline: {
+                        Type: { Code: 'position', Label: 'POSITION' },
+                        Description: { Label: profile.title || '' }
+                    },
+                    WorkExperience: (data.experience || []).map(job => this.compact({
+                        Period: this.toPeriod(job.startDate, job.endDate),
+                        Position: { Label: job.title },
+                        Activities: job.summary,
+                        Employer: {
+                            Name: job.company,
+                            ContactInfo: {
+                                Address: {
+                                    Contact: { Country: this.toCountry(job.countryCode, job.location) }
+                                }
+                            }
+                        }
+                    })),
+                    Education: (data.education || []).map(education => this.compact({
+                        Period: this.toPeriod(education.startDate, education.endDate),
+                        Title: education.title,
+                        Activities: (education.rows || []).map(row => row.info).join('\n'),
+                        Organisation: {
+                            Name: education.institution,
+                            ContactInfo: {
+                                Address: {
+                                    Contact: { Country: this.toCountry(education.countryCode, education.location) }
+                                }
+                            }
+                        },
+                        Level: this.eqfLevels[education.studyType] ?
+                            { Code: String(this.eqfLevels[education.studyType]) } :
+                            undefined
+                    })),
+                    Skills: skills
+                }
+            }
+        };
+    },
+
+    // Drop undefined fields
+    compact(object) {
+        return Object.fromEntries(
+            Object.entries(object).filter(([, value]) => value !== undefined)
+        );
+    },
+
+    escapeXML(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    },
+
+    // Serialize one element; objects nest, arrays repeat, undefined is dropped
+    element(name, value, indent, attributes = '') {
+        const pad = '  '.repeat(indent);
+
+        if (value === undefined || value === null) return '';
+        if (typeof value !== 'object') {
+            return `${pad}<${name}${attributes}>${this.escapeXML(value)}</${name}>\n`;
+        }
+
+        const children = Object.entries(value)
+            .map(([key, child]) => this.element(key, child, indent + 1))
+            .join('');
+        return children ?
+            `${pad}<${name}${attributes}>\n${children}${pad}</${name}>\n` :
+            `${pad}<${name}${attributes}/>\n`;
+    },
+
+    // Periods are attributes in the XML schema: <From year="2024" month="--09"/>
+    periodXML(period, indent) {
+        const pad = '  '.repeat(indent);
+        const date = (name, value) => {
+            const month = value.Month ? ` month="--${String(value.Month).padStart(2, '0')}"` : '';
+            return `${pad}  <${name} year="${value.Year}"${month}/>\n`;
+        };
+
+        return `${pad}<Period>\n` +
+            (period.From ? date('From', period.From) : '') +
+            (period.To ? date('To', period.To) : '') +
+            (period.Current ? `${pad}  <Current>true</Current>\n` : '') +
+            `${pad}</Period>\n`;
+    },
+
+    // Serialize a list of items under a *List wrapper element
+    listXML(listName, itemName, items, indent) {
+        if (!items || items.length === 0) return '';
+
+        const pad = '  '.repeat(indent);
+        const body = items.map(item => {
+            const { Period: period, ...rest } = item;
+            const fields = Object.entries(rest)
+                .map(([key, value]) => this.element(key, value, indent + 2))
+                .join('');
+            return `${pad}  <${itemName}>\n` +
+                (period ? this.periodXML(period, indent + 2) : '') +
+                fields +
+                `${pad}  </${itemName}>\n`;
+        }).join('');
+
+        return `${pad}<${listName}>\n${body}${pad}</${listName}>\n`;
+    },
+
+    // Convert the Europass JSON document to Europass XML
+    toXML(europass) {
+        const passport = europass.SkillsPassport;
+        const learner = passport.LearnerInfo;
+        const { Website: websites, ...contactInfo } = learner.Identification.ContactInfo;
+        const linguistic = learner.Skills.Linguistic;
+
+        const identification = this.element('PersonName', learner.Identification.PersonName, 3) +
+            '      <ContactInfo>\n' +
+            Object.entries(contactInfo).map(([key, value]) => this.element(key, value, 4)).join('') +
+            this.listXML('WebsiteList', 'Website', websites, 4) +
+            '      </ContactInfo>\n';
+
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            `<SkillsPassport xmlns="${this.namespace}" ` +
+            'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+            `xsi:schemaLocation="${this.namespace} ${this.schemaLocation}" locale="${passport.Locale}">\n` +
+            this.element('DocumentInfo', passport.DocumentInfo, 1) +
+            '  <LearnerInfo>\n' +
+            `    <Identification>\n${identification}    </Identification>\n` +
+            this.element('Headline', learner.Headline, 2) +
+            this.listXML('WorkExperienceList', 'WorkExperience', learner.WorkExperience, 2) +
+            this.listXML('EducationList', 'Education', learner.Education, 2) +
+            '    <Skills>\n' +
+            '      <Linguistic>\n' +
+            this.listXML('MotherTongueList', 'MotherTongue', linguistic.MotherTongue, 4) +
+            this.listXML('ForeignLanguageList', 'ForeignLanguage', linguistic.ForeignLanguage, 4) +
+            '      </Linguistic>\n' +
+            this.element('Computer', learner.Skills.Computer, 3) +
+            '    </Skills>\n' +
+            '  </LearnerInfo>\n' +
+            '</SkillsPassport>\n';
+    },
+
+    // Serialize the portfolio data as "xml" or "json"
+    generate(format = 'xml', data = PortfolioData.data) {
+        if (!data) {
+            throw new Error('Portfolio data model is not loaded');
+        }
+
+        const passport = this.fromPortfolio(data);
+        return format === 'json' ?
+            JSON.stringify(passport, null, 2) :
+            this.toXML(passport);
+    },
+
+    // Download the Europass CV generated from the loaded data model
+    download(format = 'xml') {
+        const content = this.generate(format);
+        const blob = new Blob([content], {
+            type: format === 'json' ? 'application/json' : 'application/xml'
+        });
+
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `europass.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Revoke once the click has started the download
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+};
+
+// build.js also loads this file in Node to write europass.xml, where there is no window
+if (typeof window !== 'undefined') {
+    (window.PortfolioModules = window.PortfolioModules || []).push({
+        name: 'europass',
+        manager: Europass
+    });
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Europass;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.Europass = Europass;
+}
@@ -0,0 +1,222 @@
+/**
+ * I18n - Translation catalogs and the language switcher
+ * Elements opt in with data-i18n="key" (text), data-i18n-attr="aria-label:key;title:key"
+ * (attributes) and data-i18n-params='{"name": "..."}'; [data-period] dates are
+ * formatted for the active language. Catalogs live in data/i18n/<language>.json.
+ */
+
+const I18n = {
+    initialized: false,
+    listeners: Utils.events.scope('i18n'),
+
+    // Supported languages and their own names
+    languages: {
+        en: 'English',
+        nl: 'Nederlands',
+        fr: 'Français'
+    },
+    defaultLanguage: 'en',
+    source: 'data/i18n',
+
+    // URL parameter used for shareable links, e.g. ?lang=nl
+    param: 'lang',
+
+    // Loaded catalogs: language -> { key: message }
+    catalogs: {},
+
+    // Active language (catalog loaded and applied)
+    language: 'en',
+
+    // Language whose catalog is being loaded, so late responses are ignored
+    requested: null,
+
+    // Markup text of translated elements, used when a catalog has no entry:
+    // element -> { text, attributes: { name: value } }
+    originals: new WeakMap(),
+
+    // Detect the language, then follow the store and the switcher
+    init() {
+        if (this.initialized) return;
+
+        console.log('🌐 Initializing I18n...');
+
+        const language = this.detect();
+        if (language !== Store.get('language')) {
+            // Detected, not chosen: keep it out of storage
+            Store.set({ language }, { persist: false });
+        }
+
+        this.listeners.on(document, 'click', this.handleClick.bind(this));
+        Utils.events.subscribe('settings:changed', ({ key, value }) => {
+            if (key === 'language') this.setLanguage(value);
+        }, { scope: this.listeners });
+
+        this.initialized = true;
+
+        this.setLanguage(language);
+    },
+
+    // URL parameter, then the saved choice, then the browser languages
+    detect() {
+        const candidates = [
+            Utils.url.getParams()[this.param],
+            Utils.storage.get(Store.persisted.language, null),
+            ...(navigator.languages || [navigator.language])
+        ];
+
+        return candidates.map(candidate => this.resolve(candidate)).find(Boolean) || this.defaultLanguage;
+    },
+
+    // Supported language for a tag, e.g. "nl-BE" -> "nl"; null when unsupported
+    resolve(tag) {
+        if (!tag) return null;
+
+        const language = String(tag).toLowerCase().split('-')[0];
+        return this.languages[language] ? language : null;
+    },
+
+    // Switcher buttons: [data-language="nl"]
+    handleClick(event) {
+        const button = event.target.closest('[data-language]');
+        if (!button) return;
+
+        event.preventDefault();
+        this.choose(button.dataset.language);
+    },
+
+    // Switch language on the user's request: saved and reflected in the URL
+    choose(language) {
+        const resolved = this.resolve(language);
+        if (!resolved) return;
+
+        Store.set({ language: resolved });
+        Utils.url.replaceParams({ [this.param]: resolved }, window.history.state);
+    },
+
+    // Load the catalog and translate the page
+    async setLanguage(language) {
+        this.requested = language;
+
+        try {
+            await Promise.all([this.load(language), this.load(this.defaultLanguage)]);
+        } catch (error) {
+            console.error(`❌ Could not load the ${language} translations:`, error);
+            return;
+        }
+
+        if (this.requested !== language) return;
+
+        const previous = this.language;
+        this.language = language;
+        this.apply(document);
+
+        if (previous !== language) {
+            Utils.events.publish('language:change', { language, previous });
+        }
+    },
+
+    // Catalog of a language (inlined by the build, otherwise fetched)
+    load(language) {
+        if (this.catalogs[language]) return Promise.resolve(this.catalogs[language]);
+
+        const inline = document.getElementById('i18n-catalogs');
+        if (inline) {
+            Object.assign(this.catalogs, JSON.parse(inline.textContent));
+            if (this.catalogs[language]) return Promise.resolve(this.catalogs[language]);
+        }
+
+        return fetch(`${this.source}/${language}.json`)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(catalog => {
+                this.catalogs[language] = catalog;
+                return catalog;
+            });
+    },
+
+    // Translate a key: the active catalog, then English, then the fallback.
+    // {name} placeholders are replaced from params
+    t(key, params = {}, fallback = key) {
+        const message = this.catalogs[this.language]?.[key] ??
+            this.catalogs[this.defaultLanguage]?.[key] ??
+            fallback;
+
+        return String(message).replace(/\{(\w+)\}/g, (placeholder, name) =>
+            params[name] !== undefined ? params[name] : placeholder);
+    },
+
+    // Translate every opted-in element below root
+    apply(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const original = this.getOriginal(element);
+            element.textContent = this.t(element.dataset.i18n, this.getParams(element), original.text);
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            const original = this.getOriginal(element);
+            const params = this.getParams(element);
+
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (!attribute || !key) return;
+
+                if (!(attribute in original.attributes)) {
+                    original.attributes[attribute] = element.getAttribute(attribute);
+                }
+                element.setAttribute(attribute, this.t(key, params, original.attributes[attribute] ?? key));
+            });
+        });
+
+        root.querySelectorAll('[data-period]').forEach(element => {
+            const [start, end] = element.dataset.period.split('/');
+            element.textContent = PortfolioData.formatPeriod(start, end || null, {
+                locale: this.language,
+                ongoing: this.t('period.ongoing', {}, 'ongoing')
+            });
+        });
+    },
+
+    // Markup text and attributes of an element as first seen
+    getOriginal(element) {
+        if (!this.originals.has(element)) {
+            this.originals.set(element, {
+                text: element.hasAttribute('data-i18n') ? element.textContent.trim() : null,
+                attributes: {}
+            });
+        }
+
+        return this.originals.get(element);
+    },
+
+    getParams(element) {
+        try {
+            return element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+        } catch (error) {
+            console.warn('Invalid data-i18n-params:', element.dataset.i18nParams);
+            return {};
+        }
+    },
+
+    // Cleanup method
+    destroy() {
+        this.listeners.removeAll();
+        this.initialized = false;
+    }
+};
+
+(window.PortfolioModules = window.PortfolioModules || []).push({
+    name: 'i18n',
+    manager: I18n
+});
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = I18n;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.I18n = I18n;
+}
@@ -0,0 +1,256 @@
+/**
+ * JobFit - Compare a pasted job description against the profile
+ * Requirements are found with the local dictionary below (no network), matched against
+ * the skills, languages and experience, and shown in the #jobFitOverlay panel with a
+ * fit score. Matching items on the page are highlighted through SkillsManager.
+ */
+
+const JobFit = {
+    initialized: false,
+    listeners: Utils.events.scope('job-fit'),
+
+    // Requirements by kind: name -> synonyms, matched as whole words ignoring case.
+    // Skill and language names match the data model (data/portfolio.json); topics are
+    // looked up in the profile and experience texts
+    dictionary: {
+        skill: {
+            'Python': ['python', 'python3'],
+            'TensorFlow': ['tensorflow'],
+            'PyTorch': ['pytorch', 'torch'],
+            'Docker': ['docker', 'containers', 'containerization', 'containerisation'],
+            'AWS': ['aws', 'amazon web services', 'sagemaker', 'ec2'],
+            'Keras': ['keras'],
+            'Scikit-learn': ['scikit-learn', 'scikit learn', 'sklearn'],
+            'OpenCV': ['opencv'],
+            'Pandas': ['pandas'],
+            'NumPy': ['numpy'],
+            'Hugging Face': ['hugging face', 'huggingface'],
+            'LangChain': ['langchain'],
+            'MLflow': ['mlflow'],
+            'Airflow': ['airflow'],
+            'Spark': ['spark', 'pyspark'],
+            'SQL': ['sql', 'postgresql', 'postgres', 'mysql'],
+            'Kubernetes': ['kubernetes', 'k8s'],
+            'Terraform': ['terraform'],
+            'Azure': ['azure'],
+            'Google Cloud': ['google cloud', 'gcp'],
+            'CI/CD': ['ci/cd', 'continuous integration', 'github actions', 'jenkins'],
+            'Git': ['git', 'github', 'gitlab'],
+            'Linux': ['linux', 'unix', 'bash'],
+            'C++': ['c++', 'cpp'],
+            'Java': ['java'],
+            'JavaScript': ['javascript', 'node.js', 'nodejs'],
+            'TypeScript': ['typescript'],
+            'Go': ['golang'],
+            'Rust': ['rust']
+        },
+        language: {
+            'English': ['english', 'engels', 'anglais', 'englisch'],
+            'Dutch': ['dutch', 'nederlands', 'néerlandais', 'niederländisch', 'flemish', 'vlaams'],
+            'French': ['french', 'frans', 'français', 'francais', 'französisch'],
+            'German': ['german', 'duits', 'allemand', 'deutsch'],
+            'Spanish': ['spanish', 'spaans', 'espagnol', 'español', 'spanisch']
+        },
+        topic: {
+            'Artificial Intelligence': ['artificial intelligence', 'ai', 'kunstmatige intelligentie', 'intelligence artificielle'],
+            'Machine Learning': ['machine learning', 'ml', 'apprentissage automatique'],
+            'Deep Learning': ['deep learning', 'neural networks', 'neural network', 'apprentissage profond'],
+            'Computer Vision': ['computer vision', 'image processing', 'image recognition', 'object detection',
+                'vision par ordinateur', 'beeldverwerking'],
+            'NLP': ['nlp', 'natural language processing', 'text mining'],
+            'Generative AI': ['generative ai', 'genai', 'llm', 'llms', 'large language models', 'large language model'],
+            'MLOps': ['mlops', 'model deployment'],
+            'Data Science': ['data science', 'data scientist', 'data analysis'],
+            'Quality Control': ['quality control', 'quality inspection', 'defect detection'],
+            'Industrial Automation': ['industrial automation', 'manufacturing', 'industry 4.0'],
+            'Supply Chain': ['supply chain', 'logistics']
+        }
+    },
+
+    elements: {},
+
+    // Register the panel and open it from [data-job-fit] buttons
+    init() {
+        if (this.initialized) return;
+
+        console.log('🧩 Initializing Job Fit...');
+
+        this.elements = {
+            overlay: document.getElementById('jobFitOverlay'),
+            backdrop: document.getElementById('jobFitBackdrop'),
+            form: document.getElementById('jobFitForm'),
+            text: document.getElementById('jobFitText'),
+            results: document.getElementById('jobFitResults'),
+            close: document.getElementById('jobFitClose')
+        };
+
+        const { overlay, backdrop, form, close } = this.elements;
+        if (!overlay || !form) return;
+
+        Overlays.register('jobFit', overlay, { backdrop });
+
+        this.listeners.on(document, 'click', this.handleClick.bind(this));
+        this.listeners.on(form, 'submit', this.handleSubmit.bind(this));
+        this.listeners.on(form, 'reset', () => this.clear());
+        if (close) this.listeners.on(close, 'click', () => Overlays.close('jobFit'));
+
+        this.initialized = true;
+    },
+
+    handleClick(event) {
+        const button = event.target.closest('[data-job-fit]');
+        if (!button) return;
+
+        event.preventDefault();
+        this.open();
+    },
+
+    // Open the panel from the menu (focus returns to the menu button on close)
+    open() {
+        Store.set({ menuOpen: false });
+        Overlays.open('jobFit', {
+            title: this.elements.overlay.querySelector('h3')?.textContent || '',
+            trigger: document.querySelector('[aria-controls="menuDropdown"]')
+        });
+    },
+
+    handleSubmit(event) {
+        event.preventDefault();
+
+        const result = this.analyze(this.elements.text.value);
+        this.renderResults(result);
+        this.highlight(result.matched);
+    },
+
+    // Requirements mentioned in a text: [{ name, kind, synonyms }]
+    extract(text) {
+        return Object.entries(this.dictionary).flatMap(([kind, entries]) =>
+            Object.entries(entries)
+                .filter(([, synonyms]) => synonyms.some(synonym => Utils.string.containsWord(text, synonym)))
+                .map(([name, synonyms]) => ({ name, kind, synonyms })));
+    },
+
+    // Extract the requirements of a job description and match them against the profile.
+    // Skills and languages count with their proficiency, topics found in the experience fully.
+    // Returns { requirements, matched, missing, score } with score in percent (null without requirements)
+    analyze(text) {
+        const requirements = this.extract(String(text || '')).map(requirement => this.match(requirement));
+        const matched = requirements.filter(requirement => requirement.matched);
+        const missing = requirements.filter(requirement => !requirement.matched);
+
+        const total = matched.reduce((sum, requirement) => sum + (requirement.value ?? 100), 0);
+        const score = requirements.length ? Math.round(total / requirements.length) : null;
+
+        return { requirements, matched, missing, score };
+    },
+
+    // Match one requirement: { name, kind, synonyms, matched, value, terms } with value the
+    // proficiency of a skill or language.
+    // terms are what SkillsManager.highlightSkills looks for on the page
+    match(requirement) {
+        const { name, kind, synonyms } = requirement;
+        const names = [name, ...synonyms].map(term => term.toLowerCase());
+        const result = { ...requirement, matched: false, value: null, terms: [] };
+
+        if (kind === 'topic') {
+            const terms = synonyms.filter(synonym => Utils.string.containsWord(this.getExperienceText(), synonym));
+            return { ...result, matched: terms.length > 0, terms };
+        }
+
+        const items = kind === 'skill' ? SkillsManager.getSkillData() : SkillsManager.getLanguageData();
+        const item = items.find(entry => names.includes(String(entry.name).trim().toLowerCase()));
+        if (!item) return result;
+
+        return { ...result, matched: true, value: item.proficiency, terms: [String(item.name).trim()] };
+    },
+
+    // Profile headline and summary plus every experience entry as one text
+    getExperienceText() {
+        if (typeof PortfolioData === 'undefined' || !PortfolioData.loaded) {
+            return Array.from(document.querySelectorAll('.experience-item'), item => item.textContent).join(' ');
+        }
+
+        const profile = PortfolioData.getProfile();
+        return [
+            profile.headline,
+            ...[].concat(profile.summary || []),
+            ...PortfolioData.getExperience().flatMap(experience => [experience.title, experience.summary])
+        ].filter(Boolean).join(' ');
+    },
+
+    highlight(matched) {
+        const terms = matched.flatMap(requirement => requirement.terms);
+
+        if (terms.length) {
+            SkillsManager.highlightSkills(terms);
+        } else {
+            SkillsManager.clearHighlights();
+        }
+    },
+
+    // Score, matched and missing requirements; translated through data-i18n
+    renderResults({ requirements, matched, missing, score }) {
+        const { results } = this.elements;
+        const escape = Utils.string.escapeHTML;
+        const i18n = (key, params) => params ?
+            `data-i18n="${key}" data-i18n-params="${escape(JSON.stringify(params))}"` :
+            `data-i18n="${key}"`;
+
+        if (!requirements.length) {
+            results.innerHTML = `
+                <p class="job-fit-empty" ${i18n('jobFit.empty')}>No known technologies, languages or topics found in this text.</p>`;
+        } else {
+            const counts = { matched: matched.length, total: requirements.length };
+            const item = requirement => {
+                const detail = requirement.value !== null ?
+                    `<span class="job-fit-detail">${requirement.value}%</span>` :
+                    `<span class="job-fit-detail" ${i18n('jobFit.inExperience')}>in experience</span>`;
+
+                return `<li><span class="job-fit-name">${escape(requirement.name)}</span> ${detail}</li>`;
+            };
+
+            results.innerHTML = `
+                <p class="job-fit-score"><strong>${score}%</strong>
+                    <span ${i18n('jobFit.score', counts)}>${counts.matched} of ${counts.total} requirements matched</span></p>
+                <div class="job-fit-meter" aria-hidden="true"><div class="job-fit-meter-fill" style="width: ${score}%"></div></div>
+                ${matched.length ? `
+                <h4 ${i18n('jobFit.matched')}>Matched</h4>
+                <ul class="job-fit-list job-fit-matched">${matched.map(item).join('')}</ul>` : ''}
+                ${missing.length ? `
+                <h4 ${i18n('jobFit.missing')}>Not matched</h4>
+                <ul class="job-fit-list job-fit-missing">${missing.map(requirement =>
+                    `<li><span class="job-fit-name">${escape(requirement.name)}</span></li>`).join('')}</ul>` : ''}`;
+        }
+
+        if (typeof I18n !== 'undefined') I18n.apply(results);
+    },
+
+    // Empty the panel and remove the highlights
+    clear() {
+        this.elements.results.innerHTML = '';
+        SkillsManager.clearHighlights();
+    },
+
+    // Cleanup method
+    destroy() {
+        Overlays.unregister('jobFit');
+        this.listeners.removeAll();
+        this.initialized = false;
+    }
+};
+
+(window.PortfolioModules = window.PortfolioModules || []).push({
+    name: 'job-fit',
+    manager: JobFit,
+    dependencies: ['skills']
+});
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JobFit;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.JobFit = JobFit;
+}
@@ -0,0 +1,379 @@
+/**
+ * JSON Resume - Import and export of the portfolio content in the JSON Resume schema
+ * https://jsonresume.org/schema/
+ *
+ * Fields that the schema has no slot for (the CV link, exact proficiency values,
+ * education location and info/document rows) travel in an "x-portfolio" extension
+ * object on basics and on each item, so exporting and re-importing is lossless for
+ * everything the page shows. Resumes without the extension are mapped from the
+ * standard fields. The [data-json-resume] links in .social-links export and import.
+ */
+
+const JsonResume = {
+    schema: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+    version: 'v1.0.0',
+    extensionKey: 'x-portfolio',
+    initialized: false,
+    linkSelector: '[data-json-resume]',
+
+    // Proficiency labels (lowest value first) used when no exact value is available
+    skillLevels: [
+        { value: 25, label: 'Beginner' },
+        { value: 50, label: 'Intermediate' },
+        { value: 75, label: 'Advanced' },
+        { value: 90, label: 'Expert' }
+    ],
+
+    languageFluency: [
+        { value: 25, label: 'Elementary proficiency' },
+        { value: 50, label: 'Limited working proficiency' },
+        { value: 70, label: 'Professional working proficiency' },
+        { value: 90, label: 'Full professional proficiency' },
+        { value: 100, label: 'Native or bilingual proficiency' }
+    ],
+
+    // Bind the export and import links in .social-links; import needs script, so its
+    // link is rendered hidden and shown here
+    init() {
+        if (this.initialized || typeof document === 'undefined') return;
+
+        this.listeners = Utils.events.scope('json-resume');
+        this.listeners.on(document, 'click', (event) => this.handleClick(event));
+
+        document.querySelectorAll(`${this.linkSelector}[data-json-resume="import"]`).forEach(link => {
+            link.hidden = false;
+        });
+
+        this.initialized = true;
+    },
+
+    destroy() {
+        if (!this.initialized) return;
+
+        this.listeners.removeAll();
+        this.initialized = false;
+    },
+
+    handleClick(event) {
+        const link = event.target.closest(this.linkSelector);
+        if (!link) return;
+
+        if (link.getAttribute('data-json-resume') === 'import') {
+            event.preventDefault();
+            this.chooseFile();
+            return;
+        }
+
+        try {
+            this.download();
+            event.preventDefault();
+        } catch (error) {
+            // Let the browser follow the link to the resume.json generated by the build
+            console.error('❌ Error exporting JSON Resume:', error);
+        }
+    },
+
+    // Let the visitor pick a resume.json and import it
+    chooseFile() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+
+        input.addEventListener('change', () => {
+            const [file] = input.files;
+            if (!file) return;
+
+            this.importFile(file).catch(error => {
+                console.error('❌ Error importing JSON Resume:', error);
+                window.alert(`${file.name} could not be imported: ${error.message}`);
+            });
+        }, { once: true });
+
+        input.click();
+    },
+
+    // Convert the portfolio data model into a JSON Resume document
+    fromPortfolio(data) {
+        const profile = data.profile || {};
+        const ext = this.extensionKey;
+
+        return {
+            $schema: this.schema,
+            basics: this.compact({
+                name: profile.name,
+                label: profile.title,
+                image: profile.image,
+                email: profile.email,
+                url: profile.url,
+                summary: [profile.headline, ...(profile.summary || [])].filter(Boolean).join('\n\n'),
+                location: profile.location,
+                profiles: profile.profiles,
+                [ext]: profile.cv ? { cv: profile.cv } : undefined
+            }),
+            work: (data.experience || []).map(job => this.compact({
+                name: job.company,
+                position: job.title,
+                location: job.location,
+                startDate: job.startDate,
+                endDate: job.endDate,
+                summary: job.summary,
+                [ext]: job.countryCode ? { countryCode: job.countryCode } : undefined
+            })),
+            education: (data.education || []).map(education => this.compact({
+                institution: education.institution,
+                area: education.area,
+                studyType: education.studyType,
+                startDate: education.startDate,
+                endDate: education.endDate,
+                score: this.extractScore(education.rows),
+                [ext]: this.compact({
+                    title: education.title,
+                    location: education.location,
+                    countryCode: education.countryCode,
+                    rows: education.rows
+                })
+            })),
+            skills: (data.skills || []).map(skill => ({
+                name: skill.name,
+                level: this.toLabel(skill.value, this.skillLevels),
+                [ext]: { value: skill.value, category: skill.category || 'technical' }
+            })),
+            languages: (data.languages || []).map(language => ({
+                language: language.name,
+                fluency: this.toLabel(language.value, this.languageFluency),
+                [ext]: { value: language.value }
+            })),
+            meta: {
+                canonical: this.schema,
+                version: this.version,
+                lastModified: new Date().toISOString()
+            }
+        };
+    },
+
+    // Convert a JSON Resume document into the portfolio data model
+    toPortfolio(resume, base = {}) {
+        const errors = this.validate(resume);
+        if (errors.length > 0) {
+            throw new Error(`Invalid JSON Resume: ${errors.join('; ')}`);
+        }
+
+        const basics = resume.basics || {};
+        const ext = this.extensionKey;
+        const [headline, ...summary] = (basics.summary || '').split(/\n\s*\n/).filter(Boolean);
+        const [givenName, ...familyName] = (basics.name || '').split(' ');
+
+        return {
+            ...base,
+            profile: this.compact({
+                ...base.profile,
+                name: basics.name,
+                givenName,
+                familyName: familyName.join(' '),
+                title: basics.label,
+                headline,
+                summary,
+                email: basics.email,
+                image: basics.image || base.profile?.image,
+                cv: basics[ext]?.cv || base.profile?.cv,
+                url: basics.url,
+                location: basics.location,
+                profiles: basics.profiles
+            }),
+            skills: (resume.skills || []).map(skill => ({
+                name: skill.name,
+                value: skill[ext]?.value ?? this.toValue(skill.level, this.skillLevels),
+                category: skill[ext]?.category || 'technical'
+            })),
+            languages: (resume.languages || []).map(language => ({
+                name: language.language,
+                value: language[ext]?.value ?? this.toValue(language.fluency, this.languageFluency)
+            })),
+            education: (resume.education || []).map(education => {
+                const extra = education[ext] || {};
+                return this.compact({
+                    title: extra.title || [education.studyType, education.area].filter(Boolean).join(' '),
+                    institution: education.institution,
+                    location: extra.location || '',
+                    countryCode: extra.countryCode,
+                    studyType: education.studyType,
+                    area: education.area,
+                    startDate: education.startDate,
+                    endDate: education.endDate || null,
+                    rows: extra.rows || this.createRows(education)
+                });
+            }),
+            experience: (resume.work || []).map(job => this.compact({
+                title: job.position,
+                company: job.name,
+                location: job.location || '',
+                countryCode: job[ext]?.countryCode,
+                startDate: job.startDate,
+                endDate: job.endDate || null,
+                summary: job.summary
+            }))
+        };
+    },
+
+    // Validate the parts of a JSON Resume document the importer relies on
+    validate(resume) {
+        const errors = [];
+        const isoDate = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+
+        if (!resume || typeof resume !== 'object' || Array.isArray(resume)) {
+            return ['document must be an object'];
+        }
+
+        if (resume.basics !== undefined && (!resume.basics || typeof resume.basics !== 'object')) {
+            errors.push('basics must be an object');
+        }
+
+        ['work', 'education', 'skills', 'languages'].forEach(section => {
+            if (resume[section] === undefined) return;
+
+            if (!Array.isArray(resume[section])) {
+                errors.push(`${section} must be an array`);
+                return;
+            }
+
+            resume[section].forEach((item, index) => {
+                if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                    errors.push(`${section}[${index}] must be an object`);
+                    return;
+                }
+
+                ['startDate', 'endDate'].forEach(field => {
+                    if (item[field] && !isoDate.test(item[field])) {
+                        errors.push(`${section}[${index}].${field} must be an ISO 8601 date`);
+                    }
+                });
+            });
+        });
+
+        return errors;
+    },
+
+    // Map a numeric proficiency to the closest label at or below it
+    toLabel(value, scale) {
+        const match = [...scale].reverse().find(level => value >= level.value);
+        return (match || scale[0]).label;
+    },
+
+    // Map a proficiency label (or "85%") to a numeric value
+    toValue(label, scale) {
+        if (label === undefined || label === null) return 0;
+
+        const percentage = String(label).match(/(\d+)\s*%/);
+        if (percentage) return parseInt(percentage[1]);
+
+        const text = String(label).toLowerCase();
+        const match = scale.find(level => level.label.toLowerCase() === text) ||
+                      scale.find(level => text.includes(level.label.split(' ')[0].toLowerCase()));
+        if (match) return match.value;
+
+        if (/native|bilingual|mother/.test(text)) return 100;
+        if (/fluent|master/.test(text)) return 90;
+        if (/basic|novice/.test(text)) return 25;
+        return 50;
+    },
+
+    // Pull a grade such as "8.2/10" out of the education info rows
+    extractScore(rows = []) {
+        for (const row of rows) {
+            const match = row.info?.match(/GPA:\s*([\d.]+\/\d+)/);
+            if (match) return match[1];
+        }
+        return undefined;
+    },
+
+    // Build info rows for education entries imported without the extension
+    createRows(education) {
+        const rows = [];
+
+        if (education.studyType || education.area) {
+            rows.push({
+                label: 'Degree',
+                info: [education.studyType, education.area].filter(Boolean).join(' in ')
+            });
+        }
+
+        if (education.score) {
+            rows.push({ label: 'Grades', info: `GPA: ${education.score}` });
+        }
+
+        return rows;
+    },
+
+    // Drop undefined fields so the output stays schema-clean
+    compact(object) {
+        return Object.fromEntries(
+            Object.entries(object).filter(([, value]) => value !== undefined)
+        );
+    },
+
+    // Export the current page data as a JSON Resume object
+    exportResume() {
+        if (typeof PortfolioData === 'undefined' || !PortfolioData.loaded) {
+            throw new Error('Portfolio data model is not loaded');
+        }
+        return this.fromPortfolio(PortfolioData.data);
+    },
+
+    // Import a JSON Resume object and re-render the page sections
+    importResume(resume) {
+        const data = this.toPortfolio(resume, PortfolioData.data || {});
+
+        PortfolioData.setData(data);
+        PortfolioData.renderAll(document);
+
+        // Rebind managers to the freshly rendered markup
+        if (window.Portfolio && typeof window.Portfolio.reinitializeModules === 'function') {
+            window.Portfolio.reinitializeModules();
+        }
+
+        console.log('📥 Imported JSON Resume');
+        return data;
+    },
+
+    // Import a resume.json File (e.g. from an <input type="file">)
+    importFile(file) {
+        return file.text()
+            .then(text => this.importResume(JSON.parse(text)));
+    },
+
+    // Download the current page data as resume.json
+    download(filename = 'resume.json') {
+        const blob = new Blob([JSON.stringify(this.exportResume(), null, 2)], {
+            type: 'application/json'
+        });
+
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Revoke once the click has started the download
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+};
+
+// build.js also loads this file in Node to write resume.json, where there is no window
+if (typeof window !== 'undefined') {
+    (window.PortfolioModules = window.PortfolioModules || []).push({
+        name: 'json-resume',
+        manager: JsonResume
+    });
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JsonResume;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.JsonResume = JsonResume;
+}
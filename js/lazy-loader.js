@@ -4,6 +4,8 @@
 
 const LazyLoader = {
     initialized: false,
+    // Listener scope: destroy() detaches everything added through it
+    listeners: Utils.events.scope('lazy-loader'),
     observer: null,
     imageQueue: [],
     moduleQueue: [],
@@ -229,11 +231,11 @@ const LazyLoader = {
         
         inputs.forEach(input => {
             // Add enhanced validation
-            input.addEventListener('invalid', this.handleInvalidInput);
+            this.listeners.on(input, 'invalid', this.handleInvalidInput);
             
             // Add better focus management
-            input.addEventListener('focus', this.handleInputFocus);
-            input.addEventListener('blur', this.handleInputBlur);
+            this.listeners.on(input, 'focus', this.handleInputFocus);
+            this.listeners.on(input, 'blur', this.handleInputBlur);
         });
     },
     
@@ -273,7 +275,7 @@ const LazyLoader = {
         const navLinks = document.querySelectorAll('a[href^="#"]');
         
         navLinks.forEach(link => {
-            link.addEventListener('click', (event) => {
+            this.listeners.on(link, 'click', (event) => {
                 event.preventDefault();
                 const targetId = link.getAttribute('href').substring(1);
                 const target = document.getElementById(targetId);
@@ -330,7 +332,7 @@ const LazyLoader = {
                 element.setAttribute('tabindex', '0');
             }
             
-            element.addEventListener('keydown', (event) => {
+            this.listeners.on(element, 'keydown', (event) => {
                 if (event.key === 'Enter' || event.key === ' ') {
                     event.preventDefault();
                     element.click();
@@ -411,6 +413,8 @@ const LazyLoader = {
     
     // Cleanup method
     destroy() {
+        this.listeners.removeAll();
+        
         if (this.observer) {
             this.observer.disconnect();
             this.observer = null;
@@ -422,14 +426,10 @@ const LazyLoader = {
     }
 };
 
-// Auto-initialize
-if (typeof window !== 'undefined') {
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => LazyLoader.init());
-    } else {
-        LazyLoader.init();
-    }
-}
+(window.PortfolioModules = window.PortfolioModules || []).push({
+    name: 'lazy-loader',
+    manager: LazyLoader
+});
 
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
@@ -12,18 +12,24 @@
 // Global application state
 const App = {
     initialized: false,
-    isMobile: false,
+    listeners: Utils.events.scope('app'),
     
     // Initialize the application
-    init() {
+    async init() {
         if (this.initialized) return;
         
         console.log('🚀 Initializing Etiosa Raymond Portfolio...');
         
-        // Detect mobile device
-        this.isMobile = this.detectMobile();
+        // Restore settings and detect the breakpoint
+        Store.init();
+        Breakpoints.init();
+        Overlays.init();
         
-        // Initialize modules
+        // Render data-driven sections before modules bind to them
+        await this.renderContent();
+        
+        // Initialize registered modules
+        this.registerQueuedModules();
         this.initializeModules();
         
         // Setup global event listeners
@@ -35,49 +41,169 @@ const App = {
         console.log('✅ Portfolio initialized successfully');
     },
     
-    // Detect if device is mobile
-    detectMobile() {
-        return window.innerWidth <= 768;
+    // Render the profile, skills, languages, education and experience from the data model
+    // (pages rendered by build.js already contain the markup and are only hydrated)
+    renderContent() {
+        if (typeof PortfolioData === 'undefined') return Promise.resolve();
+        
+        return PortfolioData.load()
+            .then(() => {
+                if (!PortfolioData.isPrerendered(document)) {
+                    PortfolioData.renderAll(document);
+                }
+            })
+            .catch(error => {
+                console.error('❌ Error loading portfolio data:', error);
+            });
     },
     
-    // Initialize all application modules
-    initializeModules() {
-        try {
-            // Initialize skills module
-            if (typeof SkillsManager !== 'undefined') {
-                SkillsManager.init();
+    // Whether the mobile breakpoint is active (derived from the store)
+    get isMobile() {
+        return Store.select(Store.selectors.isMobile);
+    },
+    
+    // Module registry: name -> definition (see register())
+    modules: new Map(),
+    
+    // Names of the running modules, in the order they were started
+    activeModules: [],
+    
+    // Register a module definition:
+    // { name, manager, dependencies: [], condition(app), init(), destroy(), onResize(app) }
+    // Hooks default to the manager's init(), destroy() and handleResize() methods.
+    // A module registered after start-up starts straight away once its dependencies run
+    register(definition) {
+        const { name, manager } = definition;
+        
+        if (!name) {
+            console.error('❌ Cannot register a module without a name');
+            return;
+        }
+        
+        if (this.modules.has(name)) {
+            console.warn(`⚠️ Module "${name}" is already registered, replacing it`);
+        }
+        
+        const hook = (method) => manager && typeof manager[method] === 'function' ?
+            manager[method].bind(manager) :
+            null;
+        
+        this.modules.set(name, {
+            name,
+            manager,
+            dependencies: definition.dependencies || [],
+            condition: definition.condition || (() => true),
+            init: definition.init || hook('init'),
+            destroy: definition.destroy || hook('destroy'),
+            onResize: definition.onResize || hook('handleResize')
+        });
+        
+        if (this.initialized) this.initializeModules();
+    },
+    
+    // Take over definitions queued on window.PortfolioModules by the manager scripts;
+    // later pushes register directly
+    registerQueuedModules() {
+        const queue = window.PortfolioModules || [];
+        queue.forEach(definition => this.register(definition));
+        
+        window.PortfolioModules = {
+            push: (...definitions) => definitions.forEach(definition => this.register(definition))
+        };
+    },
+    
+    // Order registered modules so every module comes after its dependencies
+    resolveModuleOrder() {
+        const order = [];
+        const state = new Map(); // name -> 'visiting' | 'done' | 'failed'
+        
+        const visit = (name, path) => {
+            if (state.get(name) === 'done') return true;
+            if (state.get(name) === 'failed') return false;
+            
+            if (state.get(name) === 'visiting') {
+                console.error(`❌ Circular module dependency: ${[...path, name].join(' → ')}`);
+                return false;
             }
             
-            // Initialize education module
-            if (typeof EducationManager !== 'undefined') {
-                EducationManager.init();
+            const definition = this.modules.get(name);
+            if (!definition) {
+                console.error(`❌ Unknown module dependency "${name}" (required by ${path[path.length - 1]})`);
+                return false;
             }
             
-            // Initialize tooltip module
-            if (typeof TooltipManager !== 'undefined') {
-                TooltipManager.init();
+            state.set(name, 'visiting');
+            const resolved = definition.dependencies.every(dependency => visit(dependency, [...path, name]));
+            state.set(name, resolved ? 'done' : 'failed');
+            
+            if (resolved) order.push(definition);
+            return resolved;
+        };
+        
+        this.modules.forEach((definition, name) => visit(name, []));
+        return order;
+    },
+    
+    // Initialize all registered modules in dependency order
+    initializeModules() {
+        this.resolveModuleOrder().forEach(definition => {
+            const { name } = definition;
+            if (this.activeModules.includes(name)) return;
+            
+            const missing = definition.dependencies.filter(dependency => !this.activeModules.includes(dependency));
+            if (missing.length > 0) {
+                console.warn(`⚠️ Skipping module "${name}": dependencies not running (${missing.join(', ')})`);
+                return;
             }
             
-            // Initialize mobile module if on mobile
-            if (this.isMobile && typeof MobileManager !== 'undefined') {
-                MobileManager.init();
+            // A failing module is skipped without affecting the others
+            try {
+                if (!definition.condition(this)) return;
+                
+                if (definition.init) definition.init();
+                this.activeModules.push(name);
+            } catch (error) {
+                console.error(`❌ Error initializing module "${name}":`, error);
             }
+        });
+    },
+    
+    // Tear down running modules in reverse start order
+    destroyModules() {
+        [...this.activeModules].reverse().forEach(name => {
+            const definition = this.modules.get(name);
             
-        } catch (error) {
-            console.error('❌ Error initializing modules:', error);
-        }
+            try {
+                if (definition.destroy) definition.destroy();
+            } catch (error) {
+                console.error(`❌ Error destroying module "${name}":`, error);
+            }
+        });
+        
+        this.activeModules = [];
+    },
+    
+    // Get the manager of a running module
+    getModule(name) {
+        return this.activeModules.includes(name) ? this.modules.get(name).manager : null;
+    },
+    
+    // Debug: live event listener counts per module, e.g. { app: 6, skills: 26 }
+    getListenerCounts() {
+        const counts = Utils.events.listenerCounts();
+        console.table(counts);
+        return counts;
     },
     
     // Setup global event listeners
     setupGlobalEvents() {
-        // Handle window resize
-        window.addEventListener('resize', this.handleResize.bind(this));
-        
-        // Handle escape key for closing overlays
-        document.addEventListener('keydown', this.handleKeyDown.bind(this));
+        // Reinitialize modules when crossing the mobile breakpoint
+        Utils.events.subscribe('breakpoint:change', this.handleBreakpointChange.bind(this), {
+            scope: this.listeners
+        });
         
-        // Handle clicks outside overlays
-        document.addEventListener('click', this.handleGlobalClick.bind(this));
+        // Handle window resize (debounced; breakpoint changes arrive through matchMedia)
+        this.listeners.on(window, 'resize', Utils.performance.debounce(this.handleResize.bind(this), 150));
         
         // Prevent default touch behaviors on interactive elements
         this.setupTouchOptimization();
@@ -86,46 +212,30 @@ const App = {
         this.setupScrollOptimization();
     },
     
-    // Handle window resize events
-    handleResize() {
-        const wasMobile = this.isMobile;
-        this.isMobile = this.detectMobile();
+    // Reinitialize modules so their conditions are re-evaluated when mobile state changes
+    handleBreakpointChange({ name, previous }) {
+        if ((name === 'mobile') === (previous === 'mobile')) return;
         
-        // If mobile state changed, reinitialize modules
-        if (wasMobile !== this.isMobile) {
-            console.log(`📱 Device type changed: ${this.isMobile ? 'Mobile' : 'Desktop'}`);
-            this.reinitializeModules();
-        }
-    },
-    
-    // Handle global keydown events
-    handleKeyDown(event) {
-        if (event.key === 'Escape') {
-            // Close any open overlays
-            this.closeAllOverlays();
-        }
+        console.log(`📱 Device type changed: ${this.isMobile ? 'Mobile' : 'Desktop'}`);
+        this.reinitializeModules();
     },
     
-    // Handle global click events
-    handleGlobalClick(event) {
-        // Handle clicks outside overlays to close them
-        if (event.target.classList.contains('overlay-backdrop')) {
-            this.closeAllOverlays();
-        }
+    // Handle window resize events
+    handleResize() {
+        this.activeModules.forEach(name => {
+            const definition = this.modules.get(name);
+            
+            try {
+                if (definition.onResize) definition.onResize(this);
+            } catch (error) {
+                console.error(`❌ Error resizing module "${name}":`, error);
+            }
+        });
     },
     
-    // Close all open overlays
+    // Close all open overlays (Escape and backdrop clicks close the top one, see Overlays)
     closeAllOverlays() {
-        // Close education overlay
-        if (typeof EducationManager !== 'undefined') {
-            EducationManager.closeOverlays();
-        }
-        
-        // Close any other overlays
-        const overlays = document.querySelectorAll('.overlay, .modal');
-        overlays.forEach(overlay => {
-            overlay.classList.remove('show', 'active');
-        });
+        Overlays.closeAll();
     },
     
     // Setup touch optimization
@@ -135,11 +245,11 @@ const App = {
         );
         
         interactiveElements.forEach(element => {
-            element.addEventListener('touchstart', function(e) {
+            this.listeners.on(element, 'touchstart', function(e) {
                 e.preventDefault();
             }, {passive: false});
             
-            element.addEventListener('touchend', function(e) {
+            this.listeners.on(element, 'touchend', function(e) {
                 e.preventDefault();
                 element.click();
             }, {passive: false});
@@ -162,23 +272,14 @@ const App = {
             }
         }
         
-        window.addEventListener('scroll', requestTick, {passive: true});
+        this.listeners.on(window, 'scroll', requestTick, {passive: true});
     },
     
     // Reinitialize modules when device type changes
     reinitializeModules() {
         console.log('🔄 Reinitializing modules for device change...');
         
-        // Destroy current instances if they have cleanup methods
-        if (typeof SkillsManager !== 'undefined' && SkillsManager.destroy) {
-            SkillsManager.destroy();
-        }
-        
-        if (typeof EducationManager !== 'undefined' && EducationManager.destroy) {
-            EducationManager.destroy();
-        }
-        
-        // Reinitialize
+        this.destroyModules();
         this.initializeModules();
     },
     
@@ -244,5 +345,10 @@ if (document.readyState === 'loading') {
     App.init();
 }
 
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = App;
+}
+
 // Make App globally available
 window.Portfolio = App;
\ No newline at end of file
@@ -4,6 +4,10 @@
 
 const MobileManager = {
     initialized: false,
+    // Listener scope: destroy() detaches everything added through it
+    listeners: Utils.events.scope('mobile'),
+    // Platform tweaks are set up once at load and outlive destroy()
+    platformListeners: Utils.events.scope('mobile-platform'),
     touchStartTime: 0,
     touchStartPosition: { x: 0, y: 0 },
     
@@ -30,7 +34,7 @@ const MobileManager = {
         
         interactiveElements.forEach(element => {
             // Handle touch start
-            element.addEventListener('touchstart', (e) => {
+            this.listeners.on(element, 'touchstart', (e) => {
                 this.touchStartTime = Date.now();
                 this.touchStartPosition = {
                     x: e.touches[0].clientX,
@@ -42,7 +46,7 @@ const MobileManager = {
             }, { passive: true });
             
             // Handle touch end
-            element.addEventListener('touchend', (e) => {
+            this.listeners.on(element, 'touchend', (e) => {
                 const touchEndTime = Date.now();
                 const touchDuration = touchEndTime - this.touchStartTime;
                 
@@ -71,7 +75,7 @@ const MobileManager = {
             }, { passive: false });
             
             // Handle touch cancel
-            element.addEventListener('touchcancel', () => {
+            this.listeners.on(element, 'touchcancel', () => {
                 element.classList.remove('touch-active');
             });
         });
@@ -93,9 +97,6 @@ const MobileManager = {
         // Handle orientation changes
         this.setupOrientationHandling();
         
-        // Setup mobile-specific CSS classes
-        document.body.classList.add('mobile-device');
-        
         // Prevent text selection on interactive elements
         this.preventTextSelection();
     },
@@ -111,11 +112,11 @@ const MobileManager = {
             item.style.minWidth = '44px';
             
             // Add touch feedback
-            item.addEventListener('touchstart', () => {
+            this.listeners.on(item, 'touchstart', () => {
                 item.style.opacity = '0.7';
             }, { passive: true });
             
-            item.addEventListener('touchend', () => {
+            this.listeners.on(item, 'touchend', () => {
                 item.style.opacity = '1';
             }, { passive: true });
         });
@@ -131,12 +132,12 @@ const MobileManager = {
         const preventPullRefresh = document.querySelectorAll('.overlay, .modal');
         
         preventPullRefresh.forEach(element => {
-            element.addEventListener('touchstart', (e) => {
+            this.listeners.on(element, 'touchstart', (e) => {
                 startY = e.touches[0].pageY;
                 isScrolling = false;
             }, { passive: true });
             
-            element.addEventListener('touchmove', (e) => {
+            this.listeners.on(element, 'touchmove', (e) => {
                 currentY = e.touches[0].pageY;
                 
                 // Prevent pull-to-refresh if scrolling down from top
@@ -152,7 +153,7 @@ const MobileManager = {
         // Use passive listeners for better scroll performance
         let isScrolling = false;
         
-        window.addEventListener('scroll', () => {
+        this.listeners.on(window, 'scroll', () => {
             if (!isScrolling) {
                 window.requestAnimationFrame(() => {
                     // Scroll-based optimizations
@@ -179,7 +180,7 @@ const MobileManager = {
     
     // Handle device orientation changes
     setupOrientationHandling() {
-        window.addEventListener('orientationchange', () => {
+        this.listeners.on(window, 'orientationchange', () => {
             // Add a small delay to allow for orientation change to complete
             setTimeout(() => {
                 // Trigger resize event to recalculate layouts
@@ -194,29 +195,14 @@ const MobileManager = {
         });
     },
     
-    // Update mobile state after orientation change
+    // Update mobile state after orientation change (the store derives the body classes)
     updateMobileState() {
-        const isMobile = window.innerWidth <= 768;
-        
-        if (isMobile) {
-            document.body.classList.add('mobile-device');
-            document.body.classList.remove('desktop-device');
-        } else {
-            document.body.classList.add('desktop-device');
-            document.body.classList.remove('mobile-device');
-        }
+        Breakpoints.update();
     },
     
     // Refresh overlays after orientation change
     refreshOverlaysForOrientation() {
-        const overlays = document.querySelectorAll('.overlay.show, .modal.show');
-        
-        overlays.forEach(overlay => {
-            // Recalculate positions
-            overlay.style.transform = '';
-            overlay.offsetHeight; // Force reflow
-            overlay.style.transform = 'translate(-50%, -50%)';
-        });
+        Overlays.reposition();
     },
     
     // Prevent text selection on interactive elements
@@ -274,10 +260,10 @@ const MobileManager = {
         };
         
         setIOSViewportHeight();
-        window.addEventListener('resize', setIOSViewportHeight);
+        this.platformListeners.on(window, 'resize', setIOSViewportHeight);
         
         // Prevent iOS bounce scroll on body
-        document.body.addEventListener('touchmove', (e) => {
+        this.platformListeners.on(document.body, 'touchmove', (e) => {
             if (e.target === document.body) {
                 e.preventDefault();
             }
@@ -291,7 +277,7 @@ const MobileManager = {
         // Handle Android keyboard behavior
         let initialViewportHeight = window.innerHeight;
         
-        window.addEventListener('resize', () => {
+        this.platformListeners.on(window, 'resize', () => {
             const currentViewportHeight = window.innerHeight;
             const heightDifference = initialViewportHeight - currentViewportHeight;
             
@@ -326,7 +312,10 @@ const MobileManager = {
     // Get mobile device info
     getDeviceInfo() {
         return {
-            isMobile: window.innerWidth <= 768,
+            isMobile: Breakpoints.isMobile(),
+            breakpoint: Breakpoints.get(),
+            canHover: Breakpoints.canHover(),
+            isCoarsePointer: Breakpoints.isCoarsePointer(),
             isTouch: this.supportsTouch(),
             isIOS: this.isIOS(),
             isAndroid: this.isAndroid(),
@@ -340,7 +329,9 @@ const MobileManager = {
     
     // Cleanup method
     destroy() {
-        document.body.classList.remove('mobile-device', 'desktop-device', 'scrolled', 'keyboard-open');
+        this.listeners.removeAll();
+        
+        document.body.classList.remove('scrolled', 'keyboard-open');
         this.initialized = false;
     }
 };
@@ -355,6 +346,12 @@ if (typeof window !== 'undefined') {
     }
 }
 
+(window.PortfolioModules = window.PortfolioModules || []).push({
+    name: 'mobile',
+    manager: MobileManager,
+    condition: (app) => app.isMobile
+});
+
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = MobileManager;
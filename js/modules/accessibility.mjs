@@ -1,13 +1,26 @@
 /**
  * Accessibility Manager - WCAG 2.1 AA compliance and enhanced usability
  * Ensures the portfolio is accessible to all users
+ * (dialogs trap and restore focus through Overlays; audits run js/accessibility-rules.js)
  */
 
+import { events } from './utils.mjs';
+import Store from '../store.js';
+import Theme from '../theme.js';
+import Overlays from '../overlays.js';
+import I18n from '../i18n.js';
+import AccessibilityRules from '../accessibility-rules.js';
+
 export class AccessibilityManager {
     constructor() {
         this.focusedElement = null;
-        this.focusTrap = null;
         this.announcer = null;
+        // Listener scope: destroy() detaches everything added through it
+        this.listeners = events.scope('accessibility');
+        this.unsubscribers = [];
+        // Conformance level checked by the audit ('AA' or 'AAA')
+        this.contrastLevel = 'AA';
+        this.lastReport = null;
         this.config = {
             enableFocusManagement: true,
             enableScreenReaderSupport: true,
@@ -29,7 +42,8 @@ export class AccessibilityManager {
             this.setupReducedMotionSupport();
             this.setupSkipLinks();
             this.enhanceFormAccessibility();
-            this.monitorAccessibilityViolations();
+            this.setupBusAnnouncements();
+            this.auditAccessibility();
             
             console.log('✅ Accessibility Manager initialized');
         } catch (error) {
@@ -71,24 +85,51 @@ export class AccessibilityManager {
         }, 1000);
     }
 
-    // Setup focus management
+    // Announcement text in the page language
+    translate(key, params, fallback) {
+        return I18n.t(key, params, fallback);
+    }
+
+    // Announce what other modules report on the event bus
+    setupBusAnnouncements() {
+        events.subscribe('overlay:open', ({ title }) => {
+            this.announce(this.translate('announce.opened', { title }, `${title} opened`));
+        }, { scope: this.listeners });
+
+        events.subscribe('overlay:close', () => {
+            this.announce(this.translate('announce.overlayClosed', {}, 'Overlay closed'));
+        }, { scope: this.listeners });
+
+        // The router updates the title before announcing the new view
+        events.subscribe('route:change', () => {
+            this.announce(this.translate('announce.loaded', { title: document.title }, `${document.title} loaded`));
+        }, { scope: this.listeners });
+
+        events.subscribe('language:change', ({ language }) => {
+            const name = I18n.languages[language];
+            this.announce(this.translate('announce.language', { language: name }, `Language changed to ${name}`));
+        }, { scope: this.listeners });
+
+        events.subscribe('skill:changed', ({ name, value }) => {
+            this.announce(`${name} set to ${value}%`);
+        }, { scope: this.listeners });
+    }
+
+    // Setup focus management (Overlays traps focus in dialogs and restores it on close)
     setupFocusManagement() {
         if (!this.config.enableFocusManagement) return;
 
         // Track focus changes
-        document.addEventListener('focusin', (event) => {
+        this.listeners.on(document, 'focusin', (event) => {
             this.handleFocusIn(event);
         });
 
-        document.addEventListener('focusout', (event) => {
+        this.listeners.on(document, 'focusout', (event) => {
             this.handleFocusOut(event);
         });
 
         // Ensure visible focus indicators
         this.enhanceFocusIndicators();
-
-        // Focus trap for modals
-        this.setupFocusTrap();
     }
 
     // Handle focus in events
@@ -164,88 +205,12 @@ export class AccessibilityManager {
         document.head.appendChild(style);
     }
 
-    // Setup focus trap for modals
-    setupFocusTrap() {
-        this.focusTrap = {
-            active: false,
-            container: null,
-            firstFocusableElement: null,
-            lastFocusableElement: null
-        };
-
-        document.addEventListener('keydown', (event) => {
-            if (this.focusTrap.active && event.key === 'Tab') {
-                this.handleFocusTrap(event);
-            }
-        });
-    }
-
-    // Activate focus trap
-    activateFocusTrap(container) {
-        this.focusTrap.container = container;
-        this.focusTrap.active = true;
-
-        const focusableElements = this.getFocusableElements(container);
-        this.focusTrap.firstFocusableElement = focusableElements[0];
-        this.focusTrap.lastFocusableElement = focusableElements[focusableElements.length - 1];
-
-        // Focus first element
-        if (this.focusTrap.firstFocusableElement) {
-            this.focusTrap.firstFocusableElement.focus();
-        }
-
-        this.announce('Modal opened. Press Escape to close.');
-    }
-
-    // Deactivate focus trap
-    deactivateFocusTrap() {
-        this.focusTrap.active = false;
-        this.focusTrap.container = null;
-        this.announce('Modal closed.');
-    }
-
-    // Handle focus trap navigation
-    handleFocusTrap(event) {
-        if (!this.focusTrap.active) return;
-
-        if (event.shiftKey) {
-            // Shift + Tab
-            if (document.activeElement === this.focusTrap.firstFocusableElement) {
-                event.preventDefault();
-                this.focusTrap.lastFocusableElement.focus();
-            }
-        } else {
-            // Tab
-            if (document.activeElement === this.focusTrap.lastFocusableElement) {
-                event.preventDefault();
-                this.focusTrap.firstFocusableElement.focus();
-            }
-        }
-    }
-
-    // Get focusable elements
-    getFocusableElements(container) {
-        const selector = [
-            'a[href]',
-            'button:not([disabled])',
-            'textarea:not([disabled])',
-            'input:not([disabled])',
-            'select:not([disabled])',
-            '[tabindex]:not([tabindex="-1"])'
-        ].join(', ');
-
-        return Array.from(container.querySelectorAll(selector))
-            .filter(element => !element.hasAttribute('aria-hidden') && 
-                              element.offsetWidth > 0 && 
-                              element.offsetHeight > 0);
-    }
-
     // Setup keyboard navigation
     setupKeyboardNavigation() {
         if (!this.config.enableKeyboardNavigation) return;
 
         // Global keyboard shortcuts
-        document.addEventListener('keydown', (event) => {
+        this.listeners.on(document, 'keydown', (event) => {
             this.handleGlobalKeyboard(event);
         });
 
@@ -282,11 +247,6 @@ export class AccessibilityManager {
             event.preventDefault();
             this.toggleReducedMotion();
         }
-
-        // Close all overlays with Escape
-        if (key === 'Escape') {
-            this.closeAllOverlays();
-        }
     }
 
     // Setup skills keyboard navigation
@@ -294,11 +254,10 @@ export class AccessibilityManager {
         const skillControls = document.querySelectorAll('.skill-control, .language-control');
         
         skillControls.forEach(control => {
-            control.addEventListener('keydown', (event) => {
+            this.listeners.on(control, 'keydown', (event) => {
                 if (event.key === 'Enter' || event.key === ' ') {
                     event.preventDefault();
                     control.click();
-                    this.announce('Skill level updated');
                 }
             });
         });
@@ -309,7 +268,7 @@ export class AccessibilityManager {
         const educationRows = document.querySelectorAll('.education-row');
         
         educationRows.forEach(row => {
-            row.addEventListener('keydown', (event) => {
+            this.listeners.on(row, 'keydown', (event) => {
                 if (event.key === 'Enter' || event.key === ' ') {
                     event.preventDefault();
                     row.click();
@@ -323,7 +282,7 @@ export class AccessibilityManager {
         const menuItems = document.querySelectorAll('.menu-item');
         
         menuItems.forEach((item, index) => {
-            item.addEventListener('keydown', (event) => {
+            this.listeners.on(item, 'keydown', (event) => {
                 const { key } = event;
                 
                 if (key === 'ArrowDown') {
@@ -423,22 +382,8 @@ export class AccessibilityManager {
         document.body.appendChild(alertRegion);
     }
 
-    // Update dynamic ARIA
+    // Update dynamic ARIA (skill and language bars are sliders, described by SkillsManager)
     updateDynamicARIA() {
-        // Update progress bars
-        const progressBars = document.querySelectorAll('.skill-progress, .language-progress');
-        progressBars.forEach(bar => {
-            const container = bar.closest('.skill-bar, .language-bar');
-            if (container) {
-                const value = bar.getAttribute('data-value') || '0';
-                container.setAttribute('aria-valuenow', value);
-                container.setAttribute('aria-valuemin', '0');
-                container.setAttribute('aria-valuemax', '100');
-                container.setAttribute('role', 'progressbar');
-                container.setAttribute('aria-label', `Skill level: ${value}%`);
-            }
-        });
-
         // Update expandable sections
         const expandableElements = document.querySelectorAll('[data-expandable]');
         expandableElements.forEach(element => {
@@ -447,82 +392,62 @@ export class AccessibilityManager {
         });
     }
 
-    // Setup high contrast mode
+    // Setup high contrast mode: Theme follows prefers-contrast until the visitor chooses,
+    // and the store applies the high-contrast token set; announce every change
     setupHighContrastMode() {
         if (!this.config.enableHighContrast) return;
 
-        // Detect system preference
-        const prefersHighContrast = window.matchMedia('(prefers-contrast: high)');
-        
-        if (prefersHighContrast.matches) {
-            this.enableHighContrast();
-        }
-
-        // Listen for changes
-        prefersHighContrast.addEventListener('change', (event) => {
-            if (event.matches) {
-                this.enableHighContrast();
-            } else {
-                this.disableHighContrast();
-            }
-        });
+        this.unsubscribers.push(Store.subscribe(Store.selectors.isHighContrast, (isHighContrast) => {
+            this.announce(isHighContrast ? 'High contrast mode enabled' : 'High contrast mode disabled');
+        }));
     }
 
     // Enable high contrast mode
     enableHighContrast() {
-        document.body.classList.add('high-contrast');
-        this.announce('High contrast mode enabled');
+        Theme.set({ contrast: 'high' });
     }
 
     // Disable high contrast mode
     disableHighContrast() {
-        document.body.classList.remove('high-contrast');
-        this.announce('High contrast mode disabled');
+        Theme.set({ contrast: 'normal' });
     }
 
     // Toggle high contrast mode
     toggleHighContrast() {
-        if (document.body.classList.contains('high-contrast')) {
+        if (Store.select(Store.selectors.isHighContrast)) {
             this.disableHighContrast();
         } else {
             this.enableHighContrast();
         }
     }
 
-    // Setup reduced motion support
+    // Setup reduced motion support (the store restores the saved or system preference
+    // and sets the reduced-motion body class)
     setupReducedMotionSupport() {
-        if (!this.config.enableReducedMotion) return;
+        if (!this.config.enableReducedMotion || typeof window.matchMedia !== 'function') return;
 
         const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
-        
-        if (prefersReducedMotion.matches) {
-            this.enableReducedMotion();
-        }
 
-        prefersReducedMotion.addEventListener('change', (event) => {
-            if (event.matches) {
-                this.enableReducedMotion();
-            } else {
-                this.disableReducedMotion();
-            }
+        this.listeners.on(prefersReducedMotion, 'change', (event) => {
+            Store.set({ motion: event.matches ? 'reduced' : 'full' }, { persist: false });
         });
     }
 
     // Enable reduced motion
     enableReducedMotion() {
-        document.body.classList.add('reduced-motion');
+        Store.set({ motion: 'reduced' });
         this.announce('Reduced motion enabled');
     }
 
     // Disable reduced motion
     disableReducedMotion() {
-        document.body.classList.remove('reduced-motion');
+        Store.set({ motion: 'full' });
         this.announce('Reduced motion disabled');
     }
 
     // Toggle reduced motion
     toggleReducedMotion() {
-        if (document.body.classList.contains('reduced-motion')) {
+        if (Store.select(Store.selectors.isReducedMotion)) {
             this.disableReducedMotion();
         } else {
             this.enableReducedMotion();
@@ -607,7 +532,7 @@ export class AccessibilityManager {
             });
 
             // Add form validation
-            form.addEventListener('submit', (event) => {
+            this.listeners.on(form, 'submit', (event) => {
                 const isValid = this.validateFormAccessibility(form);
                 if (!isValid) {
                     event.preventDefault();
@@ -636,63 +561,43 @@ export class AccessibilityManager {
         return isValid;
     }
 
-    // Monitor accessibility violations
-    monitorAccessibilityViolations() {
-        // Check for common violations
-        this.checkColorContrast();
-        this.checkFocusableElements();
-        this.checkHeadingStructure();
-        this.checkImageAltText();
-    }
+    // Audit accessibility issues with the registered rules (see AccessibilityRules).
+    // options: { rules: [ids], level: 'AA' | 'AAA' }
+    auditAccessibility(options = {}) {
+        const report = AccessibilityRules.run(document, { level: this.contrastLevel, ...options });
+        this.lastReport = report;
 
-    // Check color contrast
-    checkColorContrast() {
-        const elements = document.querySelectorAll('*');
-        elements.forEach(element => {
-            const styles = window.getComputedStyle(element);
-            const color = styles.color;
-            const backgroundColor = styles.backgroundColor;
-            
-            // Basic contrast check (simplified)
-            if (color !== 'rgba(0, 0, 0, 0)' && backgroundColor !== 'rgba(0, 0, 0, 0)') {
-                // Implementation would include actual contrast ratio calculation
-                // This is a placeholder for the concept
-            }
-        });
+        if (report.issues.length > 0) {
+            console.warn('🚨 Accessibility issues found:', report.issues);
+        } else {
+            console.log('✅ No accessibility issues found');
+        }
+
+        return report;
     }
 
-    // Check focusable elements
-    checkFocusableElements() {
-        const interactiveElements = document.querySelectorAll('button, a, input, select, textarea, [tabindex]');
-        interactiveElements.forEach(element => {
-            if (element.tabIndex < 0 && !element.hasAttribute('aria-hidden')) {
-                console.warn('Interactive element is not keyboard accessible:', element);
-            }
-        });
+    // Contrast issue details for a text element, or null when it passes
+    measureContrast(element, level = this.contrastLevel) {
+        return AccessibilityRules.measureContrast(element, level);
     }
 
-    // Check heading structure
-    checkHeadingStructure() {
-        const headings = document.querySelectorAll('h1, h2, h3, h4, h5, h6');
-        let lastLevel = 0;
+    // Download a report as JSON or as a self-contained HTML page
+    exportReport(format = 'json', report = this.lastReport) {
+        if (!report) return;
 
-        headings.forEach(heading => {
-            const level = parseInt(heading.tagName.substr(1));
-            if (level > lastLevel + 1) {
-                console.warn('Heading level skipped:', heading);
-            }
-            lastLevel = level;
-        });
-    }
+        const isHTML = format === 'html';
+        const content = isHTML ? AccessibilityRules.toHTML(report) : AccessibilityRules.toJSON(report);
+        const blob = new Blob([content], { type: isHTML ? 'text/html' : 'application/json' });
+        const url = URL.createObjectURL(blob);
 
-    // Check image alt text
-    checkImageAltText() {
-        const images = document.querySelectorAll('img');
-        images.forEach(img => {
-            if (!img.hasAttribute('alt') && !img.hasAttribute('aria-label')) {
-                console.warn('Image missing alt text:', img);
-            }
-        });
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `accessibility-report.${isHTML ? 'html' : 'json'}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
     }
 
     // Ensure element is visible
@@ -717,23 +622,20 @@ export class AccessibilityManager {
 
     // Close all overlays
     closeAllOverlays() {
-        const overlays = document.querySelectorAll('.overlay, .modal, .dropdown');
-        overlays.forEach(overlay => {
-            if (overlay.classList.contains('show') || overlay.classList.contains('active')) {
-                overlay.classList.remove('show', 'active');
-                this.deactivateFocusTrap();
-            }
-        });
+        Overlays.closeAll();
     }
 
     // Cleanup
     destroy() {
+        this.listeners.removeAll();
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+
         if (this.announcer && this.announcer.parentNode) {
             this.announcer.parentNode.removeChild(this.announcer);
         }
         
         this.keyboardMap.clear();
-        this.focusTrap = null;
     }
 }
 
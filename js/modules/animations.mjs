@@ -3,6 +3,8 @@
  * Implements AI/ML-inspired animations and smooth transitions
  */
 
+import Store from '../store.js';
+
 export class AnimationManager {
     constructor() {
         this.observers = new Map();
@@ -354,6 +356,13 @@ export class AnimationManager {
         setTimeout(typeWord, 300);
     }
 
+    // Neural effects run from the 'neural' observer; stop it when they are off or motion is reduced
+    setupNeuralNetworkAnimations() {
+        if (this.config.enableNeuralEffects && !Store.select(Store.selectors.isReducedMotion)) return;
+
+        this.observers.get('neural')?.disconnect();
+    }
+
     // Setup parallax effects
     setupParallaxEffects() {
         if (!this.config.enableParallax) return;
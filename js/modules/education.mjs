@@ -0,0 +1,288 @@
+/**
+ * Education Manager - ES6 Module Version
+ * Handles education section interactions and document preview
+ */
+
+import { events } from './utils.mjs';
+import Breakpoints from '../breakpoints.js';
+import Overlays from '../overlays.js';
+import PortfolioData from '../portfolio-data.js';
+
+export class EducationManager {
+    constructor() {
+        this.initialized = false;
+        // Listener scope: destroy() detaches everything added through it
+        this.listeners = events.scope('education');
+        this.educationRows = [];
+        this.overlays = {};
+        this.currentTimeout = null;
+    }
+
+    // Initialize education functionality
+    async init() {
+        if (this.initialized) return;
+
+        console.log('🎓 Initializing Education Manager (ES6)...');
+
+        this.setupElements();
+        this.setupEducationRows();
+        this.setupOverlayEvents();
+
+        this.initialized = true;
+    }
+
+    // Setup DOM elements
+    setupElements() {
+        this.educationRows = document.querySelectorAll('.education-row');
+
+        this.overlays = {
+            // Education info overlay
+            educationOverlay: document.getElementById('educationOverlay'),
+            educationBackdrop: document.getElementById('educationBackdrop'),
+            educationClose: document.getElementById('educationClose'),
+            educationTitle: document.getElementById('educationTitle'),
+            educationContent: document.getElementById('educationContent'),
+
+            // Document preview overlay
+            documentPreviewOverlay: document.getElementById('documentPreviewOverlay'),
+            documentPreviewBackdrop: document.getElementById('documentPreviewBackdrop'),
+            documentPreviewClose: document.getElementById('documentPreviewClose'),
+            documentPreviewTitle: document.getElementById('documentPreviewTitle'),
+            documentPreviewFrame: document.getElementById('documentPreviewFrame')
+        };
+    }
+
+    // Setup education row interactions
+    setupEducationRows() {
+        this.educationRows.forEach(row => {
+            const fileUrl = row.getAttribute('data-file');
+            const title = row.querySelector('.row-label')?.textContent;
+            const content = row.getAttribute('data-info');
+
+            if (fileUrl) {
+                this.setupDocumentRow(row, title, fileUrl);
+            } else {
+                this.setupInfoRow(row, title, content);
+            }
+        });
+    }
+
+    // Setup document preview row
+    setupDocumentRow(row, title, fileUrl) {
+        if (!this.isMobile()) {
+            // Desktop: hover to show document preview (transient: no history entry)
+            this.listeners.on(row, 'mouseenter', () => {
+                this.clearTimeout();
+                this.currentTimeout = setTimeout(() => {
+                    this.showDocumentPreview(title, fileUrl, row.dataset.link, { transient: true });
+                }, 500); // 500ms delay to prevent accidental triggers
+            });
+
+            this.listeners.on(row, 'mouseleave', () => {
+                this.clearTimeout();
+            });
+        }
+
+        // Click to open in new tab
+        this.listeners.on(row, 'click', (e) => {
+            e.stopPropagation();
+            window.open(fileUrl, '_blank');
+        });
+    }
+
+    // Setup info-only row
+    setupInfoRow(row, title, content) {
+        if (this.isMobile()) {
+            this.listeners.on(row, 'click', (e) => {
+                e.stopPropagation();
+                this.showEducationInfo(title, content, row.dataset.link);
+            });
+        } else {
+            this.listeners.on(row, 'mouseenter', () => {
+                this.clearTimeout();
+                this.currentTimeout = setTimeout(() => {
+                    this.showEducationInfo(title, content, row.dataset.link, { transient: true });
+                }, 500);
+            });
+
+            this.listeners.on(row, 'mouseleave', () => {
+                this.clearTimeout();
+            });
+
+            // Click (and Enter) opens it to stay, with a history entry
+            this.listeners.on(row, 'click', (e) => {
+                e.stopPropagation();
+                this.clearTimeout();
+                this.showEducationInfo(title, content, row.dataset.link);
+            });
+        }
+    }
+
+    // Setup overlay event handlers
+    setupOverlayEvents() {
+        const { overlays } = this;
+
+        // Close when the pointer leaves an overlay
+        this.listeners.on(overlays.documentPreviewOverlay, 'mouseleave', () => {
+            this.hideDocumentPreview();
+        });
+
+        this.listeners.on(overlays.educationOverlay, 'mouseleave', () => {
+            this.hideEducationInfo();
+        });
+
+        // Close button events
+        this.listeners.on(overlays.educationClose, 'click', () => {
+            this.hideEducationInfo();
+        });
+
+        this.listeners.on(overlays.documentPreviewClose, 'click', () => {
+            this.hideDocumentPreview();
+        });
+
+        // The dialog manager handles stacking, scroll lock, Escape, backdrop clicks and focus
+        Overlays.register('education', overlays.educationOverlay, {
+            backdrop: overlays.educationBackdrop
+        });
+
+        Overlays.register('documentPreview', overlays.documentPreviewOverlay, {
+            backdrop: overlays.documentPreviewBackdrop,
+            onClose: () => {
+                // Clear iframe src to stop loading
+                const frame = overlays.documentPreviewFrame;
+                setTimeout(() => {
+                    frame.src = '';
+                }, 300);
+            }
+        });
+    }
+
+    // Show document preview overlay. options: { transient } (see Overlays.open)
+    showDocumentPreview(title, fileUrl, link = null, options = {}) {
+        if (!this.overlays.documentPreviewOverlay) return;
+
+        console.log(`📄 Showing document preview: ${title}`);
+
+        this.overlays.documentPreviewTitle.textContent = title;
+        this.overlays.documentPreviewFrame.src = fileUrl;
+        Overlays.open('documentPreview', { title, link, transient: options.transient });
+    }
+
+    // Hide document preview overlay
+    hideDocumentPreview() {
+        Overlays.close('documentPreview');
+    }
+
+    // Show education info overlay. options: { transient } (see Overlays.open)
+    showEducationInfo(title, content, link = null, options = {}) {
+        if (!this.overlays.educationOverlay) return;
+
+        console.log(`ℹ️ Showing education info: ${title}`);
+
+        this.overlays.educationTitle.textContent = title;
+        this.overlays.educationContent.textContent = content;
+        Overlays.open('education', { title, link, transient: options.transient });
+    }
+
+    // Hide education info overlay
+    hideEducationInfo() {
+        Overlays.close('education');
+    }
+
+    // Open the overlay of the row with this deep link id ("master-degree"); returns whether it exists.
+    // overlayId limits it to rows shown in that overlay ('documentPreview' for rows with a file)
+    openLink(link, overlayId = null) {
+        const row = Array.from(this.educationRows).find(item => item.dataset.link === link);
+        if (!row) return false;
+
+        const title = row.querySelector('.row-label')?.textContent;
+        const fileUrl = row.getAttribute('data-file');
+        if (overlayId && overlayId !== (fileUrl ? 'documentPreview' : 'education')) return false;
+
+        if (fileUrl) {
+            this.showDocumentPreview(title, fileUrl, link);
+        } else {
+            this.showEducationInfo(title, row.getAttribute('data-info'), link);
+        }
+        return true;
+    }
+
+    // Close all overlays
+    closeOverlays() {
+        this.hideDocumentPreview();
+        this.hideEducationInfo();
+        this.clearTimeout();
+    }
+
+    // Clear current timeout
+    clearTimeout() {
+        if (this.currentTimeout) {
+            clearTimeout(this.currentTimeout);
+            this.currentTimeout = null;
+        }
+    }
+
+    // Check if device is mobile
+    isMobile() {
+        return Breakpoints.isMobile();
+    }
+
+    // Get education data for analytics
+    getEducationData() {
+        if (PortfolioData.loaded) {
+            return PortfolioData.getEducation().map(education => ({
+                title: education.title,
+                institution: education.institution,
+                location: education.location,
+                year: PortfolioData.formatPeriod(education.startDate, education.endDate),
+                rows: (education.rows || []).map(row => ({
+                    label: row.label,
+                    info: row.info,
+                    file: row.file || null
+                }))
+            }));
+        }
+
+        // Fallback for pages that are not rendered from the data model
+        return Array.from(document.querySelectorAll('.education-item')).map(item => ({
+            title: item.querySelector('.degree-title')?.textContent,
+            institution: item.querySelector('.institution')?.textContent,
+            year: item.querySelector('.year')?.textContent,
+            rows: Array.from(item.querySelectorAll('.education-row')).map(row => ({
+                label: row.querySelector('.row-label')?.textContent,
+                info: row.getAttribute('data-info'),
+                file: row.getAttribute('data-file')
+            }))
+        }));
+    }
+
+    // Preload documents for better performance
+    preloadDocuments() {
+        document.querySelectorAll('.education-row[data-file]').forEach(row => {
+            // Create a hidden iframe to preload the document
+            const preloadFrame = document.createElement('iframe');
+            preloadFrame.src = row.getAttribute('data-file');
+            preloadFrame.style.display = 'none';
+            document.body.appendChild(preloadFrame);
+
+            // Remove after loading
+            setTimeout(() => preloadFrame.remove(), 2000);
+        });
+    }
+
+    // Cleanup method
+    destroy() {
+        this.listeners.removeAll();
+
+        this.clearTimeout();
+        Overlays.unregister('education');
+        Overlays.unregister('documentPreview');
+        this.educationRows = [];
+        this.overlays = {};
+        this.initialized = false;
+
+        console.log('🧹 Education Manager destroyed');
+    }
+}
+
+export default EducationManager;
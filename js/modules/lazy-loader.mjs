@@ -0,0 +1,225 @@
+/**
+ * Lazy Loader - ES6 Module Version
+ * Progressive loading of images and resources
+ *
+ * The legacy loader also injected js/*.js manager scripts on demand; in the
+ * module build those managers are part of the module graph, so only images,
+ * background images and progressive enhancement are handled here.
+ */
+
+import { events } from './utils.mjs';
+
+export class LazyLoader {
+    constructor() {
+        this.initialized = false;
+        // Listener scope: destroy() detaches everything added through it
+        this.listeners = events.scope('lazy-loader');
+        this.observer = null;
+        this.options = {
+            root: null,
+            rootMargin: '50px 0px', // Start loading 50px before element enters viewport
+            threshold: 0.1
+        };
+    }
+
+    // Initialize lazy loading
+    async init() {
+        if (this.initialized) return;
+
+        console.log('🔄 Initializing Lazy Loader (ES6)...');
+
+        this.setupIntersectionObserver();
+        this.setupImageLazyLoading();
+        this.setupProgressiveEnhancement();
+
+        this.initialized = true;
+    }
+
+    // Setup Intersection Observer for lazy loading
+    setupIntersectionObserver() {
+        if (!('IntersectionObserver' in window)) {
+            console.warn('IntersectionObserver not supported, falling back to immediate loading');
+            return;
+        }
+
+        this.observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.loadElement(entry.target);
+                    this.observer.unobserve(entry.target);
+                }
+            });
+        }, this.options);
+    }
+
+    // Observe (or immediately load) every lazy image
+    setupImageLazyLoading() {
+        document.querySelectorAll('img[data-src], [data-bg]').forEach(element => {
+            this.observe(element);
+        });
+    }
+
+    // Observe an element, loading it straight away without IntersectionObserver
+    observe(element) {
+        if (this.observer) {
+            this.observer.observe(element);
+        } else {
+            this.loadElement(element);
+        }
+    }
+
+    // Load element when it enters viewport
+    loadElement(element) {
+        const load = element.hasAttribute('data-src') ?
+            this.loadImage(element) :
+            this.loadBackgroundImage(element);
+
+        return load.catch(error => console.warn(error.message));
+    }
+
+    // Load an image source off-screen before swapping it in
+    preloadImage(src) {
+        return new Promise((resolve, reject) => {
+            const tempImage = new Image();
+            tempImage.onload = () => resolve(tempImage.src);
+            tempImage.onerror = () => reject(new Error(`Failed to load image: ${src}`));
+            tempImage.src = src;
+        });
+    }
+
+    // Load lazy image
+    loadImage(img) {
+        return this.preloadImage(img.dataset.src)
+            .then(src => {
+                img.src = src;
+                img.classList.add('loaded');
+                img.removeAttribute('data-src');
+                return img;
+            })
+            .catch(error => {
+                img.classList.add('error');
+                throw error;
+            });
+    }
+
+    // Load lazy background image
+    loadBackgroundImage(element) {
+        return this.preloadImage(element.dataset.bg)
+            .then(src => {
+                element.style.backgroundImage = `url('${src}')`;
+                element.classList.add('loaded');
+                element.removeAttribute('data-bg');
+                return element;
+            })
+            .catch(error => {
+                element.classList.add('error');
+                throw error;
+            });
+    }
+
+    // Progressive JPEG loading: low quality source first, then the full image
+    loadProgressiveImage(img) {
+        const lowQualitySrc = img.dataset.srcLow;
+        if (!lowQualitySrc) return this.loadImage(img);
+
+        return this.preloadImage(lowQualitySrc).then(src => {
+            img.src = src;
+            img.classList.add('low-quality');
+            return this.loadImage(img);
+        });
+    }
+
+    // Setup progressive enhancement
+    setupProgressiveEnhancement() {
+        this.enhanceFormElements();
+        this.enhanceInteractiveElements();
+    }
+
+    // Add focus styling and validation messages to form elements
+    enhanceFormElements() {
+        document.querySelectorAll('input, textarea, select').forEach(input => {
+            this.listeners.on(input, 'invalid', this.handleInvalidInput);
+            this.listeners.on(input, 'focus', this.handleInputFocus);
+            this.listeners.on(input, 'blur', this.handleInputBlur);
+        });
+    }
+
+    // Show the browser validation message next to the input
+    handleInvalidInput(event) {
+        const input = event.target;
+        const message = input.validationMessage;
+        if (!message) return;
+
+        const tooltip = document.createElement('div');
+        tooltip.className = 'validation-tooltip';
+        tooltip.textContent = message;
+        input.parentNode.appendChild(tooltip);
+
+        setTimeout(() => tooltip.remove(), 3000);
+    }
+
+    handleInputFocus(event) {
+        event.target.classList.add('focused');
+    }
+
+    handleInputBlur(event) {
+        event.target.classList.remove('focused');
+    }
+
+    // Add keyboard navigation support to clickable elements
+    enhanceInteractiveElements() {
+        document.querySelectorAll(
+            '.skill-control, .language-control, .education-row, [onclick]'
+        ).forEach(element => {
+            if (!element.hasAttribute('tabindex')) {
+                element.setAttribute('tabindex', '0');
+            }
+
+            this.listeners.on(element, 'keydown', (event) => {
+                if (event.key === 'Enter' || event.key === ' ') {
+                    event.preventDefault();
+                    element.click();
+                }
+            });
+        });
+    }
+
+    // Preload critical resources
+    preloadCriticalResources(resources) {
+        resources.forEach(resource => {
+            const link = document.createElement('link');
+            link.rel = 'preload';
+            link.href = resource.url;
+            link.as = resource.as;
+            document.head.appendChild(link);
+        });
+    }
+
+    // Check if resource should be lazy loaded (below the fold)
+    shouldLazyLoad(element) {
+        return element.getBoundingClientRect().top > window.innerHeight;
+    }
+
+    // Get loading priority for resource
+    getLoadingPriority(element) {
+        if (element.closest('.profile-section')) return 'high';
+        if (element.closest('.education-section')) return 'medium';
+        return 'low';
+    }
+
+    // Cleanup method
+    destroy() {
+        this.listeners.removeAll();
+
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+
+        this.initialized = false;
+
+        console.log('🧹 Lazy Loader destroyed');
+    }
+}
+
+export default LazyLoader;
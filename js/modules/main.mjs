@@ -1,8 +1,24 @@
 /**
  * Main Application Module - ES6 Version
- * Modern JavaScript architecture with ES6 modules
+ * Modern JavaScript architecture with ES6 modules (the webpack build; legacy.html and
+ * build.js boot the same features from js/main.js)
  */
 
+import '../../css/main.css';
+import { Utils, debounce, throttle } from './utils.mjs';
+import Store from '../store.js';
+import Breakpoints from '../breakpoints.js';
+import Overlays from '../overlays.js';
+import PortfolioData from '../portfolio-data.js';
+import I18n from '../i18n.js';
+import Theme from '../theme.js';
+import JsonResume from '../json-resume.js';
+import Europass from '../europass.js';
+import JobFit from '../job-fit.js';
+import DeepLinks from '../deep-links.js';
+import Router from '../router.js';
+import Updates from '../updates.js';
+import AccessibilityRules from '../accessibility-rules.js';
 import { SkillsManager } from './skills.mjs';
 import { EducationManager } from './education.mjs';
 import { TooltipManager } from './tooltips.mjs';
@@ -16,8 +32,12 @@ import { AIShowcaseManager } from './ai-showcase.mjs';
 class PortfolioApp {
     constructor() {
         this.initialized = false;
-        this.isMobile = false;
+        // Running modules: name -> instance, in start order
         this.modules = new Map();
+        // Registered modules: name -> { name, instance, condition, dependencies, priority }
+        this.registry = new Map();
+        // Listener scope: destroy() detaches everything added through it
+        this.listeners = Utils.events.scope('app');
         this.config = {
             debug: false,
             performance: true,
@@ -29,54 +49,67 @@ class PortfolioApp {
     // Initialize the application
     async init(config = {}) {
         if (this.initialized) return;
-        
+
         this.config = { ...this.config, ...config };
-        
+
         try {
             console.log('🚀 Initializing Portfolio App (ES6)...');
-            
+
+            // Restore settings and detect the breakpoint
+            Store.init();
+            Breakpoints.init();
+            Overlays.init();
+
             // Detect device capabilities
             this.detectDeviceCapabilities();
-            
-            // Initialize core modules
+
+            // Render data-driven sections before modules bind to them
+            await this.renderContent();
+
+            // Initialize core modules, then the shared scripts' modules
+            this.registerCoreModules();
+            this.registerQueuedModules();
             await this.initializeModules();
-            
+
             // Setup global event listeners
             this.setupGlobalEvents();
-            
+
             // Initialize performance monitoring if enabled
             if (this.config.performance) {
                 await this.initializePerformanceMonitoring();
             }
-            
+
             // Initialize lazy loading if enabled
             if (this.config.lazyLoading) {
                 await this.initializeLazyLoading();
             }
-            
+
             this.initialized = true;
             console.log('✅ Portfolio App initialized successfully');
-            
+
             // Dispatch custom event
             this.dispatchEvent('portfolio:initialized', { config: this.config });
-            
+
         } catch (error) {
             console.error('❌ Failed to initialize Portfolio App:', error);
             throw error;
         }
     }
 
+    // Whether the mobile breakpoint is active (derived from the store)
+    get isMobile() {
+        return Store.select(Store.selectors.isMobile);
+    }
+
     // Detect device capabilities
     detectDeviceCapabilities() {
-        this.isMobile = window.innerWidth <= 768;
-        
         this.capabilities = {
             isMobile: this.isMobile,
             hasTouch: 'ontouchstart' in window,
             hasIntersectionObserver: 'IntersectionObserver' in window,
             hasPerformanceObserver: 'PerformanceObserver' in window,
             hasServiceWorker: 'serviceWorker' in navigator,
-            prefersReducedMotion: window.matchMedia('(prefers-reduced-motion: reduce)').matches,
+            prefersReducedMotion: Store.select(Store.selectors.isReducedMotion),
             supportsWebP: this.checkWebPSupport(),
             connectionType: navigator.connection?.effectiveType || 'unknown'
         };
@@ -95,8 +128,22 @@ class PortfolioApp {
         });
     }
 
-    // Initialize core modules
-    async initializeModules() {
+    // Render the profile, skills, languages, education and experience from the data model
+    // (the page webpack writes already contains the markup and is only hydrated)
+    async renderContent() {
+        try {
+            await PortfolioData.load();
+
+            if (!PortfolioData.isPrerendered(document)) {
+                PortfolioData.renderAll(document);
+            }
+        } catch (error) {
+            console.error('❌ Error loading portfolio data:', error);
+        }
+    }
+
+    // Register the managers of this module graph
+    registerCoreModules() {
         const moduleConfigs = [
             {
                 name: 'accessibility',
@@ -119,7 +166,7 @@ class PortfolioApp {
             {
                 name: 'skills',
                 instance: new SkillsManager(),
-                condition: () => document.querySelectorAll('.skill-control').length > 0,
+                condition: () => document.querySelectorAll('.skill-bar, .language-bar').length > 0,
                 priority: 3
             },
             {
@@ -142,18 +189,84 @@ class PortfolioApp {
             }
         ];
 
-        // Sort modules by priority
-        moduleConfigs.sort((a, b) => (a.priority || 999) - (b.priority || 999));
+        moduleConfigs.forEach(config => this.register(config, { start: false }));
+
+        // Compatibility shim: the shared scripts (JobFit, DeepLinks) and
+        // inline handlers reach the managers through the legacy globals
+        const instance = name => this.registry.get(name).instance;
+        Object.assign(window, {
+            SkillsManager: instance('skills'),
+            EducationManager: instance('education'),
+            TooltipManager: instance('tooltips'),
+            MobileManager: instance('mobile'),
+            AccessibilityManager: instance('accessibility')
+        });
+    }
+
+    // Register a module: { name, instance, condition(), dependencies: [], priority }.
+    // Modules start by priority, each after its dependencies; one registered after
+    // start-up starts straight away (options.start = false only records it)
+    register(config, options = {}) {
+        if (!config.name) {
+            console.error('❌ Cannot register a module without a name');
+            return;
+        }
 
-        for (const config of moduleConfigs) {
-            if (config.condition()) {
-                try {
-                    await config.instance.init();
-                    this.modules.set(config.name, config.instance);
-                    console.log(`✅ Module initialized: ${config.name} (priority: ${config.priority || 'default'})`);
-                } catch (error) {
-                    console.error(`❌ Failed to initialize ${config.name}:`, error);
-                }
+        if (this.registry.has(config.name)) {
+            console.warn(`⚠️ Module "${config.name}" is already registered, replacing it`);
+        }
+
+        this.registry.set(config.name, {
+            condition: () => true,
+            dependencies: [],
+            priority: 5,
+            ...config
+        });
+
+        if (this.initialized && options.start !== false) {
+            this.initializeModules();
+        }
+    }
+
+    // Take over the definitions the shared scripts queue on window.PortfolioModules
+    // ({ name, manager, dependencies, condition(app) }, see js/main.js); later pushes register directly
+    registerQueuedModules() {
+        const toConfig = ({ name, manager, dependencies, condition }) => ({
+            name,
+            instance: manager,
+            dependencies: dependencies || [],
+            condition: () => !condition || condition(this)
+        });
+
+        (window.PortfolioModules || []).forEach(definition => this.register(toConfig(definition), { start: false }));
+
+        window.PortfolioModules = {
+            push: (...definitions) => definitions.forEach(definition => this.register(toConfig(definition)))
+        };
+    }
+
+    // Initialize registered modules that are not running yet
+    async initializeModules() {
+        const configs = Array.from(this.registry.values())
+            .sort((a, b) => (a.priority || 999) - (b.priority || 999));
+
+        for (const config of configs) {
+            if (this.modules.has(config.name)) continue;
+
+            const missing = config.dependencies.filter(dependency => !this.modules.has(dependency));
+            if (missing.length > 0) {
+                console.warn(`⚠️ Skipping module "${config.name}": dependencies not running (${missing.join(', ')})`);
+                continue;
+            }
+
+            try {
+                if (!config.condition()) continue;
+
+                await config.instance.init();
+                this.modules.set(config.name, config.instance);
+                console.log(`✅ Module initialized: ${config.name} (priority: ${config.priority || 'default'})`);
+            } catch (error) {
+                console.error(`❌ Failed to initialize ${config.name}:`, error);
             }
         }
     }
@@ -182,45 +295,38 @@ class PortfolioApp {
 
     // Setup global event listeners
     setupGlobalEvents() {
-        // Handle window resize with debouncing
-        const debouncedResize = this.debounce(() => {
-            this.handleResize();
-        }, 250);
-        
-        window.addEventListener('resize', debouncedResize);
+        // Reinitialize modules when crossing the mobile breakpoint
+        Utils.events.subscribe('breakpoint:change', this.handleBreakpointChange.bind(this), {
+            scope: this.listeners
+        });
+
+        // Handle window resize with debouncing (breakpoint changes arrive through matchMedia)
+        this.listeners.on(window, 'resize', this.debounce(() => this.handleResize(), 250));
 
         // Handle visibility change
-        document.addEventListener('visibilitychange', () => {
+        this.listeners.on(document, 'visibilitychange', () => {
             this.handleVisibilityChange();
         });
 
         // Handle orientation change
-        window.addEventListener('orientationchange', () => {
+        this.listeners.on(window, 'orientationchange', () => {
             setTimeout(() => this.handleOrientationChange(), 100);
         });
 
         // Global keyboard shortcuts
-        document.addEventListener('keydown', (event) => {
+        this.listeners.on(document, 'keydown', (event) => {
             this.handleGlobalKeyboard(event);
         });
 
         // Handle online/offline events
-        window.addEventListener('online', () => this.handleConnectionChange(true));
-        window.addEventListener('offline', () => this.handleConnectionChange(false));
+        this.listeners.on(window, 'online', () => this.handleConnectionChange(true));
+        this.listeners.on(window, 'offline', () => this.handleConnectionChange(false));
     }
 
     // Handle window resize
     handleResize() {
-        const wasMobile = this.isMobile;
-        this.isMobile = window.innerWidth <= 768;
-
-        if (wasMobile !== this.isMobile) {
-            console.log(`📱 Device type changed: ${this.isMobile ? 'Mobile' : 'Desktop'}`);
-            this.handleDeviceTypeChange();
-        }
-
         // Notify modules about resize
-        this.modules.forEach((module, name) => {
+        this.modules.forEach((module) => {
             if (typeof module.handleResize === 'function') {
                 module.handleResize();
             }
@@ -229,24 +335,21 @@ class PortfolioApp {
         this.dispatchEvent('portfolio:resize', { isMobile: this.isMobile });
     }
 
-    // Handle device type change
-    async handleDeviceTypeChange() {
-        // Reinitialize mobile-specific modules
-        if (this.isMobile && !this.modules.has('mobile')) {
-            try {
-                const mobileManager = new MobileManager();
-                await mobileManager.init();
-                this.modules.set('mobile', mobileManager);
-            } catch (error) {
-                console.error('Failed to initialize mobile manager:', error);
-            }
-        } else if (!this.isMobile && this.modules.has('mobile')) {
-            const mobileManager = this.modules.get('mobile');
-            if (typeof mobileManager.destroy === 'function') {
-                mobileManager.destroy();
-            }
-            this.modules.delete('mobile');
-        }
+    // Reinitialize modules so their conditions are re-evaluated when mobile state changes
+    async handleBreakpointChange({ name, previous }) {
+        if ((name === 'mobile') === (previous === 'mobile')) return;
+
+        console.log(`📱 Device type changed: ${this.isMobile ? 'Mobile' : 'Desktop'}`);
+        this.capabilities.isMobile = this.isMobile;
+        await this.reinitializeModules();
+    }
+
+    // Restart the running modules, e.g. after the sections were re-rendered (see JsonResume)
+    async reinitializeModules() {
+        console.log('🔄 Reinitializing modules...');
+
+        await this.destroyModules();
+        await this.initializeModules();
     }
 
     // Handle visibility change
@@ -263,9 +366,9 @@ class PortfolioApp {
     // Handle orientation change
     handleOrientationChange() {
         this.detectDeviceCapabilities();
-        
+
         // Refresh modules that depend on orientation
-        this.modules.forEach((module, name) => {
+        this.modules.forEach((module) => {
             if (typeof module.handleOrientationChange === 'function') {
                 module.handleOrientationChange();
             }
@@ -274,13 +377,8 @@ class PortfolioApp {
         this.dispatchEvent('portfolio:orientationchange');
     }
 
-    // Handle global keyboard shortcuts
+    // Handle global keyboard shortcuts (Escape closes the top overlay, see Overlays)
     handleGlobalKeyboard(event) {
-        // Escape key - close all overlays
-        if (event.key === 'Escape') {
-            this.closeAllOverlays();
-        }
-        
         // Ctrl/Cmd + / - Show keyboard shortcuts help
         if ((event.ctrlKey || event.metaKey) && event.key === '/') {
             event.preventDefault();
@@ -291,20 +389,16 @@ class PortfolioApp {
     // Handle connection change
     handleConnectionChange(isOnline) {
         console.log(`🌐 Connection: ${isOnline ? 'Online' : 'Offline'}`);
-        
+
         // Update UI based on connection status
         document.body.classList.toggle('offline', !isOnline);
-        
+
         this.dispatchEvent('portfolio:connectionchange', { isOnline });
     }
 
-    // Close all overlays
+    // Close all open overlays
     closeAllOverlays() {
-        this.modules.forEach((module, name) => {
-            if (typeof module.closeOverlays === 'function') {
-                module.closeOverlays();
-            }
-        });
+        Overlays.closeAll();
 
         this.dispatchEvent('portfolio:overlays-closed');
     }
@@ -319,7 +413,7 @@ class PortfolioApp {
         ];
 
         // Create and show shortcuts modal
-        this.showModal('Keyboard Shortcuts', shortcuts.map(shortcut => 
+        this.showModal('Keyboard Shortcuts', shortcuts.map(shortcut =>
             `<div class="shortcut-item">
                 <kbd>${shortcut.key}</kbd>
                 <span>${shortcut.description}</span>
@@ -327,7 +421,7 @@ class PortfolioApp {
         ).join(''));
     }
 
-    // Show modal dialog
+    // Show modal dialog (the dialog manager handles Escape, backdrop clicks and focus)
     showModal(title, content) {
         // Create modal if it doesn't exist
         let modal = document.getElementById('global-modal');
@@ -337,11 +431,7 @@ class PortfolioApp {
 
         modal.querySelector('.modal-title').textContent = title;
         modal.querySelector('.modal-content').innerHTML = content;
-        modal.classList.add('show');
-        
-        // Focus management
-        const closeButton = modal.querySelector('.modal-close');
-        closeButton.focus();
+        Overlays.open('modal', { title });
     }
 
     // Create modal element
@@ -349,6 +439,8 @@ class PortfolioApp {
         const modal = document.createElement('div');
         modal.id = 'global-modal';
         modal.className = 'modal';
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
         modal.innerHTML = `
             <div class="modal-backdrop"></div>
             <div class="modal-dialog">
@@ -363,21 +455,20 @@ class PortfolioApp {
         `;
 
         // Event listeners
-        modal.querySelector('.modal-close').addEventListener('click', () => {
-            modal.classList.remove('show');
-        });
-
-        modal.querySelector('.modal-backdrop').addEventListener('click', () => {
-            modal.classList.remove('show');
+        this.listeners.on(modal.querySelector('.modal-close'), 'click', () => {
+            Overlays.close('modal');
         });
 
         document.body.appendChild(modal);
+        Overlays.register('modal', modal, {
+            backdrop: modal.querySelector('.modal-backdrop')
+        });
         return modal;
     }
 
     // Pause non-essential operations
     pauseNonEssentialOperations() {
-        this.modules.forEach((module, name) => {
+        this.modules.forEach((module) => {
             if (typeof module.pause === 'function') {
                 module.pause();
             }
@@ -386,7 +477,7 @@ class PortfolioApp {
 
     // Resume operations
     resumeOperations() {
-        this.modules.forEach((module, name) => {
+        this.modules.forEach((module) => {
             if (typeof module.resume === 'function') {
                 module.resume();
             }
@@ -412,35 +503,18 @@ class PortfolioApp {
                 source: 'PortfolioApp'
             }
         });
-        
+
         document.dispatchEvent(event);
     }
 
     // Utility: Debounce function
     debounce(func, wait) {
-        let timeout;
-        return function executedFunction(...args) {
-            const later = () => {
-                clearTimeout(timeout);
-                func(...args);
-            };
-            clearTimeout(timeout);
-            timeout = setTimeout(later, wait);
-        };
+        return debounce(func, wait);
     }
 
     // Utility: Throttle function
     throttle(func, limit) {
-        let inThrottle;
-        return function() {
-            const args = arguments;
-            const context = this;
-            if (!inThrottle) {
-                func.apply(context, args);
-                inThrottle = true;
-                setTimeout(() => inThrottle = false, limit);
-            }
-        };
+        return throttle(func, limit);
     }
 
     // Get application state
@@ -455,12 +529,16 @@ class PortfolioApp {
         };
     }
 
-    // Cleanup and destroy
-    async destroy() {
-        console.log('🧹 Destroying Portfolio App...');
+    // Debug: live event listener counts per module, e.g. { skills: 26, tooltips: 3 }
+    getListenerCounts() {
+        const counts = Utils.events.listenerCounts();
+        console.table(counts);
+        return counts;
+    }
 
-        // Destroy all modules
-        for (const [name, module] of this.modules) {
+    // Destroy the running modules in reverse start order
+    async destroyModules() {
+        for (const [name, module] of Array.from(this.modules).reverse()) {
             if (typeof module.destroy === 'function') {
                 try {
                     await module.destroy();
@@ -471,15 +549,21 @@ class PortfolioApp {
             }
         }
 
-        // Clear modules
         this.modules.clear();
-        
+    }
+
+    // Cleanup and destroy
+    async destroy() {
+        console.log('🧹 Destroying Portfolio App...');
+
+        await this.destroyModules();
+
         // Remove global event listeners
-        window.removeEventListener('resize', this.handleResize);
-        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
-        
+        this.listeners.removeAll();
+        Overlays.unregister('modal');
+
         this.initialized = false;
-        
+
         this.dispatchEvent('portfolio:destroyed');
     }
 }
@@ -494,8 +578,25 @@ if (document.readyState === 'loading') {
     app.init();
 }
 
-// Make available globally for debugging
+// Make available globally for debugging (window.Portfolio is the name the shared scripts use)
 window.PortfolioApp = app;
+window.Portfolio = app;
 
 export default app;
-export { PortfolioApp };
\ No newline at end of file
+export {
+    PortfolioApp,
+    Utils,
+    Store,
+    Breakpoints,
+    Overlays,
+    PortfolioData,
+    I18n,
+    Theme,
+    JsonResume,
+    Europass,
+    JobFit,
+    DeepLinks,
+    Router,
+    Updates,
+    AccessibilityRules
+};
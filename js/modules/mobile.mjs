@@ -0,0 +1,281 @@
+/**
+ * Mobile Manager - ES6 Module Version
+ * Handles mobile-specific functionality and optimizations
+ */
+
+import { device, events } from './utils.mjs';
+import Breakpoints from '../breakpoints.js';
+import Overlays from '../overlays.js';
+
+export class MobileManager {
+    constructor() {
+        this.initialized = false;
+        // Listener scope: destroy() detaches everything added through it
+        this.listeners = events.scope('mobile');
+        this.touchStartTime = 0;
+        this.touchStartPosition = { x: 0, y: 0 };
+        this.scrollTicking = false;
+
+        // Bound so the handlers keep `this` when called as listeners
+        this.handleScroll = this.handleScroll.bind(this);
+        this.handleOrientationChange = this.handleOrientationChange.bind(this);
+    }
+
+    // Initialize mobile functionality
+    async init() {
+        if (this.initialized) return;
+
+        console.log('📱 Initializing Mobile Manager (ES6)...');
+
+        this.setupTouchEvents();
+        this.setupMobileOptimizations();
+        this.setupMobileNavigation();
+        this.setupMobileGestures();
+        this.setupPlatformOptimizations();
+
+        this.initialized = true;
+    }
+
+    // Setup touch events for better mobile interaction
+    setupTouchEvents() {
+        const interactiveElements = document.querySelectorAll(
+            '.skill-control, .language-control, .education-row, .social-link, .arrow'
+        );
+
+        interactiveElements.forEach(element => {
+            this.listeners.on(element, 'touchstart', (e) => {
+                this.touchStartTime = Date.now();
+                this.touchStartPosition = {
+                    x: e.touches[0].clientX,
+                    y: e.touches[0].clientY
+                };
+
+                // Add visual feedback
+                element.classList.add('touch-active');
+            }, { passive: true });
+
+            this.listeners.on(element, 'touchend', (e) => {
+                const touchDuration = Date.now() - this.touchStartTime;
+
+                element.classList.remove('touch-active');
+
+                // Only trigger click if it was a quick tap (not a scroll)
+                if (touchDuration >= 500) return;
+
+                const distance = Math.hypot(
+                    e.changedTouches[0].clientX - this.touchStartPosition.x,
+                    e.changedTouches[0].clientY - this.touchStartPosition.y
+                );
+
+                // If finger didn't move much, treat as tap
+                if (distance < 10) {
+                    e.preventDefault();
+                    element.click();
+                }
+            }, { passive: false });
+
+            this.listeners.on(element, 'touchcancel', () => {
+                element.classList.remove('touch-active');
+            });
+        });
+    }
+
+    // Setup mobile-specific optimizations
+    setupMobileOptimizations() {
+        // Disable zoom on form inputs to prevent viewport jumping
+        const metaViewport = document.querySelector('meta[name="viewport"]');
+        if (metaViewport) {
+            metaViewport.setAttribute('content',
+                'width=device-width, initial-scale=1.0, maximum-scale=1.0, user-scalable=no'
+            );
+        }
+
+        this.listeners.on(window, 'scroll', this.handleScroll, { passive: true });
+        this.listeners.on(window, 'orientationchange', this.handleOrientationChange);
+
+        this.preventTextSelection();
+    }
+
+    // Setup mobile navigation optimizations
+    setupMobileNavigation() {
+        // Make navigation items more touch-friendly
+        document.querySelectorAll('.nav-item, .social-link').forEach(item => {
+            // Increase touch target size
+            item.style.minHeight = '44px';
+            item.style.minWidth = '44px';
+
+            this.listeners.on(item, 'touchstart', () => {
+                item.style.opacity = '0.7';
+            }, { passive: true });
+
+            this.listeners.on(item, 'touchend', () => {
+                item.style.opacity = '1';
+            }, { passive: true });
+        });
+    }
+
+    // Prevent pull-to-refresh inside overlays
+    setupMobileGestures() {
+        let startY = 0;
+
+        document.querySelectorAll('.overlay, .modal').forEach(element => {
+            this.listeners.on(element, 'touchstart', (e) => {
+                startY = e.touches[0].pageY;
+            }, { passive: true });
+
+            this.listeners.on(element, 'touchmove', (e) => {
+                // Prevent pull-to-refresh if scrolling down from top
+                if (element.scrollTop === 0 && e.touches[0].pageY > startY) {
+                    e.preventDefault();
+                }
+            }, { passive: false });
+        });
+    }
+
+    // Throttle scroll handling to animation frames
+    handleScroll() {
+        if (this.scrollTicking) return;
+
+        this.scrollTicking = true;
+        window.requestAnimationFrame(() => {
+            this.handleMobileScroll();
+            this.scrollTicking = false;
+        });
+    }
+
+    // Add scroll-based classes for styling
+    handleMobileScroll() {
+        const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
+        document.body.classList.toggle('scrolled', scrollTop > 100);
+    }
+
+    // Handle device orientation changes
+    handleOrientationChange() {
+        // Add a small delay to allow for orientation change to complete
+        setTimeout(() => {
+            window.dispatchEvent(new Event('resize'));
+            this.updateMobileState();
+            this.refreshOverlaysForOrientation();
+        }, 100);
+    }
+
+    // Update mobile state after orientation change (the store derives the body classes)
+    updateMobileState() {
+        Breakpoints.update();
+    }
+
+    // Refresh overlays after orientation change
+    refreshOverlaysForOrientation() {
+        Overlays.reposition();
+    }
+
+    // Prevent text selection on interactive elements
+    preventTextSelection() {
+        document.querySelectorAll(
+            '.skill-control, .language-control, .arrow, .education-row'
+        ).forEach(element => {
+            element.style.userSelect = 'none';
+            element.style.webkitUserSelect = 'none';
+        });
+    }
+
+    // Setup iOS and Android specific optimizations
+    setupPlatformOptimizations() {
+        if (this.isIOS()) {
+            this.setupIOSOptimizations();
+        } else if (this.isAndroid()) {
+            this.setupAndroidOptimizations();
+        }
+    }
+
+    // Handle iOS viewport height issues
+    setupIOSOptimizations() {
+        const setIOSViewportHeight = () => {
+            const vh = window.innerHeight * 0.01;
+            document.documentElement.style.setProperty('--vh', `${vh}px`);
+        };
+
+        setIOSViewportHeight();
+        this.listeners.on(window, 'resize', setIOSViewportHeight);
+
+        // Prevent iOS bounce scroll on body
+        this.listeners.on(document.body, 'touchmove', (e) => {
+            if (e.target === document.body) {
+                e.preventDefault();
+            }
+        }, { passive: false });
+    }
+
+    // Handle Android keyboard behavior
+    setupAndroidOptimizations() {
+        const initialViewportHeight = window.innerHeight;
+
+        this.listeners.on(window, 'resize', () => {
+            // If height decreased significantly, keyboard is likely open
+            const heightDifference = initialViewportHeight - window.innerHeight;
+            document.body.classList.toggle('keyboard-open', heightDifference > 150);
+        });
+    }
+
+    isLandscape() {
+        return window.innerWidth > window.innerHeight;
+    }
+
+    isPortrait() {
+        return window.innerHeight > window.innerWidth;
+    }
+
+    getDevicePixelRatio() {
+        return window.devicePixelRatio || 1;
+    }
+
+    supportsTouch() {
+        return device.supportsTouch();
+    }
+
+    isIOS() {
+        return /iPad|iPhone|iPod/.test(navigator.userAgent);
+    }
+
+    isAndroid() {
+        return /Android/.test(navigator.userAgent);
+    }
+
+    // Add haptic feedback for supported devices
+    hapticFeedback(type = 'light') {
+        if (!navigator.vibrate) return;
+
+        const durations = { light: 10, medium: 20, heavy: 50 };
+        navigator.vibrate(durations[type] || durations.light);
+    }
+
+    // Get mobile device info
+    getDeviceInfo() {
+        return {
+            isMobile: Breakpoints.isMobile(),
+            breakpoint: Breakpoints.get(),
+            canHover: Breakpoints.canHover(),
+            isCoarsePointer: Breakpoints.isCoarsePointer(),
+            isTouch: this.supportsTouch(),
+            isIOS: this.isIOS(),
+            isAndroid: this.isAndroid(),
+            isLandscape: this.isLandscape(),
+            isPortrait: this.isPortrait(),
+            pixelRatio: this.getDevicePixelRatio(),
+            viewportWidth: window.innerWidth,
+            viewportHeight: window.innerHeight
+        };
+    }
+
+    // Cleanup method
+    destroy() {
+        this.listeners.removeAll();
+
+        document.body.classList.remove('scrolled', 'keyboard-open');
+        this.initialized = false;
+
+        console.log('🧹 Mobile Manager destroyed');
+    }
+}
+
+export default MobileManager;
@@ -3,9 +3,15 @@
  * Monitors and reports on key performance metrics
  */
 
+import { events } from './utils.mjs';
+
 export class PerformanceMonitor {
     constructor() {
         this.metrics = new Map();
+        // Application events published on the event bus, by name
+        this.appEvents = {};
+        // Listener scope: destroy() detaches everything added through it
+        this.listeners = events.scope('performance');
         this.observers = new Map();
         this.config = {
             enableLogging: true,
@@ -36,6 +42,7 @@ export class PerformanceMonitor {
             this.measureResourceTiming();
             this.setupWebVitalsTracking();
             this.startMemoryMonitoring();
+            this.trackAppEvents();
             
             console.log('✅ Performance Monitor initialized');
         } catch (error) {
@@ -280,6 +287,14 @@ export class PerformanceMonitor {
         setInterval(measureMemory, 30000); // Every 30 seconds
     }
 
+    // Count application events (overlay:open, skill:changed, ...) published on the event bus
+    trackAppEvents() {
+        events.subscribe('*', (detail, name) => {
+            this.appEvents[name] = (this.appEvents[name] || 0) + 1;
+            performance.mark(`portfolio-${name}`);
+        }, { scope: this.listeners });
+    }
+
     // Record a performance metric
     recordMetric(name, value, metadata = {}) {
         const metric = {
@@ -481,6 +496,7 @@ export class PerformanceMonitor {
 
     // Cleanup
     destroy() {
+        this.listeners.removeAll();
         this.observers.forEach(observer => observer.disconnect());
         this.observers.clear();
         this.metrics.clear();
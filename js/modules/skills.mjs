@@ -1,119 +1,236 @@
 /**
  * Skills Manager - ES6 Module Version
- * Handles skill bar interactions and animations
+ * Skill and language bars are role="slider": arrow keys step by 1, PageUp/PageDown and the
+ * -/+ buttons by 10, Home/End jump to 0/100 and the bar can be dragged. Changes go through
+ * updateSkillValue; the reset button ([data-skills-reset]) restores the owner's values.
  */
 
+import { events, number, string } from './utils.mjs';
+import PortfolioData from '../portfolio-data.js';
+
 export class SkillsManager {
     constructor() {
         this.initialized = false;
-        this.skillControls = [];
-        this.languageControls = [];
-        this.animationFrameId = null;
+        // Listener scope: destroy() detaches everything added through it
+        this.listeners = events.scope('skills');
+        this.animationObserver = null;
+
+        // Slider parts per kind
+        this.kinds = {
+            skill: {
+                item: '.tool-item',
+                name: '.tool-name',
+                progress: '.skill-progress',
+                tooltip: '.skill-tooltip'
+            },
+            language: {
+                item: '.language-item',
+                name: '.language-name',
+                progress: '.language-progress',
+                tooltip: '.language-tooltip'
+            }
+        };
+        this.barSelector = '.skill-bar, .language-bar';
+        this.controlSelector = '.skill-control[data-step], .language-control[data-step]';
+
+        // Arrow key and page (PageUp/PageDown, -/+ buttons) steps
+        this.step = 1;
+        this.pageStep = 10;
+
+        // The owner's values as rendered: "kind:name" -> value
+        this.actualValues = new Map();
+
+        // Bar being dragged: { bar, pointerId }
+        this.dragging = null;
+
+        // Pending tooltip hide timers per bar
+        this.tooltipTimers = new WeakMap();
     }
 
     // Initialize skills functionality
     async init() {
         if (this.initialized) return;
-        
+
         console.log('🎯 Initializing Skills Manager (ES6)...');
-        
-        this.skillControls = document.querySelectorAll('.skill-control');
-        this.languageControls = document.querySelectorAll('.language-control');
-        
-        await this.setupSkillControls();
-        await this.setupLanguageControls();
-        await this.setupSkillBarClicks();
-        await this.setupLanguageBarClicks();
-        
+
+        this.setupSliders();
+
+        this.listeners.on(document, 'click', this.handleClick.bind(this));
+        this.listeners.on(document, 'keydown', this.handleKeyDown.bind(this));
+        this.listeners.on(document, 'pointerdown', this.handlePointerDown.bind(this));
+        this.listeners.on(document, 'pointermove', this.handlePointerMove.bind(this));
+        this.listeners.on(document, 'pointerup', this.handlePointerUp.bind(this));
+        this.listeners.on(document, 'pointercancel', this.handlePointerUp.bind(this));
+
         // Animate skill bars with intersection observer
         this.setupSkillBarAnimations();
-        
+
         this.initialized = true;
     }
 
-    // Setup skill control interactions
-    async setupSkillControls() {
-        this.skillControls.forEach(control => {
-            control.addEventListener('click', (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                
-                const value = this.extractValueFromOnclick(control);
-                this.showSkillValue(control, value);
-            });
-
-            // Add keyboard support
-            control.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    control.click();
-                }
-            });
+    // Give every bar slider semantics (pages not rendered from the data model still
+    // have progressbar markup) and remember the owner's values
+    setupSliders() {
+        document.querySelectorAll(this.barSelector).forEach(bar => {
+            const value = this.getValue(bar);
+
+            bar.setAttribute('role', 'slider');
+            if (!bar.hasAttribute('tabindex')) bar.setAttribute('tabindex', '0');
+            bar.setAttribute('aria-valuemin', '0');
+            bar.setAttribute('aria-valuemax', '100');
+            bar.setAttribute('aria-valuenow', value);
+            bar.setAttribute('aria-valuetext', `${value}%`);
+
+            const { kind, name } = this.describe(bar);
+            this.actualValues.set(`${kind}:${name}`, value);
         });
+
+        this.updateResetButton();
     }
 
-    // Extract value from onclick attribute
-    extractValueFromOnclick(element) {
-        const onclickStr = element.getAttribute('onclick') || '';
-        const match = onclickStr.match(/(\d+)/);
-        return match ? parseInt(match[1]) : 0;
+    // Kind, item and name of a bar
+    describe(bar) {
+        const kind = bar.classList.contains('language-bar') ? 'language' : 'skill';
+        const parts = this.kinds[kind];
+        const item = bar.closest(parts.item);
+        const name = item?.dataset.name || item?.querySelector(parts.name)?.textContent.trim() || '';
+
+        return { kind, item, name };
     }
 
-    // Setup language control interactions
-    async setupLanguageControls() {
-        this.languageControls.forEach(control => {
-            control.addEventListener('click', (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                
-                const value = this.extractValueFromOnclick(control);
-                this.showLanguageValue(control, value);
-            });
+    getValue(bar) {
+        const { kind } = this.describe(bar);
+        return parseInt(bar.querySelector(this.kinds[kind].progress)?.getAttribute('data-value')) || 0;
+    }
 
-            // Add keyboard support
-            control.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    control.click();
-                }
-            });
-        });
+    // Set a bar's value and show it
+    setBarValue(bar, value) {
+        const { kind, name } = this.describe(bar);
+        this.updateSkillValue(name, value, kind);
+        this.showBarValue(bar);
     }
 
-    // Setup skill bar click interactions
-    async setupSkillBarClicks() {
-        const skillBars = document.querySelectorAll('.skill-bar');
-        skillBars.forEach(bar => {
-            bar.addEventListener('click', () => {
-                this.showCurrentSkillValue(bar);
-            });
+    // -/+ buttons and the reset button
+    handleClick(event) {
+        if (event.target.closest('[data-skills-reset]')) {
+            event.preventDefault();
+            this.resetSkillValues();
+            return;
+        }
 
-            bar.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    this.showCurrentSkillValue(bar);
-                }
-            });
+        const control = event.target.closest(this.controlSelector);
+        if (!control) return;
+
+        const bar = control.parentElement.querySelector(this.barSelector);
+        if (!bar) return;
+
+        event.preventDefault();
+        this.setBarValue(bar, this.getValue(bar) + parseInt(control.dataset.step));
+        this.triggerHapticFeedback();
+    }
+
+    // Slider keys (WAI-ARIA slider pattern)
+    handleKeyDown(event) {
+        const bar = event.target.closest && event.target.closest(this.barSelector);
+        if (!bar) return;
+
+        const value = this.getValue(bar);
+        const values = {
+            ArrowRight: value + this.step,
+            ArrowUp: value + this.step,
+            ArrowLeft: value - this.step,
+            ArrowDown: value - this.step,
+            PageUp: value + this.pageStep,
+            PageDown: value - this.pageStep,
+            Home: 0,
+            End: 100
+        };
+        if (!(event.key in values)) return;
+
+        event.preventDefault();
+        this.setBarValue(bar, values[event.key]);
+    }
+
+    // Dragging: the pointer position along the bar sets the value
+    handlePointerDown(event) {
+        if (event.button !== 0) return;
+
+        const bar = event.target.closest(this.barSelector);
+        if (!bar) return;
+
+        event.preventDefault();
+        bar.focus({ preventScroll: true });
+        if (bar.setPointerCapture) bar.setPointerCapture(event.pointerId);
+
+        this.dragging = { bar, pointerId: event.pointerId };
+        bar.classList.add('is-dragging');
+        this.setValueFromPointer(bar, event.clientX);
+    }
+
+    handlePointerMove(event) {
+        if (!this.dragging || event.pointerId !== this.dragging.pointerId) return;
+
+        this.setValueFromPointer(this.dragging.bar, event.clientX);
+    }
+
+    handlePointerUp(event) {
+        if (!this.dragging || event.pointerId !== this.dragging.pointerId) return;
+
+        const { bar } = this.dragging;
+        if (bar.releasePointerCapture && bar.hasPointerCapture && bar.hasPointerCapture(event.pointerId)) {
+            bar.releasePointerCapture(event.pointerId);
+        }
+
+        bar.classList.remove('is-dragging');
+        this.dragging = null;
+        this.showBarValue(bar);
+    }
+
+    setValueFromPointer(bar, clientX) {
+        const rect = bar.getBoundingClientRect();
+        if (!rect.width) return;
+
+        this.setBarValue(bar, ((clientX - rect.left) / rect.width) * 100);
+    }
+
+    // Restore the owner's values
+    resetSkillValues() {
+        this.actualValues.forEach((value, key) => {
+            const [kind, ...name] = key.split(':');
+            this.updateSkillValue(name.join(':'), value, kind);
         });
     }
 
-    // Setup language bar click interactions
-    async setupLanguageBarClicks() {
-        const languageBars = document.querySelectorAll('.language-bar');
-        languageBars.forEach(bar => {
-            bar.addEventListener('click', () => {
-                this.showCurrentLanguageValue(bar);
-            });
+    // Show the reset button while any value differs from the owner's
+    updateResetButton() {
+        const changed = Array.from(document.querySelectorAll(this.barSelector)).some(bar => {
+            const { kind, name } = this.describe(bar);
+            const actual = this.actualValues.get(`${kind}:${name}`);
+            return actual !== undefined && actual !== this.getValue(bar);
+        });
 
-            bar.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    this.showCurrentLanguageValue(bar);
-                }
-            });
+        document.querySelectorAll('[data-skills-reset]').forEach(button => {
+            button.hidden = !changed;
         });
     }
 
+    // Briefly show the value above a bar
+    showBarValue(bar) {
+        const { kind } = this.describe(bar);
+        const tooltip = bar.querySelector(this.kinds[kind].tooltip);
+        if (!tooltip) return;
+
+        tooltip.style.opacity = '1';
+        tooltip.style.visibility = 'visible';
+
+        clearTimeout(this.tooltipTimers.get(bar));
+        this.tooltipTimers.set(bar, setTimeout(() => {
+            if (this.dragging && this.dragging.bar === bar) return;
+            tooltip.style.opacity = '0';
+            tooltip.style.visibility = 'hidden';
+        }, 800));
+    }
+
     // Setup skill bar animations using Intersection Observer
     setupSkillBarAnimations() {
         if (!window.IntersectionObserver) return;
@@ -123,29 +240,28 @@ export class SkillsManager {
             rootMargin: '0px 0px -50px 0px'
         };
 
-        const observer = new IntersectionObserver((entries) => {
+        this.animationObserver = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
                     this.animateSkillBar(entry.target);
-                    observer.unobserve(entry.target);
+                    this.animationObserver.unobserve(entry.target);
                 }
             });
         }, options);
 
         // Observe all skill and language progress bars
         const progressBars = document.querySelectorAll('.skill-progress, .language-progress');
-        progressBars.forEach(bar => observer.observe(bar));
+        progressBars.forEach(bar => this.animationObserver.observe(bar));
     }
 
     // Animate individual skill bar
     animateSkillBar(progressBar) {
         const targetWidth = progressBar.style.width;
-        const targetValue = parseInt(targetWidth);
-        
+
         // Reset to 0
         progressBar.style.width = '0%';
         progressBar.style.transition = 'width 1.5s cubic-bezier(0.4, 0, 0.2, 1)';
-        
+
         // Animate to target width
         requestAnimationFrame(() => {
             progressBar.style.width = targetWidth;
@@ -157,26 +273,26 @@ export class SkillsManager {
         }, 1500);
     }
 
-    // Show skill value tooltip on control
+    // Show skill value tooltip on control (inline handlers of the legacy pages)
     showSkillValue(element, value) {
         const tooltip = element.querySelector('.control-tooltip');
         if (!tooltip) return;
-        
+
         // Position tooltip
         const rect = element.getBoundingClientRect();
         tooltip.style.position = 'fixed';
         tooltip.style.left = (rect.left + rect.width / 2) + 'px';
         tooltip.style.top = (rect.top - 35) + 'px';
         tooltip.style.transform = 'translateX(-50%)';
-        
+
         // Show the tooltip
         tooltip.style.opacity = '1';
         tooltip.style.visibility = 'visible';
-        
+
         // Button animation with modern CSS
         element.style.transform = 'scale(1.2)';
         element.style.color = 'var(--primary-color, #f4d03f)';
-        
+
         // Reset after delay
         setTimeout(() => {
             element.style.transform = 'scale(1)';
@@ -189,26 +305,26 @@ export class SkillsManager {
         this.triggerHapticFeedback();
     }
 
-    // Show language value tooltip on control
+    // Show language value tooltip on control (inline handlers of the legacy pages)
     showLanguageValue(element, value) {
         const tooltip = element.querySelector('.control-tooltip');
         if (!tooltip) return;
-        
+
         // Position tooltip
         const rect = element.getBoundingClientRect();
         tooltip.style.position = 'fixed';
         tooltip.style.left = (rect.left + rect.width / 2) + 'px';
         tooltip.style.top = (rect.top - 35) + 'px';
         tooltip.style.transform = 'translateX(-50%)';
-        
+
         // Show the tooltip
         tooltip.style.opacity = '1';
         tooltip.style.visibility = 'visible';
-        
+
         // Button animation
         element.style.transform = 'scale(1.2)';
         element.style.color = 'var(--primary-color, #f4d03f)';
-        
+
         // Reset after delay
         setTimeout(() => {
             element.style.transform = 'scale(1)';
@@ -220,44 +336,14 @@ export class SkillsManager {
         this.triggerHapticFeedback();
     }
 
-    // Show current skill value on bar hover/click
+    // Show current skill value on bar hover/click (inline handlers of the legacy pages)
     showCurrentSkillValue(element) {
-        const progress = element.querySelector('.skill-progress');
-        const tooltip = element.querySelector('.skill-tooltip');
-        
-        if (!progress || !tooltip) return;
-        
-        const value = progress.getAttribute('data-value');
-        
-        tooltip.style.opacity = '1';
-        tooltip.style.visibility = 'visible';
-        tooltip.style.transform = 'translateX(-50%) scale(1.1)';
-        
-        setTimeout(() => {
-            tooltip.style.opacity = '0';
-            tooltip.style.visibility = 'hidden';
-            tooltip.style.transform = 'translateX(-50%) scale(1)';
-        }, 800);
+        this.showBarValue(element);
     }
 
-    // Show current language value on bar hover/click
+    // Show current language value on bar hover/click (inline handlers of the legacy pages)
     showCurrentLanguageValue(element) {
-        const progress = element.querySelector('.language-progress');
-        const tooltip = element.querySelector('.language-tooltip');
-        
-        if (!progress || !tooltip) return;
-        
-        const value = progress.getAttribute('data-value');
-        
-        tooltip.style.opacity = '1';
-        tooltip.style.visibility = 'visible';
-        tooltip.style.transform = 'translateX(-50%) scale(1.1)';
-        
-        setTimeout(() => {
-            tooltip.style.opacity = '0';
-            tooltip.style.visibility = 'hidden';
-            tooltip.style.transform = 'translateX(-50%) scale(1)';
-        }, 800);
+        this.showBarValue(element);
     }
 
     // Trigger haptic feedback
@@ -272,112 +358,101 @@ export class SkillsManager {
         }
     }
 
-    // Update skill value programmatically with animation
-    async updateSkillValue(skillName, newValue, animate = true) {
-        const skillItems = document.querySelectorAll('.tool-item');
-        
-        for (const item of skillItems) {
-            const name = item.querySelector('.tool-name')?.textContent;
-            if (name === skillName) {
-                const progress = item.querySelector('.skill-progress');
-                const tooltip = item.querySelector('.skill-tooltip');
-                
-                if (progress) {
-                    if (animate) {
-                        await this.animateValueChange(progress, newValue);
-                    } else {
-                        progress.style.width = `${newValue}%`;
-                    }
-                    progress.setAttribute('data-value', newValue);
-                }
-                
-                if (tooltip) {
-                    tooltip.textContent = `${newValue}%`;
-                }
-                break;
+    // Update a skill or language value (kind: 'skill' or 'language'), clamped to 0-100.
+    // Only the page changes: the data model keeps the owner's values for exports
+    updateSkillValue(skillName, newValue, kind = 'skill') {
+        const parts = this.kinds[kind];
+        if (!parts) return;
+
+        const value = Math.round(number.clamp(Number(newValue) || 0, 0, 100));
+        let changed = false;
+
+        document.querySelectorAll(parts.item).forEach(item => {
+            const name = item.dataset.name || item.querySelector(parts.name)?.textContent.trim();
+            if (name !== skillName) return;
+
+            const progress = item.querySelector(parts.progress);
+            const tooltip = item.querySelector(parts.tooltip);
+            const bar = item.querySelector(this.barSelector);
+
+            if (progress) {
+                changed = changed || parseInt(progress.getAttribute('data-value')) !== value;
+                progress.style.width = `${value}%`;
+                progress.setAttribute('data-value', value);
             }
-        }
-    }
 
-    // Animate value change
-    animateValueChange(progressElement, newValue) {
-        return new Promise((resolve) => {
-            const currentValue = parseInt(progressElement.style.width) || 0;
-            const difference = newValue - currentValue;
-            const duration = 1000; // 1 second
-            const startTime = performance.now();
-
-            const animate = (currentTime) => {
-                const elapsed = currentTime - startTime;
-                const progress = Math.min(elapsed / duration, 1);
-                
-                // Easing function
-                const easedProgress = 1 - Math.pow(1 - progress, 3);
-                
-                const currentAnimatedValue = currentValue + (difference * easedProgress);
-                progressElement.style.width = `${currentAnimatedValue}%`;
-                
-                if (progress < 1) {
-                    this.animationFrameId = requestAnimationFrame(animate);
-                } else {
-                    resolve();
-                }
-            };
+            if (tooltip) {
+                tooltip.textContent = `${value}%`;
+            }
 
-            this.animationFrameId = requestAnimationFrame(animate);
+            if (bar) {
+                bar.setAttribute('aria-valuenow', value);
+                bar.setAttribute('aria-valuetext', `${value}%`);
+            }
         });
+
+        if (!changed) return;
+
+        this.updateResetButton();
+        events.publish('skill:changed', { name: skillName, value, kind });
+    }
+
+    // Check whether the structured data model is available
+    hasDataModel() {
+        return PortfolioData.loaded;
     }
 
-    // Get all skill data
+    // Get all skill data (the owner's values)
     getSkillData() {
-        const skills = [];
-        const skillItems = document.querySelectorAll('.tool-item');
-        
-        skillItems.forEach(item => {
-            const name = item.querySelector('.tool-name')?.textContent;
-            const progress = item.querySelector('.skill-progress');
-            const value = progress?.getAttribute('data-value');
-            
-            if (name && value) {
-                skills.push({
-                    name,
-                    proficiency: parseInt(value),
-                    category: 'technical',
-                    element: item
-                });
-            }
-        });
-        
-        return skills;
+        if (this.hasDataModel()) {
+            return PortfolioData.getSkills().map(skill => ({
+                name: skill.name,
+                proficiency: skill.value,
+                category: skill.category || 'technical'
+            }));
+        }
+
+        // Fallback for pages that are not rendered from the data model
+        return this.readItems('.tool-item', '.tool-name', '.skill-progress', 'technical');
     }
 
-    // Get all language data
+    // Get all language data (the owner's values)
     getLanguageData() {
-        const languages = [];
-        const languageItems = document.querySelectorAll('.language-item');
-        
-        languageItems.forEach(item => {
-            const name = item.querySelector('.language-name')?.textContent;
-            const progress = item.querySelector('.language-progress');
-            const value = progress?.getAttribute('data-value');
-            
+        if (this.hasDataModel()) {
+            return PortfolioData.getLanguages().map(language => ({
+                name: language.name,
+                proficiency: language.value,
+                category: 'language'
+            }));
+        }
+
+        return this.readItems('.language-item', '.language-name', '.language-progress', 'language');
+    }
+
+    // Read names and values from the markup
+    readItems(itemSelector, nameSelector, progressSelector, category) {
+        const items = [];
+
+        document.querySelectorAll(itemSelector).forEach(item => {
+            const name = item.querySelector(nameSelector)?.textContent;
+            const value = item.querySelector(progressSelector)?.getAttribute('data-value');
+
             if (name && value) {
-                languages.push({
+                items.push({
                     name,
                     proficiency: parseInt(value),
-                    category: 'language',
-                    element: item
+                    category
                 });
             }
         });
-        
-        return languages;
+
+        return items;
     }
 
     // Filter skills by proficiency level
     filterSkillsByProficiency(minLevel = 0, maxLevel = 100) {
         const skills = this.getSkillData();
-        return skills.filter(skill => 
+        return skills.filter(skill =>
             skill.proficiency >= minLevel && skill.proficiency <= maxLevel
         );
     }
@@ -386,25 +461,48 @@ export class SkillsManager {
     searchSkills(searchTerm) {
         const skills = [...this.getSkillData(), ...this.getLanguageData()];
         const term = searchTerm.toLowerCase();
-        
-        return skills.filter(skill => 
+
+        return skills.filter(skill =>
             skill.name.toLowerCase().includes(term)
         );
     }
 
-    // Highlight matching skills
-    highlightSkills(searchTerm) {
-        const matchingSkills = this.searchSkills(searchTerm);
-        
-        // Clear previous highlights
-        this.clearHighlights();
-        
-        // Highlight matching skills
-        matchingSkills.forEach(skill => {
-            skill.element.classList.add('highlighted');
+    // Highlight skills, languages and experience entries based on search/filter.
+    // A search string matches as a substring of skill and language names; a list of
+    // terms (e.g. from JobFit) matches whole words, including experience summaries.
+    // Returns the highlighted items
+    highlightSkills(searchTerms) {
+        const items = document.querySelectorAll('.tool-item, .language-item, .experience-item');
+        const highlighted = [];
+
+        items.forEach(item => {
+            const matches = Array.isArray(searchTerms) ?
+                searchTerms.some(term => string.containsWord(this.getSearchText(item), term)) :
+                !item.matches('.experience-item') &&
+                    this.getSearchText(item).toLowerCase().includes(String(searchTerms).toLowerCase());
+
+            item.classList.toggle('highlighted', matches);
+            if (matches) highlighted.push(item);
         });
-        
-        return matchingSkills;
+
+        return highlighted;
+    }
+
+    // Text a highlight term is matched against: the name of a skill or language,
+    // the shown text and summary of an experience entry
+    getSearchText(item) {
+        if (!item.matches('.experience-item')) {
+            return item.querySelector('.tool-name, .language-name')?.textContent || '';
+        }
+
+        const title = item.querySelector('.job-title')?.textContent.trim();
+        const company = item.querySelector('.company')?.textContent.trim();
+        const entry = this.hasDataModel() ?
+            PortfolioData.getExperience().find(experience =>
+                experience.title === title && experience.company === company) :
+            null;
+
+        return [item.textContent, entry?.summary].filter(Boolean).join(' ');
     }
 
     // Clear all highlights
@@ -442,15 +540,22 @@ export class SkillsManager {
 
     // Cleanup method
     destroy() {
-        if (this.animationFrameId) {
-            cancelAnimationFrame(this.animationFrameId);
+        this.listeners.removeAll();
+
+        if (this.animationObserver) {
+            this.animationObserver.disconnect();
+            this.animationObserver = null;
         }
-        
+
+        if (this.dragging) {
+            this.dragging.bar.classList.remove('is-dragging');
+            this.dragging = null;
+        }
+
         this.clearHighlights();
-        this.skillControls = [];
-        this.languageControls = [];
+        this.actualValues.clear();
         this.initialized = false;
-        
+
         console.log('🧹 Skills Manager destroyed');
     }
 }
@@ -459,4 +564,4 @@ export class SkillsManager {
 const skillsManager = new SkillsManager();
 
 // Export for both module and global use
-export default skillsManager;
\ No newline at end of file
+export default skillsManager;
@@ -0,0 +1,238 @@
+/**
+ * Tooltip Manager - ES6 Module Version
+ * Handles tooltip positioning and display logic
+ */
+
+import { events } from './utils.mjs';
+import Breakpoints from '../breakpoints.js';
+
+export class TooltipManager {
+    constructor() {
+        this.initialized = false;
+        // Listener scope: destroy() detaches everything added through it
+        this.listeners = events.scope('tooltips');
+        this.tooltips = [];
+
+        // Bound so the handlers keep `this` when called as listeners
+        this.hideAllTooltips = this.hideAllTooltips.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+    }
+
+    // Initialize tooltip functionality
+    async init() {
+        if (this.initialized) return;
+
+        console.log('💬 Initializing Tooltip Manager (ES6)...');
+
+        this.setupTooltips();
+        this.setupGlobalTooltipEvents();
+
+        this.initialized = true;
+    }
+
+    // Setup all tooltips in the page
+    setupTooltips() {
+        // Control tooltips and skill/language bar tooltips
+        this.tooltips = Array.from(
+            document.querySelectorAll('.control-tooltip, .skill-tooltip, .language-tooltip')
+        );
+
+        this.setupBarTooltips('.skill-bar', '.skill-tooltip');
+        this.setupBarTooltips('.language-bar', '.language-tooltip');
+    }
+
+    // Show the bar tooltip while hovering a skill or language bar
+    setupBarTooltips(barSelector, tooltipSelector) {
+        document.querySelectorAll(barSelector).forEach(bar => {
+            const tooltip = bar.querySelector(tooltipSelector);
+            if (!tooltip) return;
+
+            this.listeners.on(bar, 'mouseenter', () => {
+                this.showTooltip(tooltip, bar);
+            });
+
+            this.listeners.on(bar, 'mouseleave', () => {
+                this.hideTooltip(tooltip);
+            });
+        });
+    }
+
+    // Show tooltip with proper positioning
+    showTooltip(tooltip, element) {
+        if (!tooltip || !element) return;
+
+        this.positionTooltip(tooltip, element);
+
+        tooltip.style.opacity = '1';
+        tooltip.style.visibility = 'visible';
+        tooltip.classList.add('tooltip-show');
+    }
+
+    // Hide tooltip
+    hideTooltip(tooltip) {
+        if (!tooltip) return;
+
+        tooltip.style.opacity = '0';
+        tooltip.style.visibility = 'hidden';
+        tooltip.classList.remove('tooltip-show');
+    }
+
+    // Position tooltip relative to element
+    positionTooltip(tooltip, element) {
+        if (!tooltip || !element) return;
+
+        const rect = element.getBoundingClientRect();
+
+        if (tooltip.classList.contains('control-tooltip')) {
+            // Use fixed positioning for control tooltips
+            tooltip.style.position = 'fixed';
+            tooltip.style.left = (rect.left + rect.width / 2) + 'px';
+            tooltip.style.top = (rect.top - 35) + 'px';
+        } else {
+            // Use absolute positioning for bar tooltips
+            tooltip.style.position = 'absolute';
+            tooltip.style.left = '50%';
+            tooltip.style.top = '-30px';
+        }
+        tooltip.style.transform = 'translateX(-50%)';
+
+        // Boundary checks to keep tooltip in viewport
+        this.adjustTooltipPosition(tooltip, rect);
+    }
+
+    // Adjust tooltip position to stay within viewport
+    adjustTooltipPosition(tooltip, elementRect) {
+        const tooltipRect = tooltip.getBoundingClientRect();
+        const viewportWidth = window.innerWidth;
+
+        // Horizontal boundary check
+        if (tooltipRect.left < 0) {
+            tooltip.style.left = '10px';
+            tooltip.style.transform = 'none';
+        } else if (tooltipRect.right > viewportWidth) {
+            tooltip.style.left = (viewportWidth - tooltipRect.width - 10) + 'px';
+            tooltip.style.transform = 'none';
+        }
+
+        // Vertical boundary check: show below the element instead
+        if (tooltipRect.top < 0) {
+            tooltip.style.top = tooltip.classList.contains('control-tooltip') ?
+                (elementRect.bottom + 10) + 'px' :
+                '30px';
+        }
+    }
+
+    // Setup global tooltip events
+    setupGlobalTooltipEvents() {
+        this.listeners.on(window, 'scroll', this.hideAllTooltips, { passive: true });
+        this.listeners.on(window, 'resize', this.hideAllTooltips);
+        this.listeners.on(document, 'keydown', this.handleKeyDown);
+    }
+
+    // Hide tooltips on escape key
+    handleKeyDown(event) {
+        if (event.key === 'Escape') {
+            this.hideAllTooltips();
+        }
+    }
+
+    // Hide all visible tooltips
+    hideAllTooltips() {
+        this.tooltips.forEach(tooltip => this.hideTooltip(tooltip));
+    }
+
+    // Create dynamic tooltip
+    createTooltip(element, content, options = {}) {
+        const tooltip = document.createElement('div');
+        tooltip.className = 'dynamic-tooltip';
+        tooltip.textContent = content;
+
+        Object.assign(tooltip.style, {
+            position: 'fixed',
+            background: options.background || 'var(--text-color)',
+            color: options.color || 'var(--white)',
+            padding: options.padding || '8px 12px',
+            borderRadius: options.borderRadius || 'var(--border-radius)',
+            fontSize: options.fontSize || 'var(--font-size-sm)',
+            whiteSpace: 'nowrap',
+            zIndex: 'var(--z-tooltip)',
+            opacity: '0',
+            visibility: 'hidden',
+            transition: 'all var(--transition-fast)',
+            pointerEvents: 'none'
+        });
+
+        document.body.appendChild(tooltip);
+        this.showTooltip(tooltip, element);
+
+        return tooltip;
+    }
+
+    // Remove dynamic tooltip
+    removeTooltip(tooltip) {
+        if (!tooltip || !tooltip.parentNode) return;
+
+        this.hideTooltip(tooltip);
+        setTimeout(() => tooltip.remove(), 200);
+    }
+
+    // Update tooltip content
+    updateTooltipContent(tooltip, newContent) {
+        if (tooltip) {
+            tooltip.textContent = newContent;
+        }
+    }
+
+    // Get tooltip data for analytics
+    getTooltipData() {
+        return this.tooltips
+            .filter(tooltip => tooltip.textContent)
+            .map(tooltip => ({
+                content: tooltip.textContent,
+                type: tooltip.className,
+                visible: tooltip.style.opacity === '1'
+            }));
+    }
+
+    // Check if device supports hover
+    supportsHover() {
+        return Breakpoints.canHover();
+    }
+
+    // Convert [data-tooltip] hover tooltips to tap tooltips on touch devices
+    handleMobileTooltips() {
+        if (this.supportsHover()) return;
+
+        document.querySelectorAll('[data-tooltip]').forEach(element => {
+            this.listeners.on(element, 'click', (e) => {
+                e.preventDefault();
+                const existingTooltip = document.querySelector('.mobile-tooltip');
+
+                if (existingTooltip) {
+                    this.removeTooltip(existingTooltip);
+                    return;
+                }
+
+                const tooltip = this.createTooltip(element, element.getAttribute('data-tooltip'));
+                tooltip.classList.add('mobile-tooltip');
+
+                // Auto-hide after 3 seconds
+                setTimeout(() => this.removeTooltip(tooltip), 3000);
+            });
+        });
+    }
+
+    // Cleanup method
+    destroy() {
+        this.hideAllTooltips();
+
+        this.listeners.removeAll();
+
+        this.tooltips = [];
+        this.initialized = false;
+
+        console.log('🧹 Tooltip Manager destroyed');
+    }
+}
+
+export default TooltipManager;
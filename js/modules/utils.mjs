@@ -0,0 +1,12 @@
+/**
+ * Utility Functions - ES module exports of js/utils.js
+ * The helper groups are the same objects as window.Utils
+ */
+
+import Utils from '../utils.js';
+
+export const { dom, animation, string, number, locale, color, array, date, storage, events, device, url } = Utils;
+export const { debounce, throttle } = Utils.performance;
+
+export { Utils };
+export default Utils;
@@ -0,0 +1,288 @@
+/**
+ * Overlays - Dialog manager for every overlay on the page
+ * Stacks open overlays, locks scrolling, traps Tab and restores focus on close
+ */
+
+const Overlays = {
+    initialized: false,
+    listeners: Utils.events.scope('overlays'),
+
+    // Registered overlays: id -> { element, backdrop, onOpen, onClose, removeBackdropListener }
+    registry: new Map(),
+
+    // Open overlays, topmost last: { id, trigger, transient }
+    stack: [],
+
+    // Last element outside the open overlays that was focused or pressed: the trigger of
+    // the next overlay when focus is on <body> (e.g. after a click on an element that
+    // takes no focus)
+    lastTrigger: null,
+
+    // Scroll lock reference count and the body overflow it replaced
+    scrollLocks: 0,
+    savedOverflow: '',
+
+    focusableSelector: 'a[href], button:not([disabled]), textarea:not([disabled]), input:not([disabled]), ' +
+        'select:not([disabled]), iframe, [tabindex]:not([tabindex="-1"])',
+
+    // Handle Escape and Tab for the topmost overlay
+    init() {
+        if (this.initialized) return;
+
+        console.log('🪟 Initializing Overlays...');
+
+        this.listeners.on(document, 'keydown', this.handleKeyDown.bind(this));
+        this.listeners.on(document, 'focusin', this.trackTrigger.bind(this));
+        this.listeners.on(document, 'pointerdown', this.trackTrigger.bind(this), { capture: true });
+
+        this.initialized = true;
+    },
+
+    // Register an overlay element. options: { backdrop, onOpen(options), onClose() }
+    register(id, element, options = {}) {
+        if (!element) return;
+
+        this.unregister(id);
+
+        const { backdrop = null, onOpen = null, onClose = null } = options;
+        const removeBackdropListener = backdrop ?
+            this.listeners.on(backdrop, 'click', () => this.closeTop()) :
+            null;
+
+        this.registry.set(id, { element, backdrop, onOpen, onClose, removeBackdropListener });
+    },
+
+    // Forget an overlay, closing it first
+    unregister(id) {
+        const overlay = this.registry.get(id);
+        if (!overlay) return;
+
+        this.close(id, { restoreFocus: false });
+        if (overlay.removeBackdropListener) overlay.removeBackdropListener();
+        this.registry.delete(id);
+    },
+
+    // Open an overlay on top of the stack. options: { title, link, trigger, focus = true, transient }
+    // (link identifies the content for deep links, see DeepLinks; transient overlays, such as
+    // previews shown on hover, get no history entry and leave focus and scrolling alone)
+    open(id, options = {}) {
+        const overlay = this.registry.get(id);
+        if (!overlay) {
+            console.warn(`Unknown overlay "${id}"`);
+            return;
+        }
+
+        const transient = Boolean(options.transient);
+        const entry = this.stack.find(item => item.id === id);
+
+        if (entry) {
+            // Already open: only its content changed, unless a hover preview is now opened for good
+            if (overlay.onOpen) overlay.onOpen(options);
+            if (entry.transient && !transient) {
+                entry.transient = false;
+                this.lockScroll();
+                if (options.focus !== false) this.focusFirst(overlay.element);
+            }
+            this.publishOpen(id, options);
+            return;
+        }
+
+        const trigger = options.trigger || this.getPreviousFocus();
+
+        this.stack.push({ id, trigger, transient });
+        if (!transient) this.lockScroll();
+
+        if (overlay.onOpen) overlay.onOpen(options);
+        overlay.element.classList.add('show');
+        if (overlay.backdrop) overlay.backdrop.classList.add('show');
+
+        if (!transient && options.focus !== false) {
+            this.focusFirst(overlay.element);
+        }
+
+        this.publishOpen(id, options);
+    },
+
+    // Announce the open overlay and the content it shows
+    publishOpen(id, options) {
+        Utils.events.publish('overlay:open', {
+            id,
+            title: options.title || '',
+            link: options.link || null,
+            transient: Boolean(options.transient)
+        });
+    },
+
+    // Close an overlay. options: { restoreFocus = true }
+    close(id, options = {}) {
+        const index = this.stack.findIndex(entry => entry.id === id);
+        if (index === -1) return;
+
+        const [{ trigger, transient }] = this.stack.splice(index, 1);
+        const overlay = this.registry.get(id);
+
+        overlay.element.classList.remove('show');
+        if (overlay.backdrop) overlay.backdrop.classList.remove('show');
+        if (overlay.onClose) overlay.onClose();
+
+        // Transient overlays took neither the scroll lock nor focus
+        if (!transient) this.unlockScroll();
+
+        // Only the topmost overlay hands focus back; lower ones keep the stack order
+        if (!transient && options.restoreFocus !== false && index === this.stack.length) {
+            this.restoreFocus(trigger);
+        }
+
+        Utils.events.publish('overlay:close', { id, top: this.top() });
+    },
+
+    // Close the topmost overlay
+    closeTop() {
+        const top = this.top();
+        if (top) this.close(top);
+    },
+
+    // Close every open overlay, topmost first
+    closeAll() {
+        while (this.stack.length) {
+            this.closeTop();
+        }
+    },
+
+    // Id of the topmost open overlay, or null
+    top() {
+        return this.stack.length ? this.stack[this.stack.length - 1].id : null;
+    },
+
+    isOpen(id) {
+        return this.stack.some(entry => entry.id === id);
+    },
+
+    // Remember the focusable element an interaction started from, unless it is inside
+    // an open overlay
+    trackTrigger(event) {
+        const { target } = event;
+        if (!(target instanceof Element)) return;
+        if (this.stack.some(({ id }) => this.registry.get(id).element.contains(target))) return;
+
+        this.lastTrigger = target.closest(this.focusableSelector) || target;
+    },
+
+    // Element focus returns to when the overlay closes: the focused element, or the
+    // element last pressed when focus is on <body>
+    getPreviousFocus() {
+        const active = document.activeElement;
+        if (active && active !== document.body) return active;
+
+        return this.lastTrigger && document.contains(this.lastTrigger) ? this.lastTrigger : active;
+    },
+
+    restoreFocus(element) {
+        if (element && element !== document.body && document.contains(element) && element.focus) {
+            element.focus({ preventScroll: true });
+        }
+    },
+
+    getFocusable(element) {
+        return Array.from(element.querySelectorAll(this.focusableSelector))
+            .filter(item => !item.hidden && item.getAttribute('aria-hidden') !== 'true');
+    },
+
+    // Move focus into an overlay (its first focusable element, or the overlay itself)
+    focusFirst(element) {
+        const [first] = this.getFocusable(element);
+        const target = first || element;
+
+        if (!first && !element.hasAttribute('tabindex')) {
+            element.setAttribute('tabindex', '-1');
+        }
+
+        target.focus({ preventScroll: true });
+    },
+
+    // Lock body scrolling; nested locks are reference counted
+    lockScroll() {
+        if (this.scrollLocks === 0) {
+            this.savedOverflow = document.body.style.overflow;
+            document.body.style.overflow = 'hidden';
+        }
+        this.scrollLocks++;
+    },
+
+    unlockScroll() {
+        if (this.scrollLocks === 0) return;
+
+        this.scrollLocks--;
+        if (this.scrollLocks === 0) {
+            document.body.style.overflow = this.savedOverflow;
+        }
+    },
+
+    handleKeyDown(event) {
+        if (!this.stack.length) return;
+
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.closeTop();
+        } else if (event.key === 'Tab' && !this.stack[this.stack.length - 1].transient) {
+            this.trapFocus(event);
+        }
+    },
+
+    // Keep Tab and Shift+Tab inside the topmost overlay
+    trapFocus(event) {
+        const { element } = this.registry.get(this.top());
+        const focusable = this.getFocusable(element);
+
+        if (!focusable.length) {
+            event.preventDefault();
+            element.focus({ preventScroll: true });
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+
+        if (!element.contains(active)) {
+            event.preventDefault();
+            first.focus();
+        } else if (event.shiftKey && active === first) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && active === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    },
+
+    // Re-center open overlays, e.g. after an orientation change
+    reposition() {
+        this.stack.forEach(({ id }) => {
+            const { element } = this.registry.get(id);
+
+            element.style.transform = '';
+            void element.offsetHeight; // Force reflow
+            element.style.transform = 'translate(-50%, -50%)';
+        });
+    },
+
+    // Cleanup method
+    destroy() {
+        this.closeAll();
+        this.listeners.removeAll();
+        this.registry.clear();
+        this.lastTrigger = null;
+        this.initialized = false;
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Overlays;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.Overlays = Overlays;
+}
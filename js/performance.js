@@ -17,10 +17,26 @@ const PerformanceMonitor = {
         this.setupResourceObserver();
         this.setupUserTimingObserver();
         this.trackCoreWebVitals();
+        this.trackAppEvents();
         
         this.initialized = true;
     },
     
+    // Count application events (overlay:open, skill:changed, ...) published on the event bus
+    trackAppEvents() {
+        if (typeof Utils === 'undefined') return;
+        
+        this.metrics.appEvents = {};
+        
+        Utils.events.subscribe('*', (detail, name) => {
+            this.metrics.appEvents[name] = (this.metrics.appEvents[name] || 0) + 1;
+            
+            if (window.performance && performance.mark) {
+                performance.mark(`portfolio-${name}`);
+            }
+        });
+    },
+    
     // Setup Performance Observer for navigation timing
     setupPerformanceObserver() {
         if (!window.PerformanceObserver) return;
@@ -389,10 +405,12 @@ const PerformanceMonitor = {
     }
 };
 
-// Auto-initialize in development mode
-if (typeof window !== 'undefined' && window.location.hostname === 'localhost') {
-    PerformanceMonitor.init();
-}
+// Monitor in development only
+(window.PortfolioModules = window.PortfolioModules || []).push({
+    name: 'performance',
+    manager: PerformanceMonitor,
+    condition: () => window.location.hostname === 'localhost'
+});
 
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
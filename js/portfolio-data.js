@@ -0,0 +1,386 @@
+/**
+ * Portfolio Data - Structured content model and section renderers
+ * Single source for the skills, languages, education and experience markup,
+ * shared by the runtime managers and the build script
+ */
+
+const PortfolioData = {
+    loaded: false,
+    data: null,
+    source: 'data/portfolio.json',
+
+    // Renderable lists: container name -> item selector and renderer
+    sections: {
+        skills: { itemSelector: '.tool-item', render: 'renderToolItem' },
+        languages: { itemSelector: '.language-item', render: 'renderLanguageItem' },
+        education: { itemSelector: '.education-item', render: 'renderEducationItem' },
+        experience: { itemSelector: '.experience-item', render: 'renderExperienceItem' }
+    },
+
+    // Single-element fragments: container name -> renderer (content replaced as a whole)
+    fragments: {
+        'profile-name': 'renderProfileName',
+        'profile-title': 'renderProfileTitle',
+        'profile-summary': 'renderProfileSummary',
+        'profile-links': 'renderProfileLinks'
+    },
+
+    // SVG paths for the social link icons
+    icons: {
+        linkedin: 'M20.447 20.452h-3.554v-5.569c0-1.328-.027-3.037-1.852-3.037-1.853 0-2.136 1.445-2.136 2.939v5.667H9.351V9h3.414v1.561h.046c.477-.9 1.637-1.85 3.37-1.85 3.601 0 4.267 2.37 4.267 5.455v6.286zM5.337 7.433c-1.144 0-2.063-.926-2.063-2.065 0-1.138.92-2.063 2.063-2.063 1.14 0 2.064.925 2.064 2.063 0 1.139-.925 2.065-2.064 2.065zm1.782 13.019H3.555V9h3.564v11.452zM22.225 0H1.771C.792 0 0 .774 0 1.729v20.542C0 23.227.792 24 1.771 24h20.451C23.2 24 24 23.227 24 22.271V1.729C24 .774 23.2 0 22.222 0h.003z',
+        github: 'M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z',
+        email: 'M0 3v18h24v-18h-24zm6.623 7.929l-4.623 5.712v-9.458l4.623 3.746zm-4.141-5.929h19.035l-9.517 7.713-9.518-7.713zm5.694 7.188l3.824 3.099 3.83-3.104 5.612 6.817h-18.779l5.513-6.812zm9.208-1.264l4.616-3.741v9.348l-4.616-5.607z',
+        cv: 'M14,2H6A2,2 0 0,0 4,4V20A2,2 0 0,0 6,22H18A2,2 0 0,0 20,20V8L14,2M18,20H6V4H13V9H18V20Z',
+        europass: 'M12,2L13.2,4.6L16,4.9L13.9,6.8L14.5,9.6L12,8.2L9.5,9.6L10.1,6.8L8,4.9L10.8,4.6L12,2M5,12H19V14H5V12M5,16H19V18H5V16M5,20H15V22H5V20Z',
+        json: 'M5,3H7V5H5V10A2,2 0 0,1 3,12A2,2 0 0,1 5,14V19H7V21H5C3.93,20.73 3,20.1 3,19V15A2,2 0 0,0 1,13H0V11H1A2,2 0 0,0 3,9V5A2,2 0 0,1 5,3M19,3A2,2 0 0,1 21,5V9A2,2 0 0,0 23,11H24V13H23A2,2 0 0,0 21,15V19A2,2 0 0,1 19,21H17V19H19V14A2,2 0 0,1 21,12A2,2 0 0,1 19,10V5H17V3H19M12,15A1,1 0 0,1 13,16A1,1 0 0,1 12,17A1,1 0 0,1 11,16A1,1 0 0,1 12,15M8,15A1,1 0 0,1 9,16A1,1 0 0,1 8,17A1,1 0 0,1 7,16A1,1 0 0,1 8,15M16,15A1,1 0 0,1 17,16A1,1 0 0,1 16,17A1,1 0 0,1 15,16A1,1 0 0,1 16,15Z',
+        upload: 'M9,16V10H5L12,3L19,10H15V16H9M5,20V18H19V20H5Z'
+    },
+
+    // Load the data model (inlined by the build, otherwise fetched)
+    load(source = this.source) {
+        if (this.loaded) return Promise.resolve(this.data);
+
+        const inlineData = typeof document !== 'undefined' && document.getElementById('portfolio-data');
+        if (inlineData) {
+            return Promise.resolve(this.setData(JSON.parse(inlineData.textContent)));
+        }
+
+        return fetch(source)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Failed to load ${source}: ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(data => this.setData(data));
+    },
+
+    // Replace the current data model
+    setData(data) {
+        this.data = data;
+        this.loaded = true;
+        return data;
+    },
+
+    // Model accessors
+    getProfile() {
+        return this.data?.profile || {};
+    },
+
+    getSkills() {
+        return this.data?.skills || [];
+    },
+
+    getLanguages() {
+        return this.data?.languages || [];
+    },
+
+    getEducation() {
+        return this.data?.education || [];
+    },
+
+    getExperience() {
+        return this.data?.experience || [];
+    },
+
+    // Format ISO-like start/end dates ("2023", "2024-09") as shown on the page.
+    // options: { locale = 'en', ongoing = 'ongoing' } (see I18n for the translated page)
+    formatPeriod(startDate, endDate, options = {}) {
+        const { locale = 'en', ongoing = 'ongoing' } = options;
+        const months = new Intl.DateTimeFormat(locale, { month: 'short', timeZone: 'UTC' });
+        const format = (date) => {
+            const [year, month] = String(date).split('-');
+            return month ? `${months.format(Date.UTC(year, parseInt(month) - 1, 1))} ${year}` : year;
+        };
+
+        if (!startDate) return '';
+        if (!endDate) return `${format(startDate)}-${ongoing}`;
+
+        const hasMonths = String(startDate).includes('-') || String(endDate).includes('-');
+        return hasMonths ?
+            `${format(startDate)} - ${format(endDate)}` :
+            `${format(startDate)}-${format(endDate)}`;
+    },
+
+    // Escape text for use in HTML content and attributes
+    escapeHTML(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    // URL-safe slug, e.g. "Oil & Gas" -> "oil-gas"
+    slugify(value) {
+        return String(value ?? '')
+            .toLowerCase()
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    },
+
+    // Deep link id of an education row, e.g. "master-degree" (see DeepLinks)
+    educationRowLink(education, row) {
+        return `${this.slugify(education.studyType || education.title)}-${this.slugify(row.label)}`;
+    },
+
+    // Render the name heading content ("Given<br>Family")
+    renderProfileName(profile) {
+        const given = profile.givenName || profile.name || '';
+        return profile.familyName ?
+            `${this.escapeHTML(given)}<br>${this.escapeHTML(profile.familyName)}` :
+            this.escapeHTML(given);
+    },
+
+    renderProfileTitle(profile) {
+        return this.escapeHTML(profile.title);
+    },
+
+    // Render the headline and summary paragraphs
+    renderProfileSummary(profile) {
+        const paragraphs = (profile.summary || [])
+            .map((paragraph, index) => `
+                    <p data-i18n="profile.summary.${index}">${this.escapeHTML(paragraph)}</p>`)
+            .join('');
+
+        return `
+                    <h2 data-i18n="profile.headline">${this.escapeHTML(profile.headline)}</h2>${paragraphs}
+                `;
+    },
+
+    // Translation attributes for an element (see I18n); params fill {placeholders}
+    i18nAttributes(attributes, params = null) {
+        const pairs = Object.entries(attributes).map(([attribute, key]) => `${attribute}:${key}`).join(';');
+        const encodedParams = params ? ` data-i18n-params="${this.escapeHTML(JSON.stringify(params))}"` : '';
+        return `data-i18n-attr="${pairs}"${encodedParams}`;
+    },
+
+    // data-period value read by I18n to format the dates for the active language
+    periodAttribute(startDate, endDate) {
+        return `data-period="${this.escapeHTML(`${startDate || ''}/${endDate || ''}`)}"`;
+    },
+
+    // Render one icon link of the social links bar
+    renderLink({ href, title, label, icon, attributes = '' }) {
+        return `
+                    <a href="${this.escapeHTML(href)}"
+                       class="social-link"${attributes}
+                       title="${this.escapeHTML(title)}"
+                       aria-label="${this.escapeHTML(label)}">
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+                            <path d="${this.icons[icon]}"/>
+                        </svg>
+                    </a>`;
+    },
+
+    // Render the profile links, e-mail, CV, Europass and JSON Resume downloads and the import
+    renderProfileLinks(profile) {
+        const name = profile.name || '';
+        const links = (profile.profiles || []).map(item => this.renderLink({
+            href: item.url,
+            title: `${item.network} Profile`,
+            label: `Visit ${name}'s ${item.network} profile`,
+            icon: String(item.network).toLowerCase(),
+            attributes: ' rel="noopener noreferrer" target="_blank"'
+        }));
+
+        if (profile.email) {
+            links.push(this.renderLink({
+                href: `mailto:${profile.email}`,
+                title: 'Send Email',
+                label: `Send email to ${name}`,
+                icon: 'email'
+            }));
+        }
+
+        if (profile.cv) {
+            links.push(this.renderLink({
+                href: profile.cv,
+                title: 'Download CV',
+                label: `Download ${name}'s CV as PDF`,
+                icon: 'cv',
+                attributes: ' download'
+            }));
+        }
+
+        links.push(this.renderLink({
+            href: 'europass.xml',
+            title: 'Download Europass CV',
+            label: `Download ${name}'s CV in Europass XML format`,
+            icon: 'europass',
+            attributes: ' data-europass="xml" download'
+        }));
+
+        links.push(this.renderLink({
+            href: 'resume.json',
+            title: 'Download JSON Resume',
+            label: `Download ${name}'s CV in JSON Resume format`,
+            icon: 'json',
+            attributes: ' data-json-resume="export" download'
+        }));
+
+        links.push(this.renderLink({
+            href: '#',
+            title: 'Import JSON Resume',
+            label: 'Import a JSON Resume file into this page',
+            icon: 'upload',
+            attributes: ' data-json-resume="import" role="button" hidden'
+        }));
+
+        return `${links.join('')}
+                `;
+    },
+
+    // Render a technical skill (a slider, see SkillsManager)
+    renderToolItem(skill) {
+        const name = this.escapeHTML(skill.name);
+
+        return `
+            <div class="tool-item" data-name="${name}">
+                <div class="tool-header">
+                    <span class="tool-name">${name}</span>
+                </div>
+                <div class="tool-controls" role="group" aria-label="${name} skill level controls" ${this.i18nAttributes({ 'aria-label': 'skill.controls' }, { name: skill.name })}>
+                    ${this.renderSlider('skill', skill)}
+                </div>
+            </div>`;
+    },
+
+    // Render a spoken language (a slider, see SkillsManager)
+    renderLanguageItem(language) {
+        const name = this.escapeHTML(language.name);
+
+        return `
+            <div class="language-item" data-name="${name}">
+                <div class="language-header">
+                    <span class="language-name" data-i18n="languageName.${this.slugify(language.name)}">${name}</span>
+                </div>
+                <div class="language-controls" role="group" aria-label="${name} language level controls" ${this.i18nAttributes({ 'aria-label': 'language.controls' }, { name: language.name })}>
+                    ${this.renderSlider('language', language)}
+                </div>
+            </div>`;
+    },
+
+    // Render the -/+ buttons and the bar of a skill or language slider (kind: 'skill' or 'language')
+    renderSlider(kind, item) {
+        const name = this.escapeHTML(item.name);
+        const value = parseInt(item.value) || 0;
+        const params = { name: item.name };
+
+        return `<button type="button" class="${kind}-control" data-step="-10" aria-label="Lower ${name} by 10%" ${this.i18nAttributes({ 'aria-label': `${kind}.decrease` }, params)}>-</button>
+                    <div class="${kind}-bar" role="slider" tabindex="0" aria-valuenow="${value}" aria-valuemin="0" aria-valuemax="100" aria-valuetext="${value}%" aria-label="${name} proficiency" ${this.i18nAttributes({ 'aria-label': `${kind}.proficiency` }, params)}>
+                        <div class="${kind}-progress" style="width: ${value}%" data-value="${value}">
+                            <div class="${kind}-knob"></div>
+                        </div>
+                        <div class="${kind}-tooltip">${value}%</div>
+                    </div>
+                    <button type="button" class="${kind}-control" data-step="10" aria-label="Raise ${name} by 10%" ${this.i18nAttributes({ 'aria-label': `${kind}.increase` }, params)}>+</button>`;
+    },
+
+    // Render an education entry with its info/document rows
+    renderEducationItem(education) {
+        const rows = (education.rows || []).map(row => `
+                    <div class="education-row"
+                         data-link="${this.escapeHTML(this.educationRowLink(education, row))}"
+                         data-info="${this.escapeHTML(row.info)}"
+                         ${row.file ? `data-file="${this.escapeHTML(row.file)}"` : ''}
+                         role="button"
+                         tabindex="0"
+                         aria-label="View ${this.escapeHTML(row.label.toLowerCase())} information"
+                         ${this.i18nAttributes({ 'aria-label': `education.view.${this.slugify(row.label)}` })}>
+                        <span class="row-label" data-i18n="education.row.${this.slugify(row.label)}">${this.escapeHTML(row.label)}</span>
+                        <span class="row-arrow" aria-hidden="true">→</span>
+                    </div>`).join('');
+
+        return `
+            <article class="education-item">
+                <h3 class="degree-title">${this.escapeHTML(education.title)}</h3>
+                <p class="institution">${this.escapeHTML(education.institution)}</p>
+                <p class="institution">${this.escapeHTML(education.location)}</p>
+                <p class="year" ${this.periodAttribute(education.startDate, education.endDate)}>${this.escapeHTML(this.formatPeriod(education.startDate, education.endDate))}</p>
+
+                <div class="education-rows">${rows}
+                </div>
+            </article>`;
+    },
+
+    // Render a work experience entry
+    renderExperienceItem(experience) {
+        return `
+            <article class="experience-item">
+                <button class="add-btn" aria-label="View more details about this position" ${this.i18nAttributes({ 'aria-label': 'experience.details' })}>+</button>
+                <h3 class="job-title">${this.escapeHTML(experience.title)}</h3>
+                <p class="company">${this.escapeHTML(experience.company)}</p>
+                <p class="company">${this.escapeHTML(experience.location)}</p>
+                <p class="year" ${this.periodAttribute(experience.startDate, experience.endDate)}>${this.escapeHTML(this.formatPeriod(experience.startDate, experience.endDate))}</p>
+            </article>`;
+    },
+
+    // Render all items of a named list
+    renderList(name, data = this.data) {
+        const section = this.sections[name];
+        if (!section || !data) return '';
+
+        return (data[name] || [])
+            .map(item => this[section.render](item))
+            .join('\n');
+    },
+
+    // Render a named fragment from the profile
+    renderFragment(name, data = this.data) {
+        const render = this.fragments[name];
+        if (!render || !data) return '';
+
+        return this[render](data.profile || {});
+    },
+
+    // Render every [data-portfolio] container in the document
+    renderAll(root = document) {
+        const containers = root.querySelectorAll('[data-portfolio]');
+        containers.forEach(container => {
+            this.renderInto(container, container.getAttribute('data-portfolio'));
+        });
+    },
+
+    // Replace the items of one container with freshly rendered markup
+    renderInto(container, name) {
+        if (!container) return;
+
+        if (this.fragments[name]) {
+            container.innerHTML = this.renderFragment(name);
+            return;
+        }
+
+        const section = this.sections[name];
+        if (!section) return;
+
+        container.querySelectorAll(section.itemSelector).forEach(item => item.remove());
+        container.insertAdjacentHTML('beforeend', this.renderList(name));
+    },
+
+    // Whether the build already rendered the page (runtime then only hydrates)
+    isPrerendered(root = document) {
+        return root.documentElement.hasAttribute('data-prerendered');
+    },
+
+    // Replace <!-- portfolio:name --> placeholders in an HTML string (build time)
+    renderTemplate(html, data = this.data) {
+        return html.replace(/<!--\s*portfolio:([\w-]+)\s*-->/g, (placeholder, name) => {
+            if (this.fragments[name]) return this.renderFragment(name, data);
+            return this.sections[name] ? this.renderList(name, data) : placeholder;
+        });
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PortfolioData;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.PortfolioData = PortfolioData;
+}
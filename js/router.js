@@ -0,0 +1,286 @@
+/**
+ * Router - Client-side views inside the main container
+ * The profile section stays mounted; other views are swapped in with a transition.
+ * Views other than home are loaded from their static page (e.g. bio.html), which
+ * also keeps working on its own when opened directly.
+ */
+
+const Router = {
+    initialized: false,
+    listeners: Utils.events.scope('router'),
+
+    // Views by name. parts: selectors of the elements that make up the view
+    // (for page views they are taken from the fetched page)
+    routes: {
+        home: {
+            path: 'index.html',
+            parts: ['#education', '#experience', '#tools']
+        },
+        bio: {
+            path: 'bio.html',
+            parts: ['.bio-section', '.home-row']
+        }
+    },
+
+    // Head content per view: name -> { title, meta: { selector: content } }
+    heads: new Map(),
+
+    // Mounted view elements: name -> [Element]
+    views: new Map(),
+
+    // Pending page loads: name -> Promise
+    loading: new Map(),
+
+    // Active view name
+    current: 'home',
+
+    // Page path the app was loaded from, used for the home URL
+    homePath: null,
+
+    // Meta tags kept in sync with the active view
+    metaSelectors: [
+        'meta[name="description"]',
+        'meta[property="og:title"]',
+        'meta[property="og:description"]',
+        'meta[property="og:url"]'
+    ],
+
+    // Take over [data-route] links and Back/Forward between views
+    init() {
+        if (this.initialized) return;
+
+        console.log('🧭 Initializing Router...');
+
+        const container = this.getContainer();
+        if (!container) return;
+
+        if (!this.homePath) {
+            this.homePath = window.location.pathname;
+            this.heads.set('home', this.readHead(document));
+            this.views.set('home', this.queryParts(container, this.routes.home.parts));
+        }
+
+        this.listeners.on(document, 'click', this.handleClick.bind(this));
+        this.listeners.on(document, 'keydown', this.handleKeyDown.bind(this));
+        this.listeners.on(window, 'popstate', this.handlePopState.bind(this));
+
+        window.history.replaceState({ ...window.history.state, route: this.current }, '');
+
+        this.initialized = true;
+    },
+
+    getContainer() {
+        return document.getElementById('main-content');
+    },
+
+    queryParts(root, selectors) {
+        return selectors.map(selector => root.querySelector(selector)).filter(Boolean);
+    },
+
+    // Title and synced meta tags of a document
+    readHead(doc) {
+        const meta = {};
+        this.metaSelectors.forEach(selector => {
+            const tag = doc.querySelector(selector);
+            if (tag) meta[selector] = tag.getAttribute('content');
+        });
+
+        return { title: doc.title, meta };
+    },
+
+    // Route name for a link, or null when the link is not routed
+    resolve(element) {
+        const name = element.dataset.route;
+        return name && this.routes[name] ? name : null;
+    },
+
+    handleClick(event) {
+        // Let the browser open new tabs and windows
+        if (event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+
+        const sectionLink = event.target.closest('a[href^="#"]');
+        if (sectionLink && this.current !== 'home') {
+            // Sections live in the home view: switch back first, then follow the hash
+            event.preventDefault();
+            this.navigate('home').then(() => {
+                window.location.hash = sectionLink.getAttribute('href');
+            });
+            return;
+        }
+
+        const link = event.target.closest('[data-route]');
+        if (!link) return;
+
+        const name = this.resolve(link);
+        if (!name) return;
+
+        event.preventDefault();
+        this.navigate(name);
+    },
+
+    // Enter and Space activate [data-route] elements that are not links (e.g. the profile name)
+    handleKeyDown(event) {
+        if (event.key !== 'Enter' && event.key !== ' ') return;
+
+        const element = event.target.closest('[data-route]');
+        if (!element || element.tagName === 'A') return;
+
+        const name = this.resolve(element);
+        if (!name) return;
+
+        event.preventDefault();
+        this.navigate(name);
+    },
+
+    handlePopState(event) {
+        const name = (event.state && event.state.route) || this.routeForPath(window.location.pathname);
+        if (name !== this.current) {
+            this.show(name, { focus: false });
+        }
+    },
+
+    routeForPath(pathname) {
+        const file = pathname.split('/').pop();
+        const match = Object.keys(this.routes).find(name => name !== 'home' && this.routes[name].path === file);
+        return match || 'home';
+    },
+
+    // URL of a view; home keeps the path the app was loaded from
+    urlFor(name) {
+        return name === 'home' ? this.homePath : this.routes[name].path;
+    },
+
+    // Show a view and add a history entry for it
+    async navigate(name) {
+        if (name === this.current) return;
+
+        const shown = await this.show(name);
+        if (shown) {
+            window.history.pushState({ route: name }, '', this.urlFor(name));
+        }
+    },
+
+    // Swap the active view. Falls back to a full page load when the view cannot be loaded
+    async show(name, options = {}) {
+        const route = this.routes[name];
+        if (!route) return false;
+
+        let parts;
+        try {
+            parts = await this.load(name);
+        } catch (error) {
+            console.error(`❌ Could not load the ${name} view:`, error);
+            window.location.href = route.path;
+            return false;
+        }
+
+        const previous = this.current;
+        (this.views.get(previous) || []).forEach(part => {
+            part.hidden = true;
+        });
+
+        parts.forEach(part => {
+            part.hidden = false;
+            this.animateIn(part);
+        });
+
+        this.current = name;
+        this.applyHead(name);
+        Store.set({ view: name, menuOpen: false });
+        Utils.events.publish('route:change', { name, previous, path: this.urlFor(name) });
+
+        if (options.focus !== false) this.focusView(parts);
+        return true;
+    },
+
+    // Elements of a view, fetching and mounting its page the first time
+    load(name) {
+        if (this.views.has(name)) return Promise.resolve(this.views.get(name));
+        if (this.loading.has(name)) return this.loading.get(name);
+
+        const route = this.routes[name];
+        const request = fetch(route.path)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.text();
+            })
+            .then(html => {
+                const page = new DOMParser().parseFromString(html, 'text/html');
+                const parts = this.queryParts(page, route.parts).map(part => this.mount(part, name));
+                if (!parts.length) throw new Error(`${route.path} has no ${route.parts.join(', ')}`);
+
+                this.heads.set(name, this.readHead(page));
+                this.views.set(name, parts);
+                return parts;
+            })
+            .finally(() => this.loading.delete(name));
+
+        this.loading.set(name, request);
+        return request;
+    },
+
+    // Adopt an element from a fetched page into the main container
+    mount(part, name) {
+        const element = document.importNode(part, true);
+
+        // Inline handlers of the standalone page would reload it
+        element.querySelectorAll('[onclick]').forEach(item => item.removeAttribute('onclick'));
+        element.removeAttribute('onclick');
+
+        element.dataset.view = name;
+        element.hidden = true;
+        this.getContainer().appendChild(element);
+        return element;
+    },
+
+    // Replay the view transition (reduced motion is handled in CSS)
+    animateIn(element) {
+        element.classList.remove('view-enter');
+        void element.offsetWidth; // Force reflow
+        element.classList.add('view-enter');
+    },
+
+    applyHead(name) {
+        const head = this.heads.get(name);
+        if (!head) return;
+
+        document.title = head.title;
+
+        const fallback = this.heads.get('home').meta;
+        this.metaSelectors.forEach(selector => {
+            const tag = document.querySelector(selector);
+            const content = head.meta[selector] ?? fallback[selector];
+            if (tag && content !== undefined) tag.setAttribute('content', content);
+        });
+    },
+
+    // Move focus to the heading of the new view for screen reader and keyboard users
+    focusView(parts) {
+        const heading = parts.map(part => part.querySelector('h2, h3')).find(Boolean);
+        if (!heading) return;
+
+        if (!heading.hasAttribute('tabindex')) heading.setAttribute('tabindex', '-1');
+        heading.focus({ preventScroll: true });
+    },
+
+    // Cleanup method (mounted views are kept for the next init)
+    destroy() {
+        this.listeners.removeAll();
+        this.initialized = false;
+    }
+};
+
+(window.PortfolioModules = window.PortfolioModules || []).push({
+    name: 'router',
+    manager: Router
+});
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Router;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.Router = Router;
+}
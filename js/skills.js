@@ -1,11 +1,45 @@
 /**
- * Skills Manager - Handles skill bar interactions and animations
+ * Skills Manager - Skill and language sliders
+ * Bars are role="slider": arrow keys step by 1, PageUp/PageDown and the -/+ buttons by 10,
+ * Home/End jump to 0/100 and the bar can be dragged. Changes go through updateSkillValue;
+ * the reset button ([data-skills-reset]) restores the owner's values.
  */
 
 const SkillsManager = {
     initialized: false,
-    skillControls: [],
-    languageControls: [],
+    // Listener scope: destroy() detaches everything added through it
+    listeners: Utils.events.scope('skills'),
+    
+    // Slider parts per kind
+    kinds: {
+        skill: {
+            item: '.tool-item',
+            name: '.tool-name',
+            progress: '.skill-progress',
+            tooltip: '.skill-tooltip'
+        },
+        language: {
+            item: '.language-item',
+            name: '.language-name',
+            progress: '.language-progress',
+            tooltip: '.language-tooltip'
+        }
+    },
+    barSelector: '.skill-bar, .language-bar',
+    controlSelector: '.skill-control[data-step], .language-control[data-step]',
+    
+    // Arrow key and page (PageUp/PageDown, -/+ buttons) steps
+    step: 1,
+    pageStep: 10,
+    
+    // The owner's values as rendered: "kind:name" -> value
+    actualValues: new Map(),
+    
+    // Bar being dragged: { bar, pointerId }
+    dragging: null,
+    
+    // Pending tooltip hide timers per bar
+    tooltipTimers: new WeakMap(),
     
     // Initialize skills functionality
     init() {
@@ -13,64 +47,180 @@ const SkillsManager = {
         
         console.log('🎯 Initializing Skills Manager...');
         
-        this.skillControls = document.querySelectorAll('.skill-control');
-        this.languageControls = document.querySelectorAll('.language-control');
+        this.setupSliders();
         
-        this.setupSkillControls();
-        this.setupLanguageControls();
-        this.setupSkillBarClicks();
-        this.setupLanguageBarClicks();
+        this.listeners.on(document, 'click', this.handleClick.bind(this));
+        this.listeners.on(document, 'keydown', this.handleKeyDown.bind(this));
+        this.listeners.on(document, 'pointerdown', this.handlePointerDown.bind(this));
+        this.listeners.on(document, 'pointermove', this.handlePointerMove.bind(this));
+        this.listeners.on(document, 'pointerup', this.handlePointerUp.bind(this));
+        this.listeners.on(document, 'pointercancel', this.handlePointerUp.bind(this));
         
         this.initialized = true;
     },
     
-    // Setup skill control interactions
-    setupSkillControls() {
-        this.skillControls.forEach(control => {
-            control.addEventListener('click', (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                
-                const value = control.onclick.toString().match(/(\d+)/)?.[1] || '0';
-                this.showSkillValue(control, parseInt(value));
-            });
+    // Give every bar slider semantics (pages not rendered from the data model still
+    // have progressbar markup) and remember the owner's values
+    setupSliders() {
+        document.querySelectorAll(this.barSelector).forEach(bar => {
+            const value = this.getValue(bar);
+            
+            bar.setAttribute('role', 'slider');
+            if (!bar.hasAttribute('tabindex')) bar.setAttribute('tabindex', '0');
+            bar.setAttribute('aria-valuemin', '0');
+            bar.setAttribute('aria-valuemax', '100');
+            bar.setAttribute('aria-valuenow', value);
+            bar.setAttribute('aria-valuetext', `${value}%`);
+            
+            const { kind, name } = this.describe(bar);
+            this.actualValues.set(`${kind}:${name}`, value);
         });
+        
+        this.updateResetButton();
     },
     
-    // Setup language control interactions
-    setupLanguageControls() {
-        this.languageControls.forEach(control => {
-            control.addEventListener('click', (e) => {
-                e.preventDefault();
-                e.stopPropagation();
-                
-                const value = control.onclick.toString().match(/(\d+)/)?.[1] || '0';
-                this.showLanguageValue(control, parseInt(value));
-            });
-        });
+    // Kind, item and name of a bar
+    describe(bar) {
+        const kind = bar.classList.contains('language-bar') ? 'language' : 'skill';
+        const parts = this.kinds[kind];
+        const item = bar.closest(parts.item);
+        const name = item?.dataset.name || item?.querySelector(parts.name)?.textContent.trim() || '';
+        
+        return { kind, item, name };
+    },
+    
+    getValue(bar) {
+        const { kind } = this.describe(bar);
+        return parseInt(bar.querySelector(this.kinds[kind].progress)?.getAttribute('data-value')) || 0;
+    },
+    
+    // Set a bar's value and show it
+    setBarValue(bar, value) {
+        const { kind, name } = this.describe(bar);
+        this.updateSkillValue(name, value, kind);
+        this.showBarValue(bar);
     },
     
-    // Setup skill bar click interactions
-    setupSkillBarClicks() {
-        const skillBars = document.querySelectorAll('.skill-bar');
-        skillBars.forEach(bar => {
-            bar.addEventListener('click', () => {
-                this.showCurrentSkillValue(bar);
-            });
+    // -/+ buttons and the reset button
+    handleClick(event) {
+        if (event.target.closest('[data-skills-reset]')) {
+            event.preventDefault();
+            this.resetSkillValues();
+            return;
+        }
+        
+        const control = event.target.closest(this.controlSelector);
+        if (!control) return;
+        
+        const bar = control.parentElement.querySelector(this.barSelector);
+        if (!bar) return;
+        
+        event.preventDefault();
+        this.setBarValue(bar, this.getValue(bar) + parseInt(control.dataset.step));
+    },
+    
+    // Slider keys (WAI-ARIA slider pattern)
+    handleKeyDown(event) {
+        const bar = event.target.closest && event.target.closest(this.barSelector);
+        if (!bar) return;
+        
+        const value = this.getValue(bar);
+        const values = {
+            ArrowRight: value + this.step,
+            ArrowUp: value + this.step,
+            ArrowLeft: value - this.step,
+            ArrowDown: value - this.step,
+            PageUp: value + this.pageStep,
+            PageDown: value - this.pageStep,
+            Home: 0,
+            End: 100
+        };
+        if (!(event.key in values)) return;
+        
+        event.preventDefault();
+        this.setBarValue(bar, values[event.key]);
+    },
+    
+    // Dragging: the pointer position along the bar sets the value
+    handlePointerDown(event) {
+        if (event.button !== 0) return;
+        
+        const bar = event.target.closest(this.barSelector);
+        if (!bar) return;
+        
+        event.preventDefault();
+        bar.focus({ preventScroll: true });
+        if (bar.setPointerCapture) bar.setPointerCapture(event.pointerId);
+        
+        this.dragging = { bar, pointerId: event.pointerId };
+        bar.classList.add('is-dragging');
+        this.setValueFromPointer(bar, event.clientX);
+    },
+    
+    handlePointerMove(event) {
+        if (!this.dragging || event.pointerId !== this.dragging.pointerId) return;
+        
+        this.setValueFromPointer(this.dragging.bar, event.clientX);
+    },
+    
+    handlePointerUp(event) {
+        if (!this.dragging || event.pointerId !== this.dragging.pointerId) return;
+        
+        const { bar } = this.dragging;
+        if (bar.releasePointerCapture && bar.hasPointerCapture && bar.hasPointerCapture(event.pointerId)) {
+            bar.releasePointerCapture(event.pointerId);
+        }
+        
+        bar.classList.remove('is-dragging');
+        this.dragging = null;
+        this.showBarValue(bar);
+    },
+    
+    setValueFromPointer(bar, clientX) {
+        const rect = bar.getBoundingClientRect();
+        if (!rect.width) return;
+        
+        this.setBarValue(bar, ((clientX - rect.left) / rect.width) * 100);
+    },
+    
+    // Restore the owner's values
+    resetSkillValues() {
+        this.actualValues.forEach((value, key) => {
+            const [kind, ...name] = key.split(':');
+            this.updateSkillValue(name.join(':'), value, kind);
         });
     },
     
-    // Setup language bar click interactions
-    setupLanguageBarClicks() {
-        const languageBars = document.querySelectorAll('.language-bar');
-        languageBars.forEach(bar => {
-            bar.addEventListener('click', () => {
-                this.showCurrentLanguageValue(bar);
-            });
+    // Show the reset button while any value differs from the owner's
+    updateResetButton() {
+        const changed = Array.from(document.querySelectorAll(this.barSelector)).some(bar => {
+            const { kind, name } = this.describe(bar);
+            const actual = this.actualValues.get(`${kind}:${name}`);
+            return actual !== undefined && actual !== this.getValue(bar);
         });
+        
+        document.querySelectorAll('[data-skills-reset]').forEach(button => {
+            button.hidden = !changed;
+        });
+    },
+    
+    // Briefly show the value above a bar
+    showBarValue(bar) {
+        const { kind } = this.describe(bar);
+        const tooltip = bar.querySelector(this.kinds[kind].tooltip);
+        if (!tooltip) return;
+        
+        tooltip.style.opacity = '1';
+        tooltip.style.visibility = 'visible';
+        
+        clearTimeout(this.tooltipTimers.get(bar));
+        this.tooltipTimers.set(bar, setTimeout(() => {
+            if (this.dragging && this.dragging.bar === bar) return;
+            tooltip.style.opacity = '0';
+        }, 800));
     },
     
-    // Show skill value tooltip on control
+    // Show skill value tooltip on control (inline handlers of the legacy pages)
     showSkillValue(element, value) {
         const tooltip = element.querySelector('.control-tooltip');
         if (!tooltip) return;
@@ -96,7 +246,7 @@ const SkillsManager = {
         }, 800);
     },
     
-    // Show language value tooltip on control
+    // Show language value tooltip on control (inline handlers of the legacy pages)
     showLanguageValue(element, value) {
         const tooltip = element.querySelector('.control-tooltip');
         if (!tooltip) return;
@@ -188,20 +338,42 @@ const SkillsManager = {
         });
     },
     
-    // Highlight skills based on search/filter
-    highlightSkills(searchTerm) {
-        const skillItems = document.querySelectorAll('.tool-item, .language-item');
+    // Highlight skills, languages and experience entries based on search/filter.
+    // A search string matches as a substring of skill and language names; a list of
+    // terms (e.g. from JobFit) matches whole words, including experience summaries.
+    // Returns the highlighted items
+    highlightSkills(searchTerms) {
+        const items = document.querySelectorAll('.tool-item, .language-item, .experience-item');
+        const highlighted = [];
         
-        skillItems.forEach(item => {
-            const name = item.querySelector('.tool-name, .language-name')?.textContent.toLowerCase();
-            const matches = name?.includes(searchTerm.toLowerCase());
+        items.forEach(item => {
+            const matches = Array.isArray(searchTerms) ?
+                searchTerms.some(term => Utils.string.containsWord(this.getSearchText(item), term)) :
+                !item.matches('.experience-item') &&
+                    this.getSearchText(item).toLowerCase().includes(String(searchTerms).toLowerCase());
             
-            if (matches) {
-                item.classList.add('highlighted');
-            } else {
-                item.classList.remove('highlighted');
-            }
+            item.classList.toggle('highlighted', matches);
+            if (matches) highlighted.push(item);
         });
+        
+        return highlighted;
+    },
+    
+    // Text a highlight term is matched against: the name of a skill or language,
+    // the shown text and summary of an experience entry
+    getSearchText(item) {
+        if (!item.matches('.experience-item')) {
+            return item.querySelector('.tool-name, .language-name')?.textContent || '';
+        }
+        
+        const title = item.querySelector('.job-title')?.textContent.trim();
+        const company = item.querySelector('.company')?.textContent.trim();
+        const entry = this.hasDataModel() ?
+            PortfolioData.getExperience().find(experience =>
+                experience.title === title && experience.company === company) :
+            null;
+        
+        return [item.textContent, entry?.summary].filter(Boolean).join(' ');
     },
     
     // Clear skill highlights
@@ -212,8 +384,22 @@ const SkillsManager = {
         });
     },
     
+    // Check whether the structured data model is available
+    hasDataModel() {
+        return typeof PortfolioData !== 'undefined' && PortfolioData.loaded;
+    },
+    
     // Get skill data for analytics or export
     getSkillData() {
+        if (this.hasDataModel()) {
+            return PortfolioData.getSkills().map(skill => ({
+                name: skill.name,
+                proficiency: skill.value,
+                category: skill.category || 'technical'
+            }));
+        }
+        
+        // Fallback for pages that are not rendered from the data model
         const skills = [];
         const skillItems = document.querySelectorAll('.tool-item');
         
@@ -236,6 +422,15 @@ const SkillsManager = {
     
     // Get language data for analytics or export
     getLanguageData() {
+        if (this.hasDataModel()) {
+            return PortfolioData.getLanguages().map(language => ({
+                name: language.name,
+                proficiency: language.value,
+                category: 'language'
+            }));
+        }
+        
+        // Fallback for pages that are not rendered from the data model
         const languages = [];
         const languageItems = document.querySelectorAll('.language-item');
         
@@ -256,32 +451,54 @@ const SkillsManager = {
         return languages;
     },
     
-    // Update skill value programmatically
-    updateSkillValue(skillName, newValue) {
-        const skillItems = document.querySelectorAll('.tool-item');
+    // Update a skill or language value (kind: 'skill' or 'language'), clamped to 0-100.
+    // Only the page changes: the data model keeps the owner's values for exports
+    updateSkillValue(skillName, newValue, kind = 'skill') {
+        const parts = this.kinds[kind];
+        if (!parts) return;
         
-        skillItems.forEach(item => {
-            const name = item.querySelector('.tool-name')?.textContent;
-            if (name === skillName) {
-                const progress = item.querySelector('.skill-progress');
-                const tooltip = item.querySelector('.skill-tooltip');
-                
-                if (progress) {
-                    progress.style.width = `${newValue}%`;
-                    progress.setAttribute('data-value', newValue);
-                }
-                
-                if (tooltip) {
-                    tooltip.textContent = `${newValue}%`;
-                }
+        const value = Math.round(Utils.number.clamp(Number(newValue) || 0, 0, 100));
+        let changed = false;
+        
+        document.querySelectorAll(parts.item).forEach(item => {
+            const name = item.dataset.name || item.querySelector(parts.name)?.textContent.trim();
+            if (name !== skillName) return;
+            
+            const progress = item.querySelector(parts.progress);
+            const tooltip = item.querySelector(parts.tooltip);
+            const bar = item.querySelector(this.barSelector);
+            
+            if (progress) {
+                changed = changed || parseInt(progress.getAttribute('data-value')) !== value;
+                progress.style.width = `${value}%`;
+                progress.setAttribute('data-value', value);
+            }
+            
+            if (tooltip) {
+                tooltip.textContent = `${value}%`;
+            }
+            
+            if (bar) {
+                bar.setAttribute('aria-valuenow', value);
+                bar.setAttribute('aria-valuetext', `${value}%`);
             }
         });
+        
+        if (!changed) return;
+        
+        this.updateResetButton();
+        Utils.events.publish('skill:changed', { name: skillName, value, kind });
     },
     
     // Cleanup method
     destroy() {
-        this.skillControls = [];
-        this.languageControls = [];
+        this.listeners.removeAll();
+        
+        if (this.dragging) {
+            this.dragging.bar.classList.remove('is-dragging');
+            this.dragging = null;
+        }
+        this.actualValues.clear();
         this.initialized = false;
     }
 };
@@ -292,6 +509,11 @@ window.showLanguageValue = (element, value) => SkillsManager.showLanguageValue(e
 window.showCurrentSkillValue = (element) => SkillsManager.showCurrentSkillValue(element);
 window.showCurrentLanguageValue = (element) => SkillsManager.showCurrentLanguageValue(element);
 
+(window.PortfolioModules = window.PortfolioModules || []).push({
+    name: 'skills',
+    manager: SkillsManager
+});
+
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = SkillsManager;
@@ -0,0 +1,224 @@
+/**
+ * Store - Observable UI state and user settings
+ * Body classes and ARIA attributes are derived from the state (see applyToDocument)
+ */
+
+const Store = {
+    initialized: false,
+
+    state: {
+        breakpoint: 'desktop',  // 'mobile' | 'tablet' | 'desktop' | 'large' (see Breakpoints)
+        theme: 'light',         // 'light' | 'dark'
+        contrast: 'normal',     // 'normal' | 'high'
+        motion: 'full',         // 'full' | 'reduced'
+        language: 'en',
+        overlay: null,          // id of the open overlay, e.g. 'education'
+        view: 'home',           // active view (see Router.routes)
+        menuOpen: false
+    },
+
+    // Slices saved through Utils.storage: state key -> storage key
+    persisted: {
+        theme: 'portfolio-theme',
+        contrast: 'portfolio-contrast',
+        motion: 'portfolio-motion',
+        language: 'portfolio-language'
+    },
+
+    // Reusable selectors, e.g. Store.select(Store.selectors.isMobile)
+    selectors: {
+        isMobile: state => state.breakpoint === 'mobile',
+        isHighContrast: state => state.contrast === 'high',
+        isReducedMotion: state => state.motion === 'reduced',
+        isOverlayOpen: state => state.overlay !== null,
+        settings: state => ({
+            theme: state.theme,
+            contrast: state.contrast,
+            motion: state.motion,
+            language: state.language
+        })
+    },
+
+    // Overlay elements by overlay id, for aria-hidden
+    overlayElements: {
+        education: 'educationOverlay',
+        documentPreview: 'documentPreviewOverlay',
+        jobFit: 'jobFitOverlay'
+    },
+
+    subscribers: new Set(),
+    listeners: Utils.events.scope('store'),
+
+    // Load persisted settings, follow overlay events and derive the DOM from the state
+    init() {
+        if (this.initialized) return;
+
+        console.log('🗃️ Initializing Store...');
+
+        this.hydrate();
+        this.followOverlays();
+        this.subscribe(state => state, state => this.applyToDocument(state));
+        this.applyToDocument(this.state);
+
+        this.initialized = true;
+    },
+
+    // Read persisted slices, falling back to the system preferences
+    hydrate() {
+        const defaults = {
+            theme: this.matches('(prefers-color-scheme: dark)') ? 'dark' : 'light',
+            contrast: this.matches('(prefers-contrast: more)') || Utils.storage.get('high-contrast') === true ?
+                'high' : 'normal',
+            motion: this.matches('(prefers-reduced-motion: reduce)') || Utils.storage.get('reduced-motion') === true ?
+                'reduced' : 'full'
+        };
+
+        Object.entries(this.persisted).forEach(([key, storageKey]) => {
+            const value = Utils.storage.get(storageKey, defaults[key] ?? this.state[key]);
+            this.state = { ...this.state, [key]: value };
+        });
+    },
+
+    matches(query) {
+        return typeof window.matchMedia === 'function' && window.matchMedia(query).matches;
+    },
+
+    // Track the open overlay from the event bus
+    followOverlays() {
+        Utils.events.subscribe('overlay:open', ({ id }) => {
+            this.set({ overlay: id });
+        }, { scope: this.listeners });
+
+        // The dialog manager reports the overlay left on top after a close
+        Utils.events.subscribe('overlay:close', ({ id, top }) => {
+            if (top !== undefined) {
+                this.set({ overlay: top });
+            } else if (this.state.overlay === id) {
+                this.set({ overlay: null });
+            }
+        }, { scope: this.listeners });
+    },
+
+    // Current state, or a single slice
+    get(key) {
+        return key === undefined ? this.state : this.state[key];
+    },
+
+    // Apply a selector to the current state
+    select(selector) {
+        return selector(this.state);
+    },
+
+    // Merge a partial state; persists changed settings and notifies subscribers.
+    // options.persist = false keeps detected (not chosen) settings out of storage
+    set(patch, options = {}) {
+        const previous = this.state;
+        const changed = Object.keys(patch).filter(key => !Object.is(previous[key], patch[key]));
+        if (!changed.length) return;
+
+        this.state = { ...previous, ...patch };
+
+        changed.forEach(key => {
+            if (!this.persisted[key]) return;
+
+            if (options.persist !== false) {
+                Utils.storage.set(this.persisted[key], this.state[key]);
+            }
+            Utils.events.publish('settings:changed', { key, value: this.state[key] });
+        });
+
+        this.notify(previous);
+    },
+
+    // Call handler(selected, previousSelected) whenever the selected value changes.
+    // options.immediate also calls it straight away; returns an unsubscribe function
+    subscribe(selector, handler, options = {}) {
+        const subscriber = { selector, handler };
+        this.subscribers.add(subscriber);
+
+        if (options.immediate) {
+            handler(selector(this.state), undefined);
+        }
+
+        return () => this.subscribers.delete(subscriber);
+    },
+
+    notify(previous) {
+        this.subscribers.forEach(({ selector, handler }) => {
+            const before = selector(previous);
+            const after = selector(this.state);
+
+            if (!this.isEqual(before, after)) {
+                try {
+                    handler(after, before);
+                } catch (error) {
+                    console.error('❌ Store subscriber failed:', error);
+                }
+            }
+        });
+    },
+
+    // Shallow equality, so selectors may return fresh objects
+    isEqual(a, b) {
+        if (Object.is(a, b)) return true;
+        if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => Object.is(a[key], b[key]));
+    },
+
+    // Derive body classes, document attributes and ARIA state
+    applyToDocument(state) {
+        const root = document.documentElement;
+        const { body } = document;
+        const isMobile = this.selectors.isMobile(state);
+
+        body.classList.toggle('mobile-device', isMobile);
+        body.classList.toggle('desktop-device', !isMobile);
+        body.classList.toggle('reduced-motion', this.selectors.isReducedMotion(state));
+        body.classList.toggle('overlay-open', this.selectors.isOverlayOpen(state));
+        body.classList.toggle('menu-open', state.menuOpen);
+
+        root.setAttribute('data-breakpoint', state.breakpoint);
+        root.setAttribute('data-theme', state.theme);
+        root.setAttribute('data-contrast', state.contrast);
+        root.setAttribute('lang', state.language);
+        root.setAttribute('data-view', state.view);
+
+        const menu = document.getElementById('menuDropdown');
+        const menuButton = document.querySelector('[aria-controls="menuDropdown"]');
+        if (menu) menu.classList.toggle('show', state.menuOpen);
+        if (menuButton) menuButton.setAttribute('aria-expanded', String(state.menuOpen));
+        
+        document.querySelectorAll('[data-language]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.language === state.language));
+        });
+        
+        const themeToggles = { dark: state.theme === 'dark', contrast: this.selectors.isHighContrast(state) };
+        document.querySelectorAll('[data-theme-toggle]').forEach(button => {
+            button.setAttribute('aria-pressed', String(themeToggles[button.dataset.themeToggle]));
+        });
+
+        Object.entries(this.overlayElements).forEach(([id, elementId]) => {
+            const overlay = document.getElementById(elementId);
+            if (overlay) overlay.setAttribute('aria-hidden', String(state.overlay !== id));
+        });
+    },
+
+    // Cleanup method
+    destroy() {
+        this.listeners.removeAll();
+        this.subscribers.clear();
+        this.initialized = false;
+    }
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Store;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.Store = Store;
+}
@@ -0,0 +1,113 @@
+/**
+ * Theme - Light, dark and high-contrast token sets (css/variables.css)
+ * The store derives data-theme and data-contrast on <html>; an inline boot script in
+ * the page head sets them before first paint. Until the visitor picks a theme or
+ * contrast in the menu, both follow prefers-color-scheme and prefers-contrast.
+ */
+
+const Theme = {
+    initialized: false,
+    listeners: Utils.events.scope('theme'),
+
+    // System preference per store slice
+    queries: {
+        theme: { media: '(prefers-color-scheme: dark)', matched: 'dark', unmatched: 'light' },
+        contrast: { media: '(prefers-contrast: more)', matched: 'high', unmatched: 'normal' }
+    },
+
+    // Length of the colour fade between themes (see .theme-transition in css/base.css)
+    transitionDuration: 300,
+    transitionTimer: null,
+
+    // Follow the system preferences and the menu toggles
+    init() {
+        if (this.initialized) return;
+
+        console.log('🎨 Initializing Theme...');
+
+        Object.entries(this.queries).forEach(([key, { media, matched, unmatched }]) => {
+            if (typeof window.matchMedia !== 'function') return;
+
+            this.listeners.on(window.matchMedia(media), 'change', event => {
+                if (this.isChosen(key)) return;
+
+                this.startTransition();
+                Store.set({ [key]: event.matches ? matched : unmatched }, { persist: false });
+            });
+        });
+
+        this.listeners.on(document, 'click', this.handleClick.bind(this));
+
+        this.initialized = true;
+    },
+
+    // Whether the visitor saved a value, so system changes no longer apply
+    isChosen(key) {
+        return Utils.storage.get(Store.persisted[key], null) !== null;
+    },
+
+    // Menu toggles: [data-theme-toggle="dark"] and [data-theme-toggle="contrast"]
+    handleClick(event) {
+        const button = event.target.closest('[data-theme-toggle]');
+        if (!button) return;
+
+        event.preventDefault();
+
+        if (button.dataset.themeToggle === 'dark') {
+            this.toggleDark();
+        } else if (button.dataset.themeToggle === 'contrast') {
+            this.toggleContrast();
+        }
+    },
+
+    toggleDark() {
+        this.set({ theme: Store.get('theme') === 'dark' ? 'light' : 'dark' });
+    },
+
+    toggleContrast() {
+        this.set({ contrast: Store.select(Store.selectors.isHighContrast) ? 'normal' : 'high' });
+    },
+
+    // Save a theme or contrast choice and fade to it
+    set(patch) {
+        this.startTransition();
+        Store.set(patch);
+    },
+
+    // Fade colours for the next change (skipped with reduced motion)
+    startTransition() {
+        if (Store.select(Store.selectors.isReducedMotion)) return;
+
+        const root = document.documentElement;
+        root.classList.add('theme-transition');
+
+        clearTimeout(this.transitionTimer);
+        this.transitionTimer = setTimeout(() => {
+            root.classList.remove('theme-transition');
+        }, this.transitionDuration);
+    },
+
+    // Cleanup method
+    destroy() {
+        this.listeners.removeAll();
+
+        clearTimeout(this.transitionTimer);
+        document.documentElement.classList.remove('theme-transition');
+        this.initialized = false;
+    }
+};
+
+(window.PortfolioModules = window.PortfolioModules || []).push({
+    name: 'theme',
+    manager: Theme
+});
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Theme;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.Theme = Theme;
+}
@@ -4,6 +4,8 @@
 
 const TooltipManager = {
     initialized: false,
+    // Listener scope: destroy() detaches everything added through it
+    listeners: Utils.events.scope('tooltips'),
     tooltips: [],
     
     // Initialize tooltip functionality
@@ -42,11 +44,11 @@ const TooltipManager = {
             const tooltip = bar.querySelector('.skill-tooltip');
             if (!tooltip) return;
             
-            bar.addEventListener('mouseenter', () => {
+            this.listeners.on(bar, 'mouseenter', () => {
                 this.showTooltip(tooltip, bar);
             });
             
-            bar.addEventListener('mouseleave', () => {
+            this.listeners.on(bar, 'mouseleave', () => {
                 this.hideTooltip(tooltip);
             });
         });
@@ -60,11 +62,11 @@ const TooltipManager = {
             const tooltip = bar.querySelector('.language-tooltip');
             if (!tooltip) return;
             
-            bar.addEventListener('mouseenter', () => {
+            this.listeners.on(bar, 'mouseenter', () => {
                 this.showTooltip(tooltip, bar);
             });
             
-            bar.addEventListener('mouseleave', () => {
+            this.listeners.on(bar, 'mouseleave', () => {
                 this.hideTooltip(tooltip);
             });
         });
@@ -149,17 +151,17 @@ const TooltipManager = {
     // Setup global tooltip events
     setupGlobalTooltipEvents() {
         // Hide tooltips on scroll
-        window.addEventListener('scroll', () => {
+        this.listeners.on(window, 'scroll', () => {
             this.hideAllTooltips();
         }, { passive: true });
         
         // Hide tooltips on window resize
-        window.addEventListener('resize', () => {
+        this.listeners.on(window, 'resize', () => {
             this.hideAllTooltips();
         });
         
         // Hide tooltips on escape key
-        document.addEventListener('keydown', (e) => {
+        this.listeners.on(document, 'keydown', (e) => {
             if (e.key === 'Escape') {
                 this.hideAllTooltips();
             }
@@ -240,7 +242,7 @@ const TooltipManager = {
     
     // Check if device supports hover
     supportsHover() {
-        return window.matchMedia('(hover: hover)').matches;
+        return Breakpoints.canHover();
     },
     
     // Mobile-friendly tooltip handling
@@ -250,7 +252,7 @@ const TooltipManager = {
             const hoverElements = document.querySelectorAll('[data-tooltip]');
             
             hoverElements.forEach(element => {
-                element.addEventListener('click', (e) => {
+                this.listeners.on(element, 'click', (e) => {
                     e.preventDefault();
                     const content = element.getAttribute('data-tooltip');
                     const existingTooltip = document.querySelector('.mobile-tooltip');
@@ -273,12 +275,21 @@ const TooltipManager = {
     
     // Cleanup method
     destroy() {
+        this.listeners.removeAll();
+        
         this.hideAllTooltips();
         this.tooltips = [];
         this.initialized = false;
     }
 };
 
+(window.PortfolioModules = window.PortfolioModules || []).push({
+    name: 'tooltips',
+    manager: TooltipManager,
+    // Bar tooltips show the values maintained by the skills module
+    dependencies: ['skills']
+});
+
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = TooltipManager;
@@ -0,0 +1,111 @@
+/**
+ * Updates - Service worker registration and the "new version available" toast
+ * Pages built by build.js name their worker in <html data-service-worker="sw.js">.
+ * A new worker waits after installing; Reload in the #updateToast sends it a
+ * SKIP_WAITING message and the page reloads once it has taken control.
+ */
+
+const Updates = {
+    initialized: false,
+    listeners: Utils.events.scope('updates'),
+
+    registration: null,
+
+    // True after Reload was chosen, so the controller change reloads the page
+    reloading: false,
+
+    elements: {},
+
+    // Only built pages ship a worker
+    isSupported() {
+        return 'serviceWorker' in navigator && Boolean(document.documentElement.dataset.serviceWorker);
+    },
+
+    // Register the worker and watch it for updates
+    init() {
+        if (this.initialized || !this.isSupported()) return;
+
+        console.log('🔄 Initializing Updates...');
+
+        this.elements = {
+            toast: document.getElementById('updateToast'),
+            reload: document.getElementById('updateReload'),
+            dismiss: document.getElementById('updateDismiss')
+        };
+
+        this.listeners.on(this.elements.reload, 'click', () => this.reload());
+        this.listeners.on(this.elements.dismiss, 'click', () => this.hide());
+        this.listeners.on(navigator.serviceWorker, 'controllerchange', () => {
+            if (this.reloading) window.location.reload();
+        });
+
+        navigator.serviceWorker.register(document.documentElement.dataset.serviceWorker)
+            .then(registration => this.watch(registration))
+            .catch(error => {
+                console.warn('⚠️ Service worker registration failed:', error);
+            });
+
+        this.initialized = true;
+    },
+
+    // A worker that finishes installing while another controls the page is a new version
+    watch(registration) {
+        this.registration = registration;
+
+        if (registration.waiting && navigator.serviceWorker.controller) this.show();
+
+        this.listeners.on(registration, 'updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+
+            this.listeners.on(worker, 'statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) this.show();
+            });
+        });
+    },
+
+    show() {
+        if (this.elements.toast) this.elements.toast.hidden = false;
+    },
+
+    hide() {
+        if (this.elements.toast) this.elements.toast.hidden = true;
+    },
+
+    // Activate the waiting worker; the page reloads on controllerchange
+    reload() {
+        const waiting = this.registration?.waiting;
+        this.hide();
+
+        if (!waiting) {
+            window.location.reload();
+            return;
+        }
+
+        this.reloading = true;
+        waiting.postMessage({ type: 'SKIP_WAITING' });
+    },
+
+    // Cleanup method (the worker stays registered)
+    destroy() {
+        this.listeners.removeAll();
+        this.hide();
+        this.initialized = false;
+    }
+};
+
+(window.PortfolioModules = window.PortfolioModules || []).push({
+    name: 'updates',
+    manager: Updates,
+    condition: () => Updates.isSupported()
+});
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Updates;
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.Updates = Updates;
+}
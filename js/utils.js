@@ -157,8 +157,15 @@ const Utils = {
             return c / 2 * (t * t * t + 2) + b;
         },
         
-        // Animate element with promise
+        // Animate element with promise; easing is 'linear', 'ease-out' or 'ease-in-out'
         animate(element, properties, duration = 300, easing = 'ease-out') {
+            const curves = {
+                linear: progress => progress,
+                'ease-out': progress => Utils.animation.easeOutCubic(progress, 0, 1, 1),
+                'ease-in-out': progress => Utils.animation.easeInOutCubic(progress, 0, 1, 1)
+            };
+            const curve = curves[easing] || curves.linear;
+            
             return new Promise((resolve) => {
                 const startValues = {};
                 const endValues = {};
@@ -178,7 +185,7 @@ const Utils = {
                     Object.keys(properties).forEach(prop => {
                         const start = startValues[prop];
                         const end = endValues[prop];
-                        const current = start + (end - start) * progress;
+                        const current = start + (end - start) * curve(progress);
                         
                         if (prop === 'opacity') {
                             element.style[prop] = current;
@@ -229,6 +236,26 @@ const Utils = {
                 result += chars.charAt(Math.floor(Math.random() * chars.length));
             }
             return result;
+        },
+        
+        // Escape text for use in HTML markup
+        escapeHTML(str) {
+            return String(str).replace(/[&<>"']/g, char => ({
+                '&': '&amp;',
+                '<': '&lt;',
+                '>': '&gt;',
+                '"': '&quot;',
+                "'": '&#39;'
+            })[char]);
+        },
+        
+        // Whether str contains word as a whole word or phrase, ignoring case
+        // (works for terms like "C++" or "Node.js" that \b does not delimit)
+        containsWord(str, word) {
+            const pattern = String(word).trim()
+                .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+                .replace(/\s+/g, '\\s+');
+            return new RegExp(`(?<![\\p{L}\\p{N}])${pattern}(?![\\p{L}\\p{N}])`, 'iu').test(String(str));
         }
     },
     
@@ -254,9 +281,80 @@ const Utils = {
             return Number(Math.round(num + 'e' + decimals) + 'e-' + decimals);
         },
         
-        // Format number with commas
-        format(num) {
-            return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+        // Format a number for the active locale, e.g. 1234.5 -> "1,234.5" (en) or "1.234,5" (nl)
+        format(num, locale = Utils.locale.current(), options = {}) {
+            return new Intl.NumberFormat(locale, options).format(num);
+        }
+    },
+    
+    // Locale utilities
+    locale: {
+        // Active page language: the <html lang> attribute, kept in sync by the store
+        current() {
+            return (typeof document !== 'undefined' && document.documentElement.lang) || 'en';
+        }
+    },
+    
+    // Colour utilities (sRGB channels 0-255, alpha 0-1)
+    color: {
+        // Parse a computed CSS colour, e.g. "rgb(51, 51, 51)" or "rgba(0, 0, 0, 0.5)" -> { r, g, b, a }
+        parse(value) {
+            if (!value) return null;
+            if (value === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+            
+            const hex = value.match(/^#([\da-f]{3}|[\da-f]{6})$/i);
+            if (hex) {
+                const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+                const [r, g, b] = digits.match(/../g).map(pair => parseInt(pair, 16));
+                return { r, g, b, a: 1 };
+            }
+            
+            const rgb = value.match(/^rgba?\(([^)]+)\)$/i);
+            if (!rgb) return null;
+            
+            const parts = rgb[1].split(/[\s,/]+/).filter(Boolean);
+            if (parts.length < 3) return null;
+            
+            const [r, g, b] = parts.slice(0, 3).map(part => parseFloat(part));
+            const alpha = parts[3] === undefined ? 1 :
+                (parts[3].endsWith('%') ? parseFloat(parts[3]) / 100 : parseFloat(parts[3]));
+            
+            return { r, g, b, a: alpha };
+        },
+        
+        // Paint a (possibly translucent) colour over an opaque backdrop
+        composite(top, backdrop) {
+            const mix = channel => top[channel] * top.a + backdrop[channel] * (1 - top.a);
+            return { r: mix('r'), g: mix('g'), b: mix('b'), a: 1 };
+        },
+        
+        // Blend two colours, t = 0 keeps from and t = 1 gives to
+        mix(from, to, t) {
+            const lerp = channel => Utils.number.lerp(from[channel], to[channel], t);
+            return { r: lerp('r'), g: lerp('g'), b: lerp('b'), a: 1 };
+        },
+        
+        // WCAG 2.x relative luminance of an opaque colour
+        luminance({ r, g, b }) {
+            const linear = channel => {
+                const value = channel / 255;
+                return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+            };
+            
+            return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+        },
+        
+        // WCAG 2.x contrast ratio between two opaque colours, from 1 to 21
+        contrast(first, second) {
+            const [lighter, darker] = [this.luminance(first), this.luminance(second)].sort((a, b) => b - a);
+            return (lighter + 0.05) / (darker + 0.05);
+        },
+        
+        // Hex notation of an opaque colour, e.g. { r: 255, g: 214, b: 0 } -> "#ffd600"
+        toHex({ r, g, b }) {
+            return '#' + [r, g, b]
+                .map(channel => Math.round(Utils.number.clamp(channel, 0, 255)).toString(16).padStart(2, '0'))
+                .join('');
         }
     },
     
@@ -314,19 +412,24 @@ const Utils = {
                 .replace('DD', day);
         },
         
-        // Get relative time
-        relative(date) {
-            const now = new Date();
-            const diff = now - new Date(date);
+        // Format a date for the active locale (Intl.DateTimeFormat options)
+        localized(date, options = { dateStyle: 'medium' }, locale = Utils.locale.current()) {
+            return new Intl.DateTimeFormat(locale, options).format(new Date(date));
+        },
+        
+        // Get relative time for the active locale, e.g. "3 days ago" or "3 dagen geleden"
+        relative(date, locale = Utils.locale.current()) {
+            const formatter = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+            const diff = new Date() - new Date(date);
             const seconds = Math.floor(diff / 1000);
             const minutes = Math.floor(seconds / 60);
             const hours = Math.floor(minutes / 60);
             const days = Math.floor(hours / 24);
             
-            if (days > 0) return `${days} day${days > 1 ? 's' : ''} ago`;
-            if (hours > 0) return `${hours} hour${hours > 1 ? 's' : ''} ago`;
-            if (minutes > 0) return `${minutes} minute${minutes > 1 ? 's' : ''} ago`;
-            return 'Just now';
+            if (days > 0) return formatter.format(-days, 'day');
+            if (hours > 0) return formatter.format(-hours, 'hour');
+            if (minutes > 0) return formatter.format(-minutes, 'minute');
+            return formatter.format(0, 'second');
         }
     },
     
@@ -376,6 +479,9 @@ const Utils = {
     
     // Event utilities
     events: {
+        // Listener scopes by name (see scope())
+        scopes: new Map(),
+
         // Create custom event
         create(name, detail = null) {
             return new CustomEvent(name, { detail });
@@ -395,21 +501,212 @@ const Utils = {
             return () => {
                 element.removeEventListener(event, handler, options);
             };
+        },
+
+        // Get the listener scope of a module. Every listener added with
+        // scope.on() is detached at once by scope.removeAll()
+        scope(name) {
+            if (!this.scopes.has(name)) {
+                this.scopes.set(name, this.createScope(name));
+            }
+            return this.scopes.get(name);
+        },
+
+        // Listener scope backed by an AbortController
+        createScope(name) {
+            let controller = new AbortController();
+            const listeners = new Set();
+
+            return {
+                name,
+
+                // Add a listener; returns a function that removes just this one
+                on(target, type, handler, options = {}) {
+                    if (!target) return () => {};
+
+                    const listenerOptions = typeof options === 'boolean' ? { capture: options } : options;
+                    const record = { target, type };
+                    const listener = listenerOptions.once ?
+                        function(event) {
+                            listeners.delete(record);
+                            return handler.call(this, event);
+                        } :
+                        handler;
+
+                    target.addEventListener(type, listener, { ...listenerOptions, signal: controller.signal });
+                    listeners.add(record);
+
+                    return () => {
+                        target.removeEventListener(type, listener, listenerOptions);
+                        listeners.delete(record);
+                    };
+                },
+
+                // Detach every listener of the scope
+                removeAll() {
+                    controller.abort();
+                    controller = new AbortController();
+                    listeners.clear();
+                },
+
+                // Number of live listeners
+                get count() {
+                    return listeners.size;
+                },
+
+                // Live listener counts by event type
+                countByType() {
+                    const counts = {};
+                    listeners.forEach(({ type }) => {
+                        counts[type] = (counts[type] || 0) + 1;
+                    });
+                    return counts;
+                }
+            };
+        },
+
+        // Live listener counts per scope, e.g. { skills: 24, education: 9 }
+        listenerCounts() {
+            const counts = {};
+            this.scopes.forEach((scope, name) => {
+                counts[name] = scope.count;
+            });
+            return counts;
+        },
+
+        // Application event bus. Events are namespaced ('overlay:open') and typed:
+        // each known event lists the fields its detail must carry
+        types: {
+            'overlay:open': ['id', 'title'],
+            'overlay:close': ['id'],
+            'skill:changed': ['name', 'value', 'kind'],
+            'breakpoint:change': ['name', 'previous', 'isMobile', 'width'],
+            'input:change': ['hover', 'coarsePointer', 'finePointer'],
+            'settings:changed': ['key', 'value'],
+            'route:change': ['name', 'previous', 'path'],
+            'language:change': ['language', 'previous']
+        },
+
+        // Last detail published per event, for replay
+        lastValues: new Map(),
+
+        // EventTarget carrying bus events, created on first use
+        busTarget: null,
+
+        getBus() {
+            if (!this.busTarget) {
+                this.busTarget = new EventTarget();
+            }
+            return this.busTarget;
+        },
+
+        // Declare a bus event and the fields of its detail
+        defineType(name, fields = []) {
+            this.types[name] = fields;
+        },
+
+        // Publish an event on the bus
+        publish(name, detail = {}) {
+            const fields = this.types[name];
+            if (!fields) {
+                console.warn(`Unknown bus event "${name}"`);
+            } else {
+                const missing = fields.filter(field => !detail || !(field in detail));
+                if (missing.length) {
+                    console.warn(`Bus event "${name}" is missing: ${missing.join(', ')}`);
+                }
+            }
+
+            this.lastValues.set(name, detail);
+            this.dispatch(this.getBus(), name, detail);
+            this.dispatch(this.getBus(), '*', { name, detail });
+        },
+
+        // Subscribe to a bus event; the handler receives (detail, name).
+        // Patterns ending in '*' match a namespace ('overlay:*') or every event ('*').
+        // options.replay calls the handler straight away with the last published values,
+        // options.scope registers through a listener scope so its removeAll() unsubscribes
+        subscribe(pattern, handler, options = {}) {
+            const { replay = false, scope = null } = options;
+            const wildcard = pattern.endsWith('*');
+            const prefix = pattern.slice(0, -1);
+            const matches = name => (wildcard ? name.startsWith(prefix) : name === pattern);
+
+            const type = wildcard ? '*' : pattern;
+            const listener = wildcard ?
+                event => {
+                    if (matches(event.detail.name)) handler(event.detail.detail, event.detail.name);
+                } :
+                event => handler(event.detail, pattern);
+
+            const unsubscribe = scope ?
+                scope.on(this.getBus(), type, listener) :
+                this.on(this.getBus(), type, listener);
+
+            if (replay) {
+                this.lastValues.forEach((detail, name) => {
+                    if (matches(name)) handler(detail, name);
+                });
+            }
+
+            return unsubscribe;
+        },
+
+        // Last detail published for an event (undefined if it never fired)
+        last(name) {
+            return this.lastValues.get(name);
         }
     },
     
     // Device detection utilities
     device: {
+        // Named breakpoints in ascending order; each value is the widest viewport of its
+        // range. Widths are read from --breakpoint-<name> in css/variables.css
+        breakpoints: {
+            mobile: 768,
+            tablet: 900,
+            desktop: 1200,
+            large: 1400
+        },
+        
+        // Width (px) of a named breakpoint, preferring the CSS custom property
+        breakpointWidth(name) {
+            const value = typeof getComputedStyle === 'function' && typeof document !== 'undefined' ?
+                getComputedStyle(document.documentElement).getPropertyValue(`--breakpoint-${name}`) :
+                '';
+            return parseInt(value, 10) || this.breakpoints[name];
+        },
+        
+        // Media query matching a named breakpoint range. The last range is open-ended
+        breakpointQuery(name) {
+            const names = Object.keys(this.breakpoints);
+            const index = names.indexOf(name);
+            const conditions = [];
+            
+            if (index > 0) {
+                conditions.push(`(min-width: ${this.breakpointWidth(names[index - 1]) + 1}px)`);
+            }
+            if (index < names.length - 1) {
+                conditions.push(`(max-width: ${this.breakpointWidth(name)}px)`);
+            }
+            
+            return conditions.join(' and ') || 'all';
+        },
+        
+        matches(query) {
+            return typeof window.matchMedia === 'function' && window.matchMedia(query).matches;
+        },
+        
         isMobile() {
-            return window.innerWidth <= 768;
+            return this.matches(this.breakpointQuery('mobile'));
         },
         
         isTablet() {
-            return window.innerWidth > 768 && window.innerWidth <= 1024;
+            return this.matches(this.breakpointQuery('tablet'));
         },
         
         isDesktop() {
-            return window.innerWidth > 1024;
+            return !this.isMobile() && !this.isTablet();
         },
         
         supportsTouch() {
@@ -448,6 +745,29 @@ const Utils = {
             const url = new URL(window.location);
             url.searchParams.delete(key);
             window.history.replaceState({}, '', url);
+        },
+        
+        // Current URL with query parameters set, or removed when the value is null
+        withParams(params) {
+            const url = new URL(window.location);
+            Object.entries(params).forEach(([key, value]) => {
+                if (value === null || value === undefined) {
+                    url.searchParams.delete(key);
+                } else {
+                    url.searchParams.set(key, value);
+                }
+            });
+            return url;
+        },
+        
+        // Add a history entry with query parameters set or removed (see withParams)
+        pushParams(params, state = null) {
+            window.history.pushState(state, '', this.withParams(params));
+        },
+        
+        // Replace the current history entry with query parameters set or removed
+        replaceParams(params, state = null) {
+            window.history.replaceState(state, '', this.withParams(params));
         }
     }
 };
@@ -0,0 +1,62 @@
+/** @jest-environment node */
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const PortfolioBuildTool = require('../build.js');
+
+describe('Content-hashed build output', () => {
+    let builder;
+
+    beforeEach(async () => {
+        builder = new PortfolioBuildTool();
+        builder.buildDir = await fs.mkdtemp(path.join(os.tmpdir(), 'portfolio-build-'));
+        await fs.mkdir(path.join(builder.buildDir, 'css'));
+        await fs.mkdir(path.join(builder.buildDir, 'assets'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        console.log.mockRestore();
+        await fs.rm(builder.buildDir, { recursive: true });
+    });
+
+    const readManifest = async () =>
+        JSON.parse(await fs.readFile(path.join(builder.buildDir, builder.assetManifestFile), 'utf8'));
+
+    test('names files after their content and records them in the manifest', async () => {
+        const file = await builder.writeHashed('css/main.min.css', 'body{color:red}');
+
+        expect(file).toBe(`css/main.min.${builder.hash('body{color:red}')}.css`);
+        expect(file).toMatch(/^css\/main\.min\.[0-9a-f]{8}\.css$/);
+        expect(await fs.readFile(path.join(builder.buildDir, file), 'utf8')).toBe('body{color:red}');
+        expect(builder.assetManifest).toEqual({ 'css/main.min.css': file });
+
+        expect(await builder.writeHashed('css/main.min.css', 'body{color:blue}')).not.toBe(file);
+    });
+
+    test('rewrites plain and URL-encoded asset paths, longest first', async () => {
+        const pdf = await builder.writeHashed('assets/HBO Master.pdf', 'pdf');
+        const image = await builder.writeHashed('assets/photo.jpeg', 'jpeg');
+        const scaled = await builder.writeHashed('assets/photo.jpeg.webp', 'webp');
+
+        const html = '<a href="assets/HBO%20Master.pdf">CV</a> <img src="assets/photo.jpeg"> <source srcset="assets/photo.jpeg.webp">';
+        expect(builder.rewriteAssetPaths(html)).toBe(
+            `<a href="${encodeURI(pdf)}">CV</a> <img src="${image}"> <source srcset="${scaled}">`
+        );
+    });
+
+    test('versions the manifest by its file map', async () => {
+        await builder.writeHashed('css/main.min.css', 'a');
+        await builder.writeAssetManifest();
+        const first = await readManifest();
+
+        expect(first).toEqual({ version: builder.assetVersion, files: builder.assetManifest });
+
+        await builder.writeAssetManifest();
+        expect((await readManifest()).version).toBe(first.version);
+
+        await builder.writeHashed('css/main.min.css', 'b');
+        await builder.writeAssetManifest();
+        expect((await readManifest()).version).not.toBe(first.version);
+    });
+});
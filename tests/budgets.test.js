@@ -0,0 +1,52 @@
+/** @jest-environment node */
+const { checkBudgets, formatTable } = require('../budgets.js');
+
+describe('checkBudgets', () => {
+    const config = {
+        types: {
+            image: { test: /\.jpe?g$/, maxSize: 100 },
+            js: { test: /\.js$/, maxSize: 1000, maxGzip: 1000 }
+        },
+        page: { files: ['index.html'], maxSize: 300, maxRequests: 3 }
+    };
+
+    const build = (entries) => new Map(Object.entries(entries).map(([file, content]) => [file, Buffer.from(content)]));
+
+    test('passes a build within budget', () => {
+        const files = build({ 'index.html': '<img src="a.jpg">', 'a.jpg': 'x'.repeat(50) });
+        expect(checkBudgets(files, config)).toEqual([]);
+    });
+
+    test('reports a file over its type budget', () => {
+        const files = build({ 'assets/photo.jpeg': 'x'.repeat(150) });
+        expect(checkBudgets(files, config)).toEqual([
+            { budget: 'image', file: 'assets/photo.jpeg', metric: 'size', actual: 150, limit: 100 }
+        ]);
+    });
+
+    test('adds up what a page loads, including url()s of its stylesheets', () => {
+        const files = build({
+            'index.html': '<link rel="stylesheet" href="css/main.css"><script src="/js/main.js"></script>' +
+                '<a href="bio.html">Bio</a><img src="https://example.com/remote.jpg">',
+            'css/main.css': `.photo { background: url('../assets/photo.jpg'); }`,
+            'assets/photo.jpg': 'x'.repeat(90),
+            'js/main.js': 'y'.repeat(100),
+            'bio.html': 'z'.repeat(500)
+        });
+
+        const violations = checkBudgets(files, config).filter(violation => violation.budget === 'page');
+        expect(violations.map(({ metric, actual, limit }) => [metric, actual, limit])).toEqual([
+            ['size', files.get('index.html').length + files.get('css/main.css').length + 90 + 100, 300],
+            ['requests', 4, 3]
+        ]);
+    });
+
+    test('formats violations as a table', () => {
+        const table = formatTable([{ budget: 'page', file: 'index.html', metric: 'size', actual: 2048, limit: 1024 }]);
+        expect(table.split('\n')).toEqual([
+            'Budget  File        Metric  Actual  Limit',
+            '------  ----------  ------  ------  ------',
+            'page    index.html  size    2.0 KB  1.0 KB'
+        ]);
+    });
+});
@@ -0,0 +1,113 @@
+const Overlays = require('../js/overlays.js');
+const DeepLinks = require('../js/deep-links.js');
+
+describe('DeepLinks history entries', () => {
+    let pushState;
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="educationOverlay"><button type="button">Close</button></div>';
+        window.history.replaceState(null, '', '/');
+
+        Overlays.init();
+        Overlays.register('education', document.getElementById('educationOverlay'));
+        DeepLinks.init();
+
+        pushState = jest.spyOn(window.history, 'pushState');
+    });
+
+    afterEach(() => {
+        pushState.mockRestore();
+        DeepLinks.destroy();
+        Overlays.destroy();
+    });
+
+    test('an overlay opened by click or keyboard gets a history entry', () => {
+        Overlays.open('education', { title: 'MSc', link: 'master-degree' });
+
+        expect(pushState).toHaveBeenCalledTimes(1);
+        expect(window.location.search).toBe('?info=master-degree');
+    });
+
+    test('an overlay shown on hover stays out of the URL and the history', () => {
+        const back = jest.spyOn(window.history, 'back');
+
+        Overlays.open('education', { title: 'MSc', link: 'master-degree', transient: true });
+        expect(window.location.search).toBe('');
+
+        Overlays.close('education');
+        expect(pushState).not.toHaveBeenCalled();
+        expect(back).not.toHaveBeenCalled();
+        back.mockRestore();
+    });
+
+    test('a click on a hover preview gives it its history entry', () => {
+        Overlays.open('education', { title: 'MSc', link: 'master-degree', transient: true });
+        Overlays.open('education', { title: 'MSc', link: 'master-degree' });
+
+        expect(pushState).toHaveBeenCalledTimes(1);
+        expect(window.location.search).toBe('?info=master-degree');
+    });
+});
+
+describe('DeepLinks URLs', () => {
+    beforeAll(() => {
+        require('../js/breakpoints.js');
+        require('../js/education.js');
+        // Desktop rows; jsdom has no matchMedia
+        jest.spyOn(Breakpoints, 'isMobile').mockReturnValue(false);
+    });
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div class="education-row" data-link="master-degree" data-file="assets/master.pdf">
+                <span class="row-label">MSc</span>
+            </div>
+            <div class="education-row" data-link="master-thesis" data-info="Thesis on smart systems">
+                <span class="row-label">Thesis</span>
+            </div>
+            <div id="educationOverlay"><h3 id="educationTitle"></h3><p id="educationContent"></p></div>
+            <div id="documentPreviewOverlay"><h3 id="documentPreviewTitle"></h3><iframe id="documentPreviewFrame"></iframe></div>
+        `;
+
+        Overlays.init();
+        EducationManager.init();
+    });
+
+    afterEach(() => {
+        DeepLinks.destroy();
+        EducationManager.destroy();
+        Overlays.destroy();
+        window.history.replaceState(null, '', '/');
+    });
+
+    test.each([
+        ['?doc=master-degree', 'documentPreview'],
+        ['?info=master-thesis', 'education']
+    ])('%s opens the matching overlay', (search, overlay) => {
+        window.history.replaceState(null, '', `/${search}`);
+        DeepLinks.init();
+
+        expect(Overlays.top()).toBe(overlay);
+        expect(window.location.search).toBe(search);
+    });
+
+    test.each([
+        ['?info=master-degree'],
+        ['?doc=master-thesis']
+    ])('%s names a row of the other type: nothing opens and the parameter is dropped', search => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        window.history.replaceState(null, '', `/${search}`);
+        DeepLinks.init();
+
+        expect(Overlays.top()).toBeNull();
+        expect(window.location.search).toBe('');
+        warn.mockRestore();
+    });
+
+    test('getURL keeps the other query parameters', () => {
+        window.history.replaceState(null, '', '/?lang=nl&info=master-thesis#education');
+
+        expect(DeepLinks.getURL('master-degree')).toBe('http://localhost/?lang=nl&doc=master-degree');
+        expect(DeepLinks.getURL('master-thesis')).toBe('http://localhost/?lang=nl&info=master-thesis');
+    });
+});
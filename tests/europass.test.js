@@ -0,0 +1,45 @@
+const Europass = require('../js/europass.js');
+
+describe('Europass language levels', () => {
+    const data = {
+        profile: {},
+        languages: [
+            { name: 'English', value: 100 },
+            { name: 'Dutch', value: 75 }
+        ]
+    };
+
+    const linguistic = () => Europass.fromPortfolio(data).SkillsPassport.LearnerInfo.Skills.Linguistic;
+
+    test('come from the data model, not the sliders on the page', () => {
+        document.body.innerHTML = `
+            <div class="language-item">
+                <span class="language-name">English</span>
+                <div class="language-progress" data-value="10"></div>
+            </div>
+        `;
+
+        const { MotherTongue, ForeignLanguage } = linguistic();
+        expect(MotherTongue.map(language => language.Description.Code)).toEqual(['en']);
+        expect(ForeignLanguage[0].ProficiencyLevel.Reading).toBe('B2');
+    });
+
+    test('use the ISO codes of the canonical names on a translated page', () => {
+        document.body.innerHTML = `
+            <div class="language-item">
+                <span class="language-name">Engels</span>
+                <div class="language-progress" data-value="100"></div>
+            </div>
+            <div class="language-item">
+                <span class="language-name">Nederlands</span>
+                <div class="language-progress" data-value="75"></div>
+            </div>
+        `;
+
+        const { MotherTongue, ForeignLanguage } = linguistic();
+        expect([...MotherTongue, ...ForeignLanguage].map(language => language.Description)).toEqual([
+            { Code: 'en', Label: 'English' },
+            { Code: 'nl', Label: 'Dutch' }
+        ]);
+    });
+});
@@ -0,0 +1,120 @@
+const Store = require('../js/store.js');
+const I18n = require('../js/i18n.js');
+
+describe('I18n', () => {
+    const catalogs = {
+        en: { 'nav.about': 'About', 'greeting': 'Hello {name}', 'menu.label': 'Open the menu' },
+        nl: { 'nav.about': 'Over mij', 'greeting': 'Hallo {name}' }
+    };
+    const initialState = { ...Store.state };
+
+    // Resolves once the catalogs are applied for the language
+    const switched = (language) => new Promise(resolve => {
+        const unsubscribe = Utils.events.subscribe('language:change', detail => {
+            if (detail.language !== language) return;
+            unsubscribe();
+            resolve(detail);
+        });
+    });
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <script type="application/json" id="i18n-catalogs">${JSON.stringify(catalogs)}</script>
+            <a href="#about" data-i18n="nav.about">About</a>
+            <p data-i18n="greeting" data-i18n-params='{"name": "Ada"}'>Hello Ada</p>
+            <p data-i18n="missing.key">Kept from the markup</p>
+            <button type="button" data-language="nl" data-i18n-attr="aria-label:menu.label; title:missing.title"
+                    aria-label="Open the menu" title="Menu">NL</button>
+        `;
+        Store.init();
+    });
+
+    afterEach(() => {
+        I18n.destroy();
+        Store.destroy();
+        Store.state = { ...initialState };
+        I18n.catalogs = {};
+        I18n.language = I18n.defaultLanguage;
+        I18n.requested = null;
+        localStorage.clear();
+        delete global.fetch;
+        window.history.replaceState(null, '', '/');
+    });
+
+    test('translates with placeholders, English and the fallback', () => {
+        I18n.catalogs = catalogs;
+        I18n.language = 'nl';
+
+        expect(I18n.t('greeting', { name: 'Ada' })).toBe('Hallo Ada');
+        expect(I18n.t('greeting')).toBe('Hallo {name}');
+        expect(I18n.t('menu.label')).toBe('Open the menu');
+        expect(I18n.t('missing.key', {}, 'Fallback')).toBe('Fallback');
+        expect(I18n.t('missing.key')).toBe('missing.key');
+    });
+
+    test('resolves supported languages from tags', () => {
+        expect(I18n.resolve('nl-BE')).toBe('nl');
+        expect(I18n.resolve('FR')).toBe('fr');
+        expect(I18n.resolve('de')).toBeNull();
+        expect(I18n.resolve('')).toBeNull();
+    });
+
+    test('detects the language from the URL before the saved choice', () => {
+        Utils.storage.set('portfolio-language', 'fr');
+        expect(I18n.detect()).toBe('fr');
+
+        window.history.replaceState(null, '', '/?lang=nl');
+        expect(I18n.detect()).toBe('nl');
+    });
+
+    test('choosing a language translates the page and announces the switch', async () => {
+        I18n.init();
+
+        const change = switched('nl');
+        document.querySelector('[data-language="nl"]').click();
+        expect(await change).toEqual({ language: 'nl', previous: 'en' });
+
+        const button = document.querySelector('[data-language="nl"]');
+        expect(document.querySelector('[data-i18n="nav.about"]').textContent).toBe('Over mij');
+        expect(document.querySelector('[data-i18n="greeting"]').textContent).toBe('Hallo Ada');
+        expect(document.querySelector('[data-i18n="missing.key"]').textContent).toBe('Kept from the markup');
+        expect(button.getAttribute('aria-label')).toBe('Open the menu');
+        expect(button.getAttribute('title')).toBe('Menu');
+        expect(button.getAttribute('aria-pressed')).toBe('true');
+        expect(document.documentElement.getAttribute('lang')).toBe('nl');
+        expect(Utils.storage.get('portfolio-language')).toBe('nl');
+        expect(new URLSearchParams(window.location.search).get('lang')).toBe('nl');
+    });
+
+    test('switching back restores the markup text', async () => {
+        I18n.init();
+
+        const toDutch = switched('nl');
+        Store.set({ language: 'nl' });
+        await toDutch;
+        expect(document.querySelector('[data-i18n="nav.about"]').textContent).toBe('Over mij');
+
+        const change = switched('en');
+        Store.set({ language: 'en' });
+        await change;
+
+        expect(I18n.language).toBe('en');
+        expect(document.querySelector('[data-i18n="nav.about"]').textContent).toBe('About');
+        expect(document.querySelector('[data-i18n="greeting"]').textContent).toBe('Hello Ada');
+    });
+
+    test('ignores a catalog that arrives after a newer switch', async () => {
+        I18n.catalogs = { en: catalogs.en };
+        document.getElementById('i18n-catalogs').remove();
+
+        let respond;
+        global.fetch = jest.fn(() => new Promise(resolve => { respond = resolve; }));
+
+        const late = I18n.setLanguage('nl');
+        await I18n.setLanguage('en');
+        respond({ ok: true, json: () => catalogs.nl });
+        await late;
+
+        expect(I18n.language).toBe('en');
+    });
+});
@@ -0,0 +1,59 @@
+const JobFit = require('../js/job-fit.js');
+
+describe('Utils.string.containsWord', () => {
+    const { containsWord } = Utils.string;
+
+    test.each([
+        ['Experience with Python and SQL', 'python', true],
+        ['Experience with Pythonic code', 'python', false],
+        ['We use C++ and Node.js', 'c++', true],
+        ['We use C++ and Node.js', 'node.js', true],
+        ['Cloud (AWS, GCP)', 'aws', true],
+        ['Strong   machine\nlearning skills', 'machine learning', true],
+        ['Kenntnisse in Französisch', 'französisch', true],
+        ['Maintain the email service', 'ai', false]
+    ])('%j contains %j: %s', (text, word, expected) => {
+        expect(containsWord(text, word)).toBe(expected);
+    });
+});
+
+describe('JobFit.analyze', () => {
+    beforeAll(() => {
+        window.SkillsManager = {
+            getSkillData: () => [
+                { name: 'Python', proficiency: 95 },
+                { name: 'Docker', proficiency: 80 }
+            ],
+            getLanguageData: () => [{ name: 'Dutch', proficiency: 75 }]
+        };
+        window.PortfolioData = {
+            loaded: true,
+            getProfile: () => ({ headline: 'Specialized in AI/ML and Computer Vision.' }),
+            getExperience: () => [{ title: 'Research engineer', summary: 'Object detection on the edge' }]
+        };
+    });
+
+    afterAll(() => {
+        delete window.SkillsManager;
+        delete window.PortfolioData;
+    });
+
+    test('scores requirements by proficiency, topics in the experience fully', () => {
+        const result = JobFit.analyze('Python, containerization and Kubernetes; Nederlands; computer vision');
+        const names = requirements => requirements.map(requirement => requirement.name);
+
+        expect(names(result.matched)).toEqual(['Python', 'Docker', 'Dutch', 'Computer Vision']);
+        expect(names(result.missing)).toEqual(['Kubernetes']);
+        expect(result.matched.find(requirement => requirement.name === 'Docker').terms).toEqual(['Docker']);
+        expect(result.score).toBe(Math.round((95 + 80 + 75 + 100) / 5));
+    });
+
+    test('has no score without known requirements', () => {
+        expect(JobFit.analyze('Friendly team, free coffee')).toEqual({
+            requirements: [],
+            matched: [],
+            missing: [],
+            score: null
+        });
+    });
+});
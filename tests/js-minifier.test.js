@@ -0,0 +1,93 @@
+/** @jest-environment node */
+const vm = require('vm');
+const JSMinifier = require('../js-minifier.js');
+
+// Value of `result` after running a script
+const run = (code) => {
+    const context = {};
+    vm.runInNewContext(`${code}\nthis.result = result;`, context);
+    return context.result;
+};
+
+describe('JSMinifier tokenizer', () => {
+    const minifier = new JSMinifier();
+
+    test('keeps // and /* inside strings, template literals and regular expressions', () => {
+        const source = `
+            const url = "http://example.com/*x*/"; // comment
+            const pattern = /\\/\\/+/g; /* block
+            comment */
+            const result = \`\${url.replace(pattern, '/')} // \${'\`'}\`;
+        `;
+
+        const output = minifier.minify(source);
+        expect(output).not.toContain('comment');
+        expect(run(output)).toBe(run(source));
+    });
+
+    test('keeps the line breaks automatic semicolon insertion depends on', () => {
+        const source = `
+            function value() {
+                return
+                42
+            }
+            let a = 1
+            let b = a
+            ++b
+            const result = [value(), a, b]
+        `;
+
+        expect(run(minifier.minify(source))).toEqual([undefined, 1, 2]);
+    });
+
+    test('separates tokens that would otherwise read as one', () => {
+        const output = minifier.minify('const a = 1; const result = [a + +a, a - -a, 1 .toFixed(1)];');
+
+        expect(output).toContain('a+ +a');
+        expect(output).toContain('a- -a');
+        expect(run(output)).toEqual([2, 2, '1.0']);
+    });
+
+    test('tells a regular expression from a division', () => {
+        const source = 'const a = 10, g = 2; const result = [a / 2 / g, "x/y".split(/\\//).length];';
+        expect(run(minifier.minify(source))).toEqual([2.5, 2]);
+    });
+
+    test('names the file and line of a tokenizer error', () => {
+        expect(() => minifier.minify('const a = 1;\nconst b = "open;\n', 'js/broken.js'))
+            .toThrow('js/broken.js:2: Unterminated string');
+    });
+});
+
+describe('JSMinifier mangler', () => {
+    const minifier = new JSMinifier({ mangle: true });
+
+    test('renames locals and parameters, not globals or properties', () => {
+        const source = `
+            var Counter = {
+                total: 0,
+                add(amount) {
+                    const doubled = amount * 2;
+                    this.total += doubled;
+                    return { doubled };
+                }
+            };
+            const result = [Counter.add(3).doubled, Counter.total];
+        `;
+
+        const output = minifier.minify(source);
+        expect(output).not.toMatch(/\bamount\b/);
+        expect(output).toContain('{doubled:');
+        expect(output).toContain('Counter.add');
+        expect(output).toContain('.total');
+        expect(run(output)).toEqual([6, 6]);
+    });
+
+    test('leaves scripts that use eval alone', () => {
+        const source = 'function f(value) { return eval("value"); } const result = f(5);';
+        const output = minifier.minify(source);
+
+        expect(output).toContain('value');
+        expect(run(output)).toBe(5);
+    });
+});
@@ -0,0 +1,39 @@
+/** @jest-environment node */
+const JsonResume = require('../js/json-resume.js');
+const portfolio = require('../data/portfolio.json');
+
+describe('JsonResume', () => {
+    const roundTrip = (data, base) => JsonResume.toPortfolio(JSON.parse(JSON.stringify(JsonResume.fromPortfolio(data))), base);
+
+    test('round-trips the data model without a base', () => {
+        expect(roundTrip(portfolio)).toEqual(portfolio);
+    });
+
+    test('keeps the CV link in the x-portfolio extension', () => {
+        const resume = JsonResume.fromPortfolio(portfolio);
+
+        expect(resume.basics['x-portfolio']).toEqual({ cv: portfolio.profile.cv });
+        expect(roundTrip({ profile: { name: 'A B' } }).profile.cv).toBeUndefined();
+    });
+
+    test('maps resumes without the extension from the standard fields', () => {
+        const data = JsonResume.toPortfolio({
+            skills: [{ name: 'Rust', level: 'Advanced' }],
+            languages: [{ language: 'German', fluency: 'Native speaker' }]
+        });
+
+        expect(data.skills).toEqual([{ name: 'Rust', value: 75, category: 'technical' }]);
+        expect(data.languages).toEqual([{ name: 'German', value: 100 }]);
+    });
+
+    test.each([
+        [[], 'document must be an object'],
+        [{ basics: null }, 'basics must be an object'],
+        [{ skills: {} }, 'skills must be an array'],
+        [{ skills: [null] }, 'skills[0] must be an object'],
+        [{ work: [{ startDate: '2024-9' }] }, 'work[0].startDate must be an ISO 8601 date']
+    ])('rejects %j', (resume, error) => {
+        expect(JsonResume.validate(resume)).toEqual([error]);
+        expect(() => JsonResume.toPortfolio(resume)).toThrow(`Invalid JSON Resume: ${error}`);
+    });
+});
@@ -0,0 +1,42 @@
+describe('App module registry', () => {
+    let App;
+    const started = [];
+    const definition = (name, dependencies = []) => ({
+        name,
+        dependencies,
+        manager: { init: () => started.push(name), destroy: jest.fn() }
+    });
+
+    beforeAll(async () => {
+        window.Store = { init: jest.fn(), select: jest.fn(), selectors: {} };
+        window.Breakpoints = { init: jest.fn() };
+        window.Overlays = { init: jest.fn(), closeAll: jest.fn() };
+        window.PortfolioModules = [definition('education', ['skills']), definition('skills')];
+
+        // main.js starts the app as soon as it loads when the document is ready
+        App = require('../js/main.js');
+        await new Promise(resolve => setTimeout(resolve));
+    });
+
+    afterAll(() => App.destroyModules());
+
+    test('starts queued modules after their dependencies', () => {
+        expect(App.initialized).toBe(true);
+        expect(started).toEqual(['skills', 'education']);
+    });
+
+    test('starts a module registered after start-up', () => {
+        window.PortfolioModules.push(definition('deep-links', ['education']));
+
+        expect(started).toEqual(['skills', 'education', 'deep-links']);
+        expect(App.getModule('deep-links')).not.toBeNull();
+    });
+
+    test('starts a late module once its late dependency is registered', () => {
+        window.PortfolioModules.push(definition('router', ['updates']));
+        expect(App.getModule('router')).toBeNull();
+
+        window.PortfolioModules.push(definition('updates'));
+        expect(started.slice(-2)).toEqual(['updates', 'router']);
+    });
+});
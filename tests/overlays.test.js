@@ -0,0 +1,90 @@
+const Overlays = require('../js/overlays.js');
+
+describe('Overlays focus restoration', () => {
+    let dialog;
+    let row;
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div class="education-row" tabindex="0"><span class="row-label">MSc</span></div>
+            <div id="dialog"><button type="button">Close</button></div>
+        `;
+        row = document.querySelector('.education-row');
+        dialog = document.getElementById('dialog');
+
+        Overlays.init();
+        Overlays.register('dialog', dialog);
+    });
+
+    afterEach(() => Overlays.destroy());
+
+    test('returns focus to the element the overlay was opened from', () => {
+        row.focus();
+        Overlays.open('dialog');
+        expect(document.activeElement).toBe(dialog.querySelector('button'));
+
+        Overlays.close('dialog');
+        expect(document.activeElement).toBe(row);
+    });
+
+    test('returns focus to the pressed element when the press left focus on <body>', () => {
+        row.querySelector('.row-label').dispatchEvent(new MouseEvent('pointerdown', { bubbles: true }));
+        Overlays.open('dialog');
+
+        Overlays.close('dialog');
+        expect(document.activeElement).toBe(row);
+    });
+});
+
+describe('Overlays transient opens', () => {
+    let dialog;
+    let row;
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div class="education-row" tabindex="0"><span class="row-label">MSc</span></div>
+            <div id="dialog"><button type="button">Close</button></div>
+        `;
+        row = document.querySelector('.education-row');
+        dialog = document.getElementById('dialog');
+
+        Overlays.init();
+        Overlays.register('dialog', dialog);
+        row.focus();
+    });
+
+    afterEach(() => Overlays.destroy());
+
+    test('a hover preview leaves focus and page scrolling alone', () => {
+        Overlays.open('dialog', { transient: true });
+
+        expect(dialog.classList.contains('show')).toBe(true);
+        expect(document.activeElement).toBe(row);
+        expect(document.body.style.overflow).toBe('');
+
+        Overlays.close('dialog');
+        expect(document.activeElement).toBe(row);
+        expect(Overlays.scrollLocks).toBe(0);
+    });
+
+    test('Tab is not trapped in a hover preview', () => {
+        Overlays.open('dialog', { transient: true });
+
+        const event = new KeyboardEvent('keydown', { key: 'Tab', bubbles: true, cancelable: true });
+        document.dispatchEvent(event);
+
+        expect(event.defaultPrevented).toBe(false);
+    });
+
+    test('opening a hover preview for good moves focus and locks scrolling', () => {
+        Overlays.open('dialog', { transient: true });
+        Overlays.open('dialog');
+
+        expect(document.activeElement).toBe(dialog.querySelector('button'));
+        expect(document.body.style.overflow).toBe('hidden');
+
+        Overlays.close('dialog');
+        expect(document.activeElement).toBe(row);
+        expect(document.body.style.overflow).toBe('');
+    });
+});
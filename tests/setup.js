@@ -0,0 +1,8 @@
+/**
+ * Jest setup - the legacy scripts read the globals of the scripts loaded before them
+ * (see PortfolioBuildTool.jsFiles), and every one of them starts with Utils
+ */
+
+if (typeof window !== 'undefined') {
+    require('../js/utils.js');
+}
@@ -0,0 +1,130 @@
+const SkillsManager = require('../js/skills.js');
+
+describe('SkillsManager sliders', () => {
+    let bar;
+    let changes;
+    let unsubscribe;
+
+    const press = (key) => {
+        const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+        bar.dispatchEvent(event);
+        return event;
+    };
+
+    // jsdom has no PointerEvent; the manager only reads button, pointerId and clientX
+    const pointer = (type, target, clientX, pointerId = 1) => {
+        const event = new MouseEvent(type, { bubbles: true, cancelable: true, button: 0, clientX });
+        Object.defineProperty(event, 'pointerId', { value: pointerId });
+        target.dispatchEvent(event);
+        return event;
+    };
+
+    const value = () => Number(bar.getAttribute('aria-valuenow'));
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div class="tool-item" data-name="Python">
+                <button type="button" class="skill-control" data-step="-10">-</button>
+                <div class="skill-bar" role="slider" tabindex="0" aria-valuenow="50">
+                    <div class="skill-progress" style="width: 50%" data-value="50"></div>
+                    <div class="skill-tooltip">50%</div>
+                </div>
+                <button type="button" class="skill-control" data-step="10">+</button>
+            </div>
+            <button type="button" data-skills-reset hidden>Reset</button>
+        `;
+        bar = document.querySelector('.skill-bar');
+        bar.getBoundingClientRect = () => ({ left: 100, width: 200, top: 0, height: 10 });
+
+        changes = [];
+        unsubscribe = Utils.events.subscribe('skill:changed', detail => changes.push(detail));
+
+        SkillsManager.init();
+    });
+
+    afterEach(() => {
+        unsubscribe();
+        SkillsManager.destroy();
+    });
+
+    test.each([
+        ['ArrowRight', 51],
+        ['ArrowUp', 51],
+        ['ArrowLeft', 49],
+        ['ArrowDown', 49],
+        ['PageUp', 60],
+        ['PageDown', 40],
+        ['Home', 0],
+        ['End', 100]
+    ])('%s sets the value to %i', (key, expected) => {
+        const event = press(key);
+
+        expect(event.defaultPrevented).toBe(true);
+        expect(value()).toBe(expected);
+        expect(bar.getAttribute('aria-valuetext')).toBe(`${expected}%`);
+        expect(bar.querySelector('.skill-progress').style.width).toBe(`${expected}%`);
+        expect(changes).toEqual([{ name: 'Python', value: expected, kind: 'skill' }]);
+    });
+
+    test('other keys are left to the browser', () => {
+        expect(press('Tab').defaultPrevented).toBe(false);
+        expect(value()).toBe(50);
+    });
+
+    test('values stay between 0 and 100', () => {
+        press('End');
+        press('PageUp');
+        expect(value()).toBe(100);
+
+        press('Home');
+        press('ArrowLeft');
+        expect(value()).toBe(0);
+    });
+
+    test('the -/+ buttons step by 10', () => {
+        document.querySelector('[data-step="10"]').click();
+        expect(value()).toBe(60);
+
+        document.querySelector('[data-step="-10"]').click();
+        document.querySelector('[data-step="-10"]').click();
+        expect(value()).toBe(40);
+    });
+
+    test('dragging sets the value from the pointer position along the bar', () => {
+        pointer('pointerdown', bar, 150);
+        expect(value()).toBe(25);
+        expect(bar.classList.contains('is-dragging')).toBe(true);
+        expect(document.activeElement).toBe(bar);
+
+        pointer('pointermove', document, 280);
+        expect(value()).toBe(90);
+
+        // Past the ends of the bar
+        pointer('pointermove', document, 400);
+        expect(value()).toBe(100);
+
+        pointer('pointerup', document, 400);
+        expect(bar.classList.contains('is-dragging')).toBe(false);
+
+        pointer('pointermove', document, 150);
+        expect(value()).toBe(100);
+    });
+
+    test('moves of another pointer do not drag the bar', () => {
+        pointer('pointerdown', bar, 150, 1);
+        pointer('pointermove', document, 280, 2);
+
+        expect(value()).toBe(25);
+    });
+
+    test('the reset button appears after a change and restores the owner\'s value', () => {
+        const reset = document.querySelector('[data-skills-reset]');
+
+        press('End');
+        expect(reset.hidden).toBe(false);
+
+        reset.click();
+        expect(value()).toBe(50);
+        expect(reset.hidden).toBe(true);
+    });
+});
@@ -0,0 +1,108 @@
+const Store = require('../js/store.js');
+
+describe('Store', () => {
+    const initialState = { ...Store.state };
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <button type="button" data-theme-toggle="dark">Dark</button>
+            <button type="button" data-theme-toggle="contrast">Contrast</button>
+            <button type="button" data-language="en">EN</button>
+            <button type="button" data-language="nl">NL</button>
+            <div id="educationOverlay"></div>
+        `;
+    });
+
+    afterEach(() => {
+        Store.destroy();
+        Store.state = { ...initialState };
+        localStorage.clear();
+    });
+
+    test('notifies subscribers when the selected value changes', () => {
+        const handler = jest.fn();
+        Store.subscribe(Store.selectors.isHighContrast, handler);
+
+        Store.set({ contrast: 'high' });
+        Store.set({ contrast: 'high' });
+        Store.set({ menuOpen: true });
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler).toHaveBeenCalledWith(true, false);
+    });
+
+    test('compares selected objects shallowly', () => {
+        const handler = jest.fn();
+        Store.subscribe(Store.selectors.settings, handler);
+
+        Store.set({ view: 'bio' });
+        expect(handler).not.toHaveBeenCalled();
+
+        Store.set({ theme: 'dark' });
+        expect(handler).toHaveBeenCalledWith(
+            expect.objectContaining({ theme: 'dark' }),
+            expect.objectContaining({ theme: 'light' })
+        );
+    });
+
+    test('calls immediate subscribers straight away and stops after unsubscribing', () => {
+        const handler = jest.fn();
+        const unsubscribe = Store.subscribe(state => state.language, handler, { immediate: true });
+        expect(handler).toHaveBeenCalledWith('en', undefined);
+
+        unsubscribe();
+        Store.set({ language: 'nl' });
+        expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    test('saves chosen settings and announces them', () => {
+        const changes = [];
+        const unsubscribe = Utils.events.subscribe('settings:changed', detail => changes.push(detail));
+
+        Store.set({ theme: 'dark', menuOpen: true });
+        Store.set({ motion: 'reduced' }, { persist: false });
+        unsubscribe();
+
+        expect(Utils.storage.get('portfolio-theme')).toBe('dark');
+        expect(Utils.storage.get('portfolio-motion')).toBeNull();
+        expect(changes).toEqual([
+            { key: 'theme', value: 'dark' },
+            { key: 'motion', value: 'reduced' }
+        ]);
+    });
+
+    test('restores saved settings and switches the document with the state', () => {
+        Utils.storage.set('portfolio-contrast', 'high');
+        Utils.storage.set('portfolio-language', 'nl');
+        Store.init();
+
+        const root = document.documentElement;
+        expect(root.getAttribute('data-contrast')).toBe('high');
+        expect(root.getAttribute('lang')).toBe('nl');
+        expect(document.querySelector('[data-language="nl"]').getAttribute('aria-pressed')).toBe('true');
+        expect(document.querySelector('[data-theme-toggle="contrast"]').getAttribute('aria-pressed')).toBe('true');
+
+        Store.set({ theme: 'dark', contrast: 'normal', motion: 'reduced', language: 'en' });
+
+        expect(root.getAttribute('data-theme')).toBe('dark');
+        expect(root.getAttribute('data-contrast')).toBe('normal');
+        expect(root.getAttribute('lang')).toBe('en');
+        expect(document.body.classList.contains('reduced-motion')).toBe(true);
+        expect(document.querySelector('[data-theme-toggle="dark"]').getAttribute('aria-pressed')).toBe('true');
+        expect(document.querySelector('[data-language="nl"]').getAttribute('aria-pressed')).toBe('false');
+    });
+
+    test('follows the overlay on top from the event bus', () => {
+        Store.init();
+        const overlay = document.getElementById('educationOverlay');
+
+        Utils.events.publish('overlay:open', { id: 'education', title: 'MSc' });
+        expect(Store.get('overlay')).toBe('education');
+        expect(document.body.classList.contains('overlay-open')).toBe(true);
+        expect(overlay.getAttribute('aria-hidden')).toBe('false');
+
+        Utils.events.publish('overlay:close', { id: 'education', top: null });
+        expect(Store.get('overlay')).toBeNull();
+        expect(overlay.getAttribute('aria-hidden')).toBe('true');
+    });
+});
@@ -0,0 +1,35 @@
+/**
+ * @jest-environment node
+ */
+
+const PortfolioBuildTool = require('../build.js');
+const createConfig = require('../webpack.config.js');
+
+describe('webpack build', () => {
+    const config = createConfig({}, { mode: 'production' });
+
+    test('bundles the ES module app and the legacy scripts in build.js order', () => {
+        const { jsFiles } = new PortfolioBuildTool();
+
+        expect(config.entry).toEqual({
+            main: './js/modules/main.mjs',
+            legacy: jsFiles.map(file => `./${file}`)
+        });
+    });
+
+    test('writes a page per entry', () => {
+        const pages = config.plugins
+            .filter(plugin => plugin.constructor.name === 'HtmlWebpackPlugin')
+            .map(plugin => [plugin.userOptions.filename, plugin.userOptions.chunks]);
+
+        expect(pages).toEqual([['index.html', ['main']], ['legacy.html', ['legacy']]]);
+    });
+
+    test('renders the page without the unbuilt stylesheet and scripts', async () => {
+        const html = await new PortfolioBuildTool().renderTemplatePage('index_optimized.html');
+
+        expect(html).not.toMatch(/href="(css\/main\.css|js\/main\.js)"/);
+        expect(html).not.toMatch(/<script src="js\//);
+        expect(html).toContain('<script type="application/json" id="portfolio-data">');
+    });
+});
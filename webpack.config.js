@@ -1,18 +1,78 @@
 const path = require('path');
+const fs = require('fs').promises;
+const { Compilation, WebpackError, sources } = require('webpack');
 const MiniCssExtractPlugin = require('mini-css-extract-plugin');
 const HtmlWebpackPlugin = require('html-webpack-plugin');
 const { CleanWebpackPlugin } = require('clean-webpack-plugin');
 const OptimizeCSSAssetsPlugin = require('optimize-css-assets-webpack-plugin');
 const TerserPlugin = require('terser-webpack-plugin');
 const CompressionPlugin = require('compression-webpack-plugin');
+const PortfolioBuildTool = require('./build.js');
+const { checkBudgets, formatTable } = require('./budgets');
+
+// Fail the build when an emitted file or page is over the budgets shared with build.js
+class BudgetPlugin {
+    apply(compiler) {
+        compiler.hooks.thisCompilation.tap('BudgetPlugin', compilation => {
+            compilation.hooks.processAssets.tap(
+                { name: 'BudgetPlugin', stage: Compilation.PROCESS_ASSETS_STAGE_REPORT },
+                assets => {
+                    const files = new Map(Object.entries(assets).map(([file, asset]) =>
+                        [file, Buffer.from(asset.source())]));
+                    const violations = checkBudgets(files);
+                    
+                    if (violations.length) {
+                        compilation.errors.push(new WebpackError(`Performance budgets exceeded:\n\n${formatTable(violations)}`));
+                    }
+                }
+            );
+        });
+    }
+}
+
+// Emit files the pages link to but no module imports: the photo and documents in assets/,
+// bio.html, which the router fetches (see js/router.js), and the JSON Resume and Europass
+// documents generated from the data model
+class StaticFilesPlugin {
+    constructor(builder) {
+        this.builder = builder;
+    }
+    
+    apply(compiler) {
+        compiler.hooks.thisCompilation.tap('StaticFilesPlugin', compilation => {
+            compilation.hooks.processAssets.tapPromise(
+                { name: 'StaticFilesPlugin', stage: Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL },
+                async () => {
+                    const { sourceDir } = this.builder;
+                    const assets = await fs.readdir(path.join(sourceDir, 'assets'));
+                    
+                    for (const file of [...assets.map(asset => `assets/${asset}`), 'bio.html']) {
+                        const sourcePath = path.join(sourceDir, file);
+                        compilation.fileDependencies.add(sourcePath);
+                        compilation.emitAsset(file, new sources.RawSource(await fs.readFile(sourcePath)));
+                    }
+                    
+                    compilation.fileDependencies.add(path.join(sourceDir, this.builder.dataFile));
+                    const documents = await this.builder.renderDataDocuments();
+                    Object.entries(documents).forEach(([file, content]) => {
+                        compilation.emitAsset(file, new sources.RawSource(content));
+                    });
+                }
+            );
+        });
+    }
+}
 
 module.exports = (env, argv) => {
     const isProduction = argv.mode === 'production';
+    const builder = new PortfolioBuildTool();
     
     return {
+        // main is the ES module app; legacy bundles the classic scripts in build.js order
+        // (js/main.js and its managers read each other's globals) for older browsers
         entry: {
             main: './js/modules/main.mjs',
-            legacy: './js/main.js' // Fallback for older browsers
+            legacy: builder.jsFiles.map(file => `./${file}`)
         },
         
         output: {
@@ -66,14 +126,14 @@ module.exports = (env, argv) => {
                     use: {
                         loader: 'babel-loader',
                         options: {
+                            // The legacy scripts are CommonJS, the modules ES modules
+                            sourceType: 'unambiguous',
+                            // Targets come from the browserslist in package.json. No core-js
+                            // polyfills: every browser that needs them also lacks AbortController,
+                            // which the listener scopes (Utils.events.scope) rely on
                             presets: [
                                 ['@babel/preset-env', {
-                                    targets: {
-                                        browsers: ['> 1%', 'last 2 versions']
-                                    },
-                                    modules: false,
-                                    useBuiltIns: 'usage',
-                                    corejs: 3
+                                    modules: false
                                 }]
                             ],
                             plugins: [
@@ -91,6 +151,8 @@ module.exports = (env, argv) => {
                             loader: 'css-loader',
                             options: {
                                 importLoaders: 1,
+                                // url()s point at assets/, which StaticFilesPlugin emits as is
+                                url: false,
                                 sourceMap: !isProduction
                             }
                         },
@@ -144,8 +206,9 @@ module.exports = (env, argv) => {
                 chunkFilename: isProduction ? 'css/[name].[contenthash].chunk.css' : 'css/[name].chunk.css'
             }),
             
+            // Sections are rendered from data/portfolio.json, as in the legacy build
             new HtmlWebpackPlugin({
-                template: 'index_optimized.html',
+                templateContent: () => builder.renderTemplatePage('index_optimized.html'),
                 filename: 'index.html',
                 chunks: ['main'],
                 minify: isProduction ? {
@@ -158,20 +221,24 @@ module.exports = (env, argv) => {
                 } : false
             }),
             
+            // Same rendered sections, booted by js/main.js instead of the ES modules
             new HtmlWebpackPlugin({
-                template: 'index.html',
+                templateContent: () => builder.renderTemplatePage('index_optimized.html'),
                 filename: 'legacy.html',
                 chunks: ['legacy'],
                 minify: isProduction
             }),
             
+            new StaticFilesPlugin(builder),
+            
             ...(isProduction ? [
                 new CompressionPlugin({
                     algorithm: 'gzip',
                     test: /\.(js|css|html|svg)$/,
                     threshold: 8192,
                     minRatio: 0.8
-                })
+                }),
+                new BudgetPlugin()
             ] : [])
         ],
         
@@ -204,10 +271,13 @@ module.exports = (env, argv) => {
         
         devtool: isProduction ? 'source-map' : 'eval-source-map',
         
+        // BudgetPlugin enforces budgets.js; these warnings flag a single oversized bundle early.
+        // The documents in assets/ are covered by the document budget instead
         performance: {
             hints: isProduction ? 'warning' : false,
             maxEntrypointSize: 250000,
-            maxAssetSize: 250000
+            maxAssetSize: 250000,
+            assetFilter: file => !/\.(map|gz|pdf)$/.test(file)
         }
     };
 };
\ No newline at end of file